@@ -0,0 +1,394 @@
+/**
+ * Acronym Table Module
+ * Document-wide pre-pass that collects acronyms and their definitions, so each acronym is
+ * expanded exactly once, where it first appears
+ */
+
+import { parseRomanNumeral } from './utils.js';
+
+const ACRONYM_DEFAULTS = {
+    minOccurrences: 2,      // Undefined acronyms are listed (with no expansion) from this many uses
+    maxEntries: 200
+};
+
+// "Large Language Model (LLM)": up to eight words before an acronym in parentheses
+const EXPANSION_FIRST_PATTERN = /((?:[\p{L}][\p{L}'-]*[ -]){1,8}[\p{L}][\p{L}'-]*) \(([\p{Lu}][\p{L}0-9]*[\p{Lu}][\p{L}0-9]*)\)/gu;
+
+// "LLM (Large Language Model)"
+const ACRONYM_FIRST_PATTERN = /(?<![\p{L}0-9])([\p{Lu}][\p{L}0-9]*[\p{Lu}][\p{L}0-9]*) \(([\p{L}][\p{L}'-]*(?:[ -][\p{L}][\p{L}'-]*){1,8})\)/gu;
+
+// Any all-caps token of two or more letters, optionally plural ("GPUs")
+const ACRONYM_TOKEN_PATTERN = /(?<![\p{L}0-9])[\p{Lu}][\p{Lu}0-9]*[\p{Lu}]s?(?![\p{L}0-9])/gu;
+
+// Code is left exactly as written
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]+`/g;
+
+// Roman numerals look like acronyms ("Part II", "Chapter XIV"), but so do XML, CLI and DC;
+// a valid numeral only counts as numbering in the contexts isRomanNumbering() checks
+
+// Words that number what follows ("Chapter XIV", "Part II", "World War II")
+const NUMBERING_WORD_PATTERN = /(?:^|[^\p{L}])(?:chapter|part|section|volume|vol\.|book|appendix|article|act|phase|stage|type|class|table|figure|fig\.|war|no\.)\s+$/iu;
+
+// Separators between numerals of a sequence ("I, II and III") or a range ("II-IV")
+const SEQUENCE_SEPARATOR = /^(?:,\s*|\s+(?:and|or)\s+)$/;
+const RANGE_SEPARATOR = /^(?:\s*[-–]\s*|\s+to\s+)$/;
+
+// "a"/"an" right before an acronym that gets expanded or collapsed
+const ARTICLE_PATTERN = /(?<![\p{L}0-9])(an?)(\s+)$/iu;
+
+// Words an acronym usually skips ("Department of Energy" is DOE, "Bureau of Labor Statistics" is BLS)
+const MINOR_WORDS = new Set(['of', 'and', 'for', 'the', 'a', 'an', 'in', 'on', 'to', 'at', 'by', 'de', 'der', 'des', 'du', 'la', 'le', 'und', 'für']);
+
+/**
+ * Find acronyms defined in a text
+ * Both "Large Language Model (LLM)" and "LLM (Large Language Model)" count when the
+ * initials of the words match the acronym.
+ * @param {string} text - Text to scan
+ * @returns {Array<{acronym: string, expansion: string, written: string, index: number, end: number}>}
+ *          Definitions in document order, singular like the acronym ("GPUs (Graphics Processing Units)"
+ *          defines GPU as "Graphics Processing Unit"); `written` is the acronym as written, index..end the definition
+ */
+export function findAcronymDefinitions(text) {
+    const found = [];
+
+    for (const match of (text || '').matchAll(EXPANSION_FIRST_PATTERN)) {
+        const expansion = matchInitials(match[2], match[1]);
+        if (expansion) {
+            found.push({
+                acronym: singular(match[2]),
+                expansion: singular(match[2]) !== match[2] ? singularPhrase(expansion) : expansion,
+                written: match[2],
+                index: match.index + match[1].length - expansion.length,
+                end: match.index + match[0].length
+            });
+        }
+    }
+
+    for (const match of (text || '').matchAll(ACRONYM_FIRST_PATTERN)) {
+        const expansion = matchInitials(match[1], match[2]);
+        if (expansion === match[2]) {
+            found.push({
+                acronym: singular(match[1]),
+                expansion: singular(match[1]) !== match[1] ? singularPhrase(expansion) : expansion,
+                written: match[1],
+                index: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Acronym Table Class
+ * scan() or scanBatches() builds the table from the whole document; entries can then be
+ * edited before processing. expandFirstUse() is called on each batch in order and remembers
+ * which acronyms were already expanded.
+ */
+export class AcronymTable {
+    constructor(options = {}) {
+        this.options = { ...ACRONYM_DEFAULTS, ...options };
+        this.entries = new Map();
+        this.expanded = new Set();
+    }
+
+    /**
+     * Build the table from a document
+     * The first definition of an acronym wins. Acronyms used often but never defined are
+     * listed with an empty expansion so they can be filled in.
+     * @param {string} text - Full document text
+     * @returns {Array} Entries ({ acronym, expansion, count, defined }) in order of first use
+     */
+    scan(text) {
+        return this.scanBatches([{ text: text || '' }]);
+    }
+
+    /**
+     * Build the table from a document kept as batches
+     * A definition may start in the context a batch shares with the one before it.
+     * @param {Array} batches - Batches of the whole document in order ({ text, context })
+     * @returns {Array} Entries ({ acronym, expansion, count, defined }) in order of first use
+     */
+    scanBatches(batches) {
+        this.entries.clear();
+        this.expanded.clear();
+
+        const definitions = new Map();
+        for (const { text, context = '' } of batches) {
+            for (const { acronym, expansion, end } of findAcronymDefinitions(context + text)) {
+                if (end > context.length && !definitions.has(acronym)) definitions.set(acronym, expansion);
+            }
+        }
+
+        const counts = new Map();
+        for (const batch of batches) {
+            const source = stripCode(batch.text);
+            for (const match of source.matchAll(ACRONYM_TOKEN_PATTERN)) {
+                const acronym = singular(match[0]);
+                if (definitions.has(acronym) || !isRomanNumbering(source, match.index, match[0])) {
+                    counts.set(acronym, (counts.get(acronym) || 0) + 1);
+                }
+            }
+        }
+
+        for (const [acronym, count] of counts) {
+            if (this.entries.size >= this.options.maxEntries) break;
+
+            const expansion = definitions.get(acronym);
+            if (!expansion && count < this.options.minOccurrences) continue;
+
+            this.entries.set(acronym, { acronym, expansion: expansion || '', count, defined: Boolean(expansion) });
+        }
+
+        return this.getEntries();
+    }
+
+    /**
+     * Get the table entries
+     * @returns {Array} Entries in order of first use
+     */
+    getEntries() {
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Change or clear the expansion of an acronym
+     * An empty expansion leaves the acronym as written.
+     * @param {string} acronym - Acronym
+     * @param {string} expansion - Words it stands for
+     */
+    setExpansion(acronym, expansion) {
+        const entry = this.entries.get(acronym);
+        const value = (expansion || '').trim();
+
+        if (entry) {
+            entry.expansion = value;
+        } else if (value) {
+            this.entries.set(acronym, { acronym, expansion: value, count: 0, defined: false });
+        }
+    }
+
+    /**
+     * Forget which acronyms were expanded, before processing the document again
+     */
+    resetUsage() {
+        this.expanded.clear();
+    }
+
+    /**
+     * Expand the acronyms of a text that were not expanded earlier
+     * The first use becomes "Large Language Model (LLM)"; a first use that is already
+     * written that way is kept as it is. A definition in the text after the acronym was
+     * expanded is read as the acronym alone. "a"/"an" before a changed acronym is corrected.
+     * Later uses, numbering ("Part II") and code are left alone.
+     * @param {string} text - Batch text, passed in document order
+     * @returns {string} Text with first uses expanded
+     */
+    expandFirstUse(text) {
+        const code = [...text.matchAll(CODE_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+        const inCode = index => code.some(([start, end]) => index >= start && index < end);
+
+        const definitions = findAcronymDefinitions(text)
+            .filter(definition => !inCode(definition.index))
+            .map(definition => ({ ...definition, definition: true }));
+        const uses = [...text.matchAll(ACRONYM_TOKEN_PATTERN)]
+            .filter(match => !inCode(match.index) && !isRomanNumbering(text, match.index, match[0]))
+            .filter(match => !definitions.some(d => match.index >= d.index && match.index < d.end))
+            .map(match => ({ acronym: singular(match[0]), written: match[0], index: match.index, end: match.index + match[0].length }));
+
+        let result = '';
+        let last = 0;
+
+        for (const occurrence of [...definitions, ...uses].sort((a, b) => a.index - b.index)) {
+            const entry = this.entries.get(occurrence.acronym);
+            if (!entry || !entry.expansion || occurrence.index < last) continue;
+
+            let replacement;
+            if (!this.expanded.has(occurrence.acronym)) {
+                this.expanded.add(occurrence.acronym);
+
+                // Written out in the text already: that is the first use
+                if (occurrence.definition) continue;
+                if (this.isDefinedAt(text, occurrence.index, occurrence.written, entry.expansion)) continue;
+
+                const plural = occurrence.written.length > occurrence.acronym.length && !/s$/i.test(entry.expansion);
+                replacement = `${plural ? pluralPhrase(entry.expansion) : entry.expansion} (${occurrence.written})`;
+            } else if (occurrence.definition) {
+                replacement = occurrence.written;
+            } else {
+                continue;
+            }
+
+            result += withArticle(text.substring(last, occurrence.index), replacement) + replacement;
+            last = occurrence.end;
+        }
+
+        return result + text.substring(last);
+    }
+
+    /**
+     * Check whether an acronym is already written next to its expansion
+     * @param {string} text - Text
+     * @param {number} offset - Offset of the acronym
+     * @param {string} token - Acronym as written
+     * @param {string} expansion - Expansion from the table
+     * @returns {boolean} True for "Expansion (ACR)" or "ACR (Expansion)"
+     */
+    isDefinedAt(text, offset, token, expansion) {
+        const before = text.substring(Math.max(0, offset - expansion.length - 4), offset).toLowerCase();
+        const after = text.substring(offset + token.length, offset + token.length + expansion.length + 4).toLowerCase();
+        const words = expansion.toLowerCase();
+
+        return (before.endsWith('(') && before.includes(words)) || after.startsWith(` (${words}`);
+    }
+}
+
+/**
+ * Find the words of a phrase that an acronym abbreviates
+ * Letters are matched from the end of the phrase; minor words may be skipped.
+ * @param {string} acronym - Acronym ("API", "GPUs")
+ * @param {string} phrase - Words next to it
+ * @returns {string|null} Expansion, or null if the initials do not match
+ */
+function matchInitials(acronym, phrase) {
+    const letters = singular(acronym).replace(/[^\p{Lu}]/gu, '').toLowerCase();
+    const words = phrase.split(/[ -]/);
+    let letter = letters.length - 1;
+    let first = words.length;
+
+    for (let i = words.length - 1; i >= 0 && letter >= 0; i--) {
+        const initial = words[i][0].toLowerCase();
+
+        if (initial === letters[letter]) {
+            letter--;
+            first = i;
+        } else if (!MINOR_WORDS.has(words[i].toLowerCase())) {
+            return null;
+        }
+    }
+
+    if (letter >= 0) return null;
+
+    // Words are split on single separators, which are kept in the expansion
+    const start = words.slice(0, first).reduce((length, word) => length + word.length + 1, 0);
+    return phrase.substring(start);
+}
+
+/**
+ * Check whether an all-caps token is a Roman numeral used for numbering
+ * Numerals count after a numbering word ("Chapter XIV"), at the start of a numbered line
+ * ("II. Methods") or alone on a line, and next to a neighbouring numeral ("I, II and III",
+ * "II-IV"). Other tokens, such as XML, CLI, ML or DC, are acronyms.
+ * @param {string} text - Text the token is in
+ * @param {number} index - Offset of the token
+ * @param {string} token - Token as written
+ * @returns {boolean} True for numbering
+ */
+function isRomanNumbering(text, index, token) {
+    const value = parseRomanNumeral(token);
+    if (value === null) return false;
+
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    const lineEnd = text.indexOf('\n', index) === -1 ? text.length : text.indexOf('\n', index);
+    const before = text.substring(Math.max(lineStart, index - 40), index);
+    const after = text.substring(index + token.length, Math.min(lineEnd, index + token.length + 40));
+
+    if (NUMBERING_WORD_PATTERN.test(before)) return true;
+    if (/^[ \t]*(?:#{1,6}[ \t]+)?$/.test(before) && /^[.)]/.test(after)) return true;
+    if (/^[ \t]*$/.test(before) && /^[ \t]*$/.test(after)) return true;
+
+    const previous = /(?<![\p{L}0-9])([IVXLCDM]+)(,\s*|\s+(?:and|or|to)\s+|\s*[-–]\s*)$/u.exec(before);
+    const next = /^(,\s*|\s+(?:and|or|to)\s+|\s*[-–]\s*)([IVXLCDM]+)(?![\p{L}0-9])/u.exec(after);
+    const neighbours = [];
+    if (previous) neighbours.push({ numeral: previous[1], separator: previous[2] });
+    if (next) neighbours.push({ numeral: next[2], separator: next[1] });
+
+    return neighbours.some(({ numeral, separator }) => {
+        const neighbourValue = parseRomanNumeral(numeral);
+        if (neighbourValue === null) return false;
+        const difference = Math.abs(neighbourValue - value);
+        if (SEQUENCE_SEPARATOR.test(separator)) return difference === 1;
+        return RANGE_SEPARATOR.test(separator) && difference > 0;
+    });
+}
+
+/**
+ * Correct "a"/"an" at the end of a text for the words that follow it
+ * @param {string} before - Text before the replacement
+ * @param {string} replacement - Expansion or acronym that follows
+ * @returns {string} Text with the article corrected
+ */
+function withArticle(before, replacement) {
+    const article = ARTICLE_PATTERN.exec(before);
+    if (!article) return before;
+
+    const wanted = startsWithVowelSound(replacement) ? 'an' : 'a';
+    const cased = article[1][0] === 'A' ? `A${wanted.slice(1)}` : wanted;
+    return before.substring(0, article.index) + cased + article[2];
+}
+
+/**
+ * Guess whether words start with a vowel sound
+ * Acronyms are taken as read letter by letter ("an LLM", "a CPU").
+ * @param {string} words - Words
+ * @returns {boolean} True when "an" goes before them
+ */
+function startsWithVowelSound(words) {
+    if (/^\p{Lu}{2,}/u.test(words)) return /^[AEFHILMNORSX]/.test(words);
+    if (/^(?:uni|use|usu|eu|one\b|once)/i.test(words)) return false;
+    if (/^(?:hour|honest|honou?r|heir)/i.test(words)) return true;
+    return /^[aeiou]/i.test(words);
+}
+
+/**
+ * Drop the plural s of an acronym ("GPUs" is GPU)
+ * @param {string} acronym - Acronym as written
+ * @returns {string} Singular acronym
+ */
+function singular(acronym) {
+    return acronym.replace(/(?<=\p{Lu})s$/u, '');
+}
+
+/**
+ * Make the last word of a plural expansion singular ("Graphics Processing Units")
+ * @param {string} phrase - Expansion written for a plural acronym
+ * @returns {string} Singular expansion
+ */
+function singularPhrase(phrase) {
+    return phrase
+        .replace(/(?<=\p{L}{2})ies$/u, 'y')
+        .replace(/(?<=(?:ss|sh|ch|x))es$/u, '')
+        .replace(/(?<![su])s$/u, '');
+}
+
+/**
+ * Make the last word of an expansion plural, for a plural use of its acronym ("GPUs")
+ * @param {string} phrase - Singular expansion
+ * @returns {string} Plural expansion
+ */
+function pluralPhrase(phrase) {
+    if (/[^aeiou]y$/i.test(phrase)) return phrase.replace(/y$/i, 'ies');
+    if (/(?:s|sh|ch|x)$/i.test(phrase)) return `${phrase}es`;
+    return `${phrase}s`;
+}
+
+/**
+ * Blank out code so acronyms inside it are not counted
+ * @param {string} text - Text
+ * @returns {string} Text with code replaced by spaces
+ */
+function stripCode(text) {
+    return text.replace(CODE_PATTERN, code => ' '.repeat(code.length));
+}
+
+/**
+ * Create acronym table
+ * @param {Object} options - Table options
+ * @returns {AcronymTable} Table instance
+ */
+export function createAcronymTable(options = {}) {
+    return new AcronymTable(options);
+}
+
+export default AcronymTable;
@@ -6,20 +6,35 @@
 import {
     showToast,
     formatBytes,
+    formatPageRanges,
+    parsePageRanges,
+    countWords,
     setVisible,
     getElement,
-    checkBrowserSupport
+    checkBrowserSupport,
+    downloadBlob
 } from './utils.js';
-import { PDFExtractor } from './pdf-extractor.js';
+import { PasswordRequiredError, PasswordIncorrectError } from './pdf-extractor.js';
+import { ExtractionCancelledError } from './document-extractor.js';
+import { createExtractor, getFormat, getAcceptedExtensions } from './extractor-registry.js';
 import { getStorageManager } from './storage-manager.js';
 import { getSettingsManager, getThemeManager } from './settings-manager.js';
 import { createGeminiClient } from './gemini-client.js';
 import { createTextProcessor } from './text-processor.js';
+import { createDocumentAssembler } from './document-assembler.js';
 import { createProgressTracker, createProgressUI } from './progress-tracker.js';
 import { createPDFGenerator } from './pdf-generator.js';
 import { createBatchProcessor } from './batch-processor.js';
 import { getLogger } from './logger.js';
 import { createWalkthrough } from './walkthrough.js';
+import { getOwnRange, sliceDocument, excludeRanges } from './document-structure.js';
+import { createBoilerplateDetector } from './boilerplate-detector.js';
+import { createAcronymTable } from './acronym-table.js';
+import { createSSMLBuilder, validateSSML } from './ssml-builder.js';
+import { createPronunciationLexicon } from './pronunciation-lexicon.js';
+import { collectLinks } from './link-handler.js';
+import { getLanguageName, summarizeLanguages, toLanguageTag } from './language-detector.js';
+import { showOCRAvailability } from './ocr-engine.js';
 
 /**
  * Main Application Class
@@ -32,7 +47,14 @@ class App {
         this.storage = getStorageManager();
 
         // Components
-        this.pdfExtractor = new PDFExtractor();
+        this.extractorOptions = {
+            ocr: this.settings.getValue('ocr'),
+            footnotes: this.settings.getValue('footnotes'),
+            links: this.settings.getValue('links'),
+            figures: { enabled: this.settings.getValue('rules.includeImages') }
+        };
+        this.extractor = null;
+        this.boilerplateDetector = createBoilerplateDetector();
         this.geminiClient = null;
         this.textProcessor = null;
         this.progressTracker = null;
@@ -45,6 +67,10 @@ class App {
         // State
         this.currentFile = null;
         this.extractedData = null;
+        this.selectedContent = null;
+        this.skippableSections = [];
+        this.acronymTable = null;
+        this.processedContent = null;
         this.sessionId = null;
         this.isProcessing = false;
 
@@ -84,6 +110,9 @@ class App {
         // Initialize theme
         this.theme.init();
 
+        // Only promise scanned-page recovery when the OCR engine is installed
+        showOCRAvailability(this.extractorOptions.ocr);
+
         // Check if first time user
         this.checkFirstTime();
 
@@ -98,15 +127,43 @@ class App {
         this.elements.uploadArea = getElement('uploadArea');
         this.elements.fileInput = getElement('fileInput');
         this.elements.fileInfo = getElement('fileInfo');
+        this.elements.extractionStatus = getElement('extractionStatus');
+        this.elements.extractionStatusText = getElement('extractionStatusText');
+        this.elements.cancelExtractionBtn = getElement('cancelExtractionBtn');
         this.elements.fileName = getElement('fileName');
         this.elements.filePages = getElement('filePages');
         this.elements.fileSize = getElement('fileSize');
         this.elements.detectedLang = getElement('detectedLang');
         this.elements.textLength = getElement('textLength');
         this.elements.wordCount = getElement('wordCount');
+        this.elements.removedLines = getElement('removedLines');
+        this.elements.removedLinesSummary = getElement('removedLinesSummary');
+        this.elements.removedLinesList = getElement('removedLinesList');
+        this.elements.cleanupDetails = getElement('cleanupDetails');
+        this.elements.cleanupSummary = getElement('cleanupSummary');
+        this.elements.cleanupList = getElement('cleanupList');
+        this.elements.footnotesDetails = getElement('footnotesDetails');
+        this.elements.footnotesSummary = getElement('footnotesSummary');
+        this.elements.footnotesList = getElement('footnotesList');
+        this.elements.ocrNotice = getElement('ocrNotice');
+        this.elements.ocrNoticeText = getElement('ocrNoticeText');
+
+        // Content selection
+        this.elements.selectionModes = document.querySelectorAll('input[name="selectionMode"]');
+        this.elements.selectSectionsOption = getElement('selectSectionsOption');
+        this.elements.pageRangeGroup = getElement('pageRangeGroup');
+        this.elements.pageRangeInput = getElement('pageRangeInput');
+        this.elements.pageRangeHelp = getElement('pageRangeHelp');
+        this.elements.sectionChecklist = getElement('sectionChecklist');
+        this.elements.skipListGroup = getElement('skipListGroup');
+        this.elements.acronymGroup = getElement('acronymGroup');
+        this.elements.acronymList = getElement('acronymList');
+        this.elements.skipList = getElement('skipList');
+        this.elements.selectionSummary = getElement('selectionSummary');
 
         // Action buttons
         this.elements.processBtn = getElement('processBtn');
+        this.elements.processOfflineBtn = getElement('processOfflineBtn');
         this.elements.clearBtn = getElement('clearBtn');
 
         // Progress elements
@@ -128,6 +185,7 @@ class App {
         this.elements.previewContainer = getElement('previewContainer');
         this.elements.downloadFinalBtn = getElement('downloadFinalBtn');
         this.elements.downloadTextBtn = getElement('downloadTextBtn');
+        this.elements.downloadSsmlBtn = getElement('downloadSsmlBtn');
         this.elements.previewAudioBtn = getElement('previewAudioBtn');
         this.elements.startNewBtn = getElement('startNewBtn');
 
@@ -141,6 +199,12 @@ class App {
         // Walkthrough
         this.elements.showWalkthroughBtn = getElement('showWalkthroughBtn');
         this.elements.walkthroughModal = getElement('walkthroughModal');
+
+        // Password prompt
+        this.elements.passwordModal = getElement('passwordModal');
+        this.elements.passwordForm = getElement('passwordForm');
+        this.elements.passwordMessage = getElement('passwordMessage');
+        this.elements.passwordInput = getElement('passwordInput');
     }
 
     /**
@@ -193,6 +257,7 @@ class App {
         }
 
         if (this.elements.fileInput) {
+            this.elements.fileInput.accept = getAcceptedExtensions();
             this.elements.fileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 if (file) {
@@ -201,6 +266,12 @@ class App {
             });
         }
 
+        if (this.elements.cancelExtractionBtn) {
+            this.elements.cancelExtractionBtn.addEventListener('click', () => {
+                if (this.extractor) this.extractor.cancel();
+            });
+        }
+
         // Action buttons
         if (this.elements.processBtn) {
             this.elements.processBtn.addEventListener('click', () => {
@@ -208,12 +279,51 @@ class App {
             });
         }
 
+        if (this.elements.processOfflineBtn) {
+            this.elements.processOfflineBtn.addEventListener('click', () => {
+                this.startProcessing({ offline: true });
+            });
+        }
+
         if (this.elements.clearBtn) {
             this.elements.clearBtn.addEventListener('click', () => {
                 this.clearFile();
             });
         }
 
+        // Content selection
+        this.elements.selectionModes.forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.updateSelection();
+            });
+        });
+
+        if (this.elements.pageRangeInput) {
+            this.elements.pageRangeInput.addEventListener('input', () => {
+                this.updateSelection();
+            });
+        }
+
+        if (this.elements.sectionChecklist) {
+            this.elements.sectionChecklist.addEventListener('change', (e) => {
+                this.toggleSection(e.target);
+            });
+        }
+
+        if (this.elements.skipList) {
+            this.elements.skipList.addEventListener('change', () => {
+                this.updateSelection();
+            });
+        }
+
+        if (this.elements.acronymList) {
+            this.elements.acronymList.addEventListener('change', (e) => {
+                if (this.acronymTable && e.target.dataset.acronym) {
+                    this.acronymTable.setExpansion(e.target.dataset.acronym, e.target.value);
+                }
+            });
+        }
+
         // Progress buttons
         if (this.elements.pauseBtn) {
             this.elements.pauseBtn.addEventListener('click', () => {
@@ -246,6 +356,12 @@ class App {
             });
         }
 
+        if (this.elements.downloadSsmlBtn) {
+            this.elements.downloadSsmlBtn.addEventListener('click', () => {
+                this.downloadAsSSML();
+            });
+        }
+
         if (this.elements.previewAudioBtn) {
             this.elements.previewAudioBtn.addEventListener('click', () => {
                 this.previewAudio();
@@ -337,29 +453,133 @@ class App {
      * @param {File} file - Selected file
      */
     async handleFileSelect(file) {
+        let extractor = null;
+
         try {
-            showToast('Loading PDF...', 'info');
+            // Pick the extractor for the file's format; PDFs are extracted in a worker
+            extractor = createExtractor(file, this.extractorOptions);
+            showToast(`Loading ${getFormat(file).label} file...`, 'info');
+
+            // Selecting another file stops the extraction still running for the previous one
+            if (this.extractor) {
+                this.extractor.close();
+            }
+            this.extractor = extractor;
+            this.showExtractionStatus('Opening document...');
 
             // Load file
-            await this.pdfExtractor.loadFile(file);
+            await extractor.loadFile(file, {
+                requestPassword: (request) => this.requestPassword(request)
+            });
             this.currentFile = file;
 
-            // Extract text
-            this.extractedData = await this.pdfExtractor.extractAll((progress) => {
-                console.log(`Extracting: ${progress.percentage.toFixed(0)}%`);
+            // Extract text; pages are streamed from the worker as they are finished and
+            // batched as they arrive, so the batches hold the only copy of the text
+            const assembler = createDocumentAssembler({ batches: this.textProcessor.createBatchBuilder() });
+            let received = 0;
+            const summary = await extractor.extractAll((progress) => {
+                this.showExtractionStatus(`Reading page ${progress.current.toLocaleString()} of ${progress.total.toLocaleString()}...`);
+            }, {
+                onPage: (page) => {
+                    assembler.addPage(page);
+                    received++;
+                    this.showExtractionStatus(`Received ${received.toLocaleString()} of ${extractor.getPageCount().toLocaleString()} pages...`);
+                }
             });
+            this.extractedData = assembler.finish(summary);
 
             // Display file info
+            setVisible(this.elements.extractionStatus, false);
             this.displayFileInfo();
 
-            showToast('PDF loaded successfully!', 'success');
+            showToast('Document loaded successfully!', 'success');
 
         } catch (error) {
+            // A newer file took over; its own load owns the UI now
+            if (extractor && this.extractor !== extractor) return;
+
+            this.clearFile();
+
+            if (error instanceof ExtractionCancelledError) {
+                showToast('Loading cancelled', 'info');
+                return;
+            }
+
+            if (error instanceof PasswordRequiredError) {
+                showToast('This PDF is password-protected. Select it again and enter its password to open it.', 'warning', 5000);
+                return;
+            }
+
+            if (error instanceof PasswordIncorrectError) {
+                showToast('Incorrect password. Select the PDF again to retry.', 'danger', 5000);
+                return;
+            }
+
             console.error('Error loading file:', error);
             showToast(`Error: ${error.message}`, 'danger', 5000);
         }
     }
 
+    /**
+     * Show extraction progress in place of the upload area
+     * @param {string} message - Status text
+     */
+    showExtractionStatus(message) {
+        if (this.elements.extractionStatusText) {
+            this.elements.extractionStatusText.textContent = message;
+        }
+
+        setVisible(this.elements.uploadArea, false);
+        setVisible(this.elements.fileInfo, false);
+        setVisible(this.elements.extractionStatus, true);
+    }
+
+    /**
+     * Ask the user for the password of an encrypted PDF
+     * The value is passed straight to pdf.js and cleared from the form; it is never stored.
+     * @param {Object} request - { incorrect, attempt } from PDFExtractor.loadFile()
+     * @returns {Promise<string|null>} Entered password, or null if the prompt was dismissed
+     */
+    requestPassword({ incorrect }) {
+        const { passwordModal, passwordForm, passwordMessage, passwordInput } = this.elements;
+        if (!passwordModal || !passwordForm || !passwordInput) {
+            return Promise.resolve(null);
+        }
+
+        if (passwordMessage) {
+            passwordMessage.textContent = incorrect
+                ? 'That password is incorrect. Please try again.'
+                : 'This PDF is password-protected. Enter its password to open it.';
+        }
+
+        return new Promise((resolve) => {
+            const dismissers = passwordModal.querySelectorAll('[data-dismiss-modal]');
+
+            const finish = (password) => {
+                passwordForm.removeEventListener('submit', onSubmit);
+                dismissers.forEach(btn => btn.removeEventListener('click', onDismiss));
+                passwordInput.value = '';
+                passwordModal.classList.remove('active');
+                passwordModal.setAttribute('aria-hidden', 'true');
+                resolve(password);
+            };
+
+            const onSubmit = (event) => {
+                event.preventDefault();
+                finish(passwordInput.value || null);
+            };
+            const onDismiss = () => finish(null);
+
+            passwordForm.addEventListener('submit', onSubmit);
+            dismissers.forEach(btn => btn.addEventListener('click', onDismiss));
+
+            passwordInput.value = '';
+            passwordModal.classList.add('active');
+            passwordModal.setAttribute('aria-hidden', 'false');
+            passwordInput.focus();
+        });
+    }
+
     /**
      * Display file information
      */
@@ -381,7 +601,7 @@ class App {
         }
 
         if (this.elements.detectedLang) {
-            this.elements.detectedLang.textContent = this.extractedData.language;
+            this.elements.detectedLang.textContent = this.formatDetectedLanguages(this.extractedData.languages);
         }
 
         if (this.elements.textLength) {
@@ -392,48 +612,533 @@ class App {
             this.elements.wordCount.textContent = this.extractedData.wordCount.toLocaleString();
         }
 
+        this.displayRemovedLines();
+        this.displayCleanup();
+        this.displayFootnotes();
+        this.displayOCRNotice();
+        this.renderSectionChecklist();
+        this.renderSkipList();
+        this.renderAcronymTable();
+        this.updateSelection();
+
         // Show file info, hide upload area
         setVisible(this.elements.uploadArea, false);
         setVisible(this.elements.fileInfo, true);
     }
 
+    /**
+     * Describe the detected document language
+     * Mixed-language documents list each language with its pages.
+     * @param {Object} languages - Document languages from the extractor
+     * @returns {string} Display text
+     */
+    formatDetectedLanguages(languages) {
+        if (!languages || !getLanguageName(languages.code)) {
+            return 'Unknown';
+        }
+
+        if (languages.mixed) {
+            return 'Mixed: ' + languages.languages
+                .map(language => `${language.name} (${language.pages.length === 1 ? 'page' : 'pages'} ${formatPageRanges(language.pages)})`)
+                .join(', ');
+        }
+
+        return `${languages.name} (${Math.round(languages.confidence * 100)}% confidence)`;
+    }
+
+    /**
+     * Display running headers, footers and page numbers removed during extraction
+     */
+    displayRemovedLines() {
+        const { removedLines, removedLinesSummary, removedLinesList } = this.elements;
+        if (!removedLines || !removedLinesList) return;
+
+        // Group identical lines so a recurring header is listed once
+        const groups = new Map();
+        let pageCount = 0;
+
+        for (const page of this.extractedData.pages) {
+            const removed = page.removedLines || [];
+            if (removed.length > 0) pageCount++;
+
+            for (const line of removed) {
+                const key = `${line.position}:${line.pattern}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { text: line.text, position: line.position, pages: 0 });
+                }
+                groups.get(key).pages++;
+            }
+        }
+
+        removedLinesList.innerHTML = '';
+
+        for (const group of groups.values()) {
+            const item = document.createElement('li');
+            const label = group.position === 'header' ? 'Header' : 'Footer';
+            item.textContent = `${label}: "${group.text}" (${group.pages} page${group.pages === 1 ? '' : 's'})`;
+            removedLinesList.appendChild(item);
+        }
+
+        if (removedLinesSummary) {
+            removedLinesSummary.textContent = `Removed ${groups.size} recurring header/footer line${groups.size === 1 ? '' : 's'} from ${pageCount} page${pageCount === 1 ? '' : 's'}`;
+        }
+
+        setVisible(removedLines, groups.size > 0);
+    }
+
+    /**
+     * Display the fixes made by the text cleanup pass
+     */
+    displayCleanup() {
+        const { cleanupDetails, cleanupSummary, cleanupList } = this.elements;
+        if (!cleanupDetails || !cleanupList) return;
+
+        const cleanup = this.extractedData.cleanup || { total: 0 };
+        const labels = {
+            hyphenation: 'Hyphenated words rejoined',
+            ligatures: 'Ligatures expanded',
+            softHyphens: 'Soft hyphens removed',
+            invisible: 'Invisible characters removed'
+        };
+
+        cleanupList.innerHTML = '';
+
+        for (const [key, label] of Object.entries(labels)) {
+            if (!cleanup[key]) continue;
+
+            const item = document.createElement('li');
+            item.textContent = `${label}: ${cleanup[key].toLocaleString()}`;
+            cleanupList.appendChild(item);
+        }
+
+        if (cleanupSummary) {
+            cleanupSummary.textContent = `Cleaned up ${cleanup.total.toLocaleString()} text artifact${cleanup.total === 1 ? '' : 's'}`;
+        }
+
+        setVisible(cleanupDetails, cleanup.total > 0);
+    }
+
+    /**
+     * Display the footnotes found and where they were placed
+     */
+    displayFootnotes() {
+        const { footnotesDetails, footnotesSummary, footnotesList } = this.elements;
+        if (!footnotesDetails || !footnotesList) return;
+
+        const { mode, count } = this.extractedData.footnotes || { count: 0 };
+        const placement = {
+            drop: 'removed',
+            inline: 'read after their sentences',
+            section: 'collected at the end of each section'
+        };
+
+        footnotesList.innerHTML = '';
+
+        for (const page of this.extractedData.pages) {
+            for (const note of page.footnotes || []) {
+                const item = document.createElement('li');
+                const text = note.text.replace(/\s+/g, ' ');
+                const preview = text.length > 80 ? `${text.substring(0, 80)}…` : text;
+                item.textContent = `Page ${page.pageNum}, note ${note.marker}: ${preview}`;
+                footnotesList.appendChild(item);
+            }
+        }
+
+        if (footnotesSummary) {
+            footnotesSummary.textContent = `Found ${count} footnote${count === 1 ? '' : 's'}, ${placement[mode] || placement.section}`;
+        }
+
+        setVisible(footnotesDetails, count > 0);
+    }
+
+    /**
+     * Warn about pages recovered with OCR or left without text
+     */
+    displayOCRNotice() {
+        const { ocrNotice, ocrNoticeText } = this.elements;
+        if (!ocrNotice || !ocrNoticeText) return;
+
+        const pages = this.extractedData.pages;
+        const recognized = pages.filter(p => p.ocr && p.ocr.status === 'recognized');
+        const unavailable = pages.filter(p => p.ocr && p.ocr.status === 'unavailable');
+        const missing = pages.filter(p => p.ocr && !['recognized', 'unavailable'].includes(p.ocr.status));
+        const messages = [];
+
+        if (recognized.length > 0) {
+            const confidence = recognized.reduce((sum, p) => sum + p.ocr.confidence, 0) / recognized.length;
+            messages.push(
+                `Page${recognized.length === 1 ? '' : 's'} ${formatPageRanges(recognized.map(p => p.pageNum))} ` +
+                `had no text layer and ${recognized.length === 1 ? 'was' : 'were'} recovered with offline OCR ` +
+                `(average confidence ${Math.round(confidence)}%). Expect some recognition errors.`
+            );
+        }
+
+        if (unavailable.length > 0) {
+            messages.push(
+                `Page${unavailable.length === 1 ? '' : 's'} ${formatPageRanges(unavailable.map(p => p.pageNum))} ` +
+                `${unavailable.length === 1 ? 'looks' : 'look'} scanned, but the offline OCR engine is not installed, ` +
+                `so ${unavailable.length === 1 ? 'it has' : 'they have'} no text.`
+            );
+        }
+
+        if (missing.length > 0) {
+            messages.push(
+                `Page${missing.length === 1 ? '' : 's'} ${formatPageRanges(missing.map(p => p.pageNum))} ` +
+                `contain${missing.length === 1 ? 's' : ''} little or no text that could be recovered.`
+            );
+        }
+
+        ocrNoticeText.textContent = messages.join(' ');
+        ocrNotice.style.display = messages.length > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * Render the outline-based section checklist
+     */
+    renderSectionChecklist() {
+        const checklist = this.elements.sectionChecklist;
+        if (!checklist) return;
+
+        const sections = this.extractedData.sections || [];
+        checklist.innerHTML = '';
+
+        sections.forEach((section, index) => {
+            const item = document.createElement('div');
+            item.className = 'form-check';
+            item.style.paddingLeft = `${(section.level - 1) * 1.25}rem`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `section-check-${index}`;
+            checkbox.className = 'form-check-input';
+            checkbox.dataset.sectionIndex = index;
+            checkbox.checked = true;
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.className = 'form-check-label';
+            label.textContent = `${section.title} `;
+
+            const pages = document.createElement('span');
+            pages.className = 'section-pages';
+            pages.textContent = section.pageNum === section.endPage
+                ? `(p. ${section.pageNum})`
+                : `(pp. ${section.pageNum}-${section.endPage})`;
+            label.appendChild(pages);
+
+            item.appendChild(checkbox);
+            item.appendChild(label);
+            checklist.appendChild(item);
+        });
+
+        setVisible(this.elements.selectSectionsOption, sections.length > 0);
+    }
+
+    /**
+     * Render the list of detected boilerplate sections
+     * Each kind starts ticked (skipped) or not according to the skipSections setting.
+     */
+    renderSkipList() {
+        const list = this.elements.skipList;
+        this.skippableSections = this.boilerplateDetector.detect(this.extractedData);
+        if (!list) return;
+
+        const defaults = this.settings.getValue('skipSections') || {};
+        list.innerHTML = '';
+
+        this.skippableSections.forEach((section, index) => {
+            const item = document.createElement('div');
+            item.className = 'form-check';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `skip-check-${index}`;
+            checkbox.className = 'form-check-input';
+            checkbox.dataset.skipIndex = index;
+            checkbox.checked = Boolean(defaults[section.kind]);
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.className = 'form-check-label';
+            label.textContent = section.title === section.label ? `${section.title} ` : `${section.title} (${section.label}) `;
+
+            if (section.pageNum) {
+                const pages = document.createElement('span');
+                pages.className = 'section-pages';
+                pages.textContent = section.pageNum === section.endPage
+                    ? `(p. ${section.pageNum})`
+                    : `(pp. ${section.pageNum}-${section.endPage})`;
+                label.appendChild(pages);
+            }
+
+            item.appendChild(checkbox);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        setVisible(this.elements.skipListGroup, this.skippableSections.length > 0);
+    }
+
+    /**
+     * Build the acronym table of the whole document and render it for editing
+     * Only shown when acronym expansion is enabled in Settings.
+     */
+    renderAcronymTable() {
+        const list = this.elements.acronymList;
+        this.acronymTable = createAcronymTable();
+        const entries = this.acronymTable.scanBatches(this.extractedData.batches || []);
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'acronym-row';
+
+            const label = document.createElement('label');
+            label.htmlFor = `acronym-${index}`;
+            label.className = 'acronym-name';
+            label.textContent = entry.acronym;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `acronym-${index}`;
+            input.className = 'form-input';
+            input.dataset.acronym = entry.acronym;
+            input.value = entry.expansion;
+            input.placeholder = entry.defined ? '' : 'Not defined in the document';
+
+            row.appendChild(label);
+            row.appendChild(input);
+            list.appendChild(row);
+        });
+
+        setVisible(this.elements.acronymGroup, entries.length > 0 && this.settings.getValue('rules.expandAcronyms'));
+    }
+
+    /**
+     * Get the text ranges of the sections ticked in the skip list
+     * @returns {Array} Ranges ({ start, end }) into the full text
+     */
+    getSkippedRanges() {
+        const checked = this.elements.skipList?.querySelectorAll('input:checked') || [];
+
+        return Array.from(checked)
+            .map(checkbox => this.skippableSections[parseInt(checkbox.dataset.skipIndex, 10)])
+            .filter(Boolean)
+            .map(section => ({ start: section.start, end: section.end }));
+    }
+
+    /**
+     * Apply a section checkbox change to its subsections
+     * @param {HTMLInputElement} checkbox - Changed checkbox
+     */
+    toggleSection(checkbox) {
+        const sections = this.extractedData?.sections || [];
+        const index = parseInt(checkbox.dataset.sectionIndex, 10);
+        const section = sections[index];
+
+        if (section) {
+            // Subsections follow their parent in the flat list until the level climbs back
+            for (let i = index + 1; i < sections.length && sections[i].level > section.level; i++) {
+                const child = getElement(`section-check-${i}`);
+                if (child) child.checked = checkbox.checked;
+            }
+        }
+
+        this.updateSelection();
+    }
+
+    /**
+     * Recompute the selected content and its estimate
+     */
+    updateSelection() {
+        if (!this.extractedData) return;
+
+        const mode = document.querySelector('input[name="selectionMode"]:checked')?.value || 'all';
+        const data = this.extractedData;
+        let ranges = null;
+
+        setVisible(this.elements.pageRangeGroup, mode === 'pages');
+        setVisible(this.elements.sectionChecklist, mode === 'sections');
+
+        if (mode === 'pages') {
+            const pageNumbers = parsePageRanges(this.elements.pageRangeInput?.value, data.metadata.pages);
+
+            if (this.elements.pageRangeHelp) {
+                this.elements.pageRangeHelp.textContent = pageNumbers
+                    ? `Pages ${formatPageRanges(pageNumbers)}`
+                    : `Enter pages between 1 and ${data.metadata.pages}, e.g. 1-5, 40-90`;
+            }
+
+            const selected = new Set(pageNumbers || []);
+            ranges = data.pages
+                .filter(page => selected.has(page.pageNum))
+                .map(page => ({ start: page.offset, end: page.offset + page.length }));
+        } else if (mode === 'sections') {
+            const checked = this.elements.sectionChecklist?.querySelectorAll('input:checked') || [];
+            ranges = Array.from(checked).map(checkbox =>
+                getOwnRange(data.sections, parseInt(checkbox.dataset.sectionIndex, 10))
+            );
+        }
+
+        // Skipped sections are cut out of whatever is selected, so the estimate leaves them out
+        const skipped = this.getSkippedRanges();
+        if (skipped.length > 0) {
+            ranges = excludeRanges(ranges || [{ start: 0, end: data.characterCount }], skipped);
+        }
+
+        this.selectedContent = ranges ? this.buildSelectedContent(ranges) : data;
+        this.displaySelectionSummary();
+    }
+
+    /**
+     * Build extraction data limited to the given text ranges
+     * The selected text is batched again from the document's batches.
+     * @param {Array} ranges - Ranges ({ start, end }) into the document text
+     * @returns {Object} Selected content in the extraction result shape
+     */
+    buildSelectedContent(ranges) {
+        const slice = sliceDocument(this.extractedData, ranges);
+        const batches = this.textProcessor.batchRanges(this.extractedData.batches, slice.ranges, {
+            sections: slice.sections
+        });
+
+        return {
+            ...this.extractedData,
+            pages: slice.pages,
+            sections: slice.sections,
+            outline: slice.outline,
+            batches,
+            characterCount: slice.length,
+            wordCount: batches.reduce((sum, batch) => sum + countWords(batch.text), 0),
+            estimatedTokens: batches.reduce((sum, batch) => sum + batch.tokens, 0)
+        };
+    }
+
+    /**
+     * Show size and batch estimate for the current selection
+     */
+    displaySelectionSummary() {
+        const summary = this.elements.selectionSummary;
+        if (!summary) return;
+
+        const content = this.selectedContent;
+
+        if (!content || content.batches.length === 0) {
+            summary.textContent = 'Nothing selected';
+            return;
+        }
+
+        const estimate = this.textProcessor.estimateProcessingTime(null, {
+            sections: content.sections,
+            batches: content.batches
+        });
+        const skipped = this.getSkippedRanges().length;
+        summary.textContent = `Selected: ${content.pages.length} pages, ` +
+            `${content.wordCount.toLocaleString()} words, ` +
+            `~${content.estimatedTokens.toLocaleString()} tokens, ` +
+            `${estimate.batches} batch${estimate.batches === 1 ? '' : 'es'}` +
+            (skipped > 0 ? ` (${skipped} section${skipped === 1 ? '' : 's'} skipped)` : '');
+    }
+
     /**
      * Clear current file
      */
     clearFile() {
         this.currentFile = null;
         this.extractedData = null;
-        this.pdfExtractor.close();
+        this.selectedContent = null;
+        this.skippableSections = [];
+        this.acronymTable = null;
+        if (this.extractor) {
+            this.extractor.close();
+            this.extractor = null;
+        }
 
         // Reset UI
         setVisible(this.elements.uploadArea, true);
         setVisible(this.elements.fileInfo, false);
+        setVisible(this.elements.extractionStatus, false);
+        setVisible(this.elements.acronymGroup, false);
 
         if (this.elements.fileInput) {
             this.elements.fileInput.value = '';
         }
+
+        if (this.elements.pageRangeInput) {
+            this.elements.pageRangeInput.value = '';
+        }
+
+        const selectAll = getElement('selectAll');
+        if (selectAll) selectAll.checked = true;
+    }
+
+    /**
+     * Resolve the source and target language for the transformation prompt
+     * Settings left on auto use the languages detected on the selected pages.
+     * @param {Object} content - Selected content
+     * @returns {Object} { sourceLanguage, targetLanguage, targetLanguageCode } (null when unknown or mixed)
+     */
+    getPromptLanguages(content) {
+        const detected = summarizeLanguages(content.pages);
+        const names = detected.languages.map(language => language.name);
+        let detectedName = null;
+
+        if (detected.mixed) {
+            detectedName = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+        } else if (getLanguageName(detected.code)) {
+            detectedName = detected.name;
+        }
+
+        const inputName = getLanguageName(this.settings.getValue('inputLanguage'));
+        const sourceLanguage = inputName || detectedName;
+        const targetLanguage = getLanguageName(this.settings.getValue('outputLanguage')) ||
+            (detected.mixed && !inputName ? null : sourceLanguage);
+
+        // Language-scoped find/replace rules need the code of the output language
+        const sourceCode = inputName ? this.settings.getValue('inputLanguage')
+            : (!detected.mixed && getLanguageName(detected.code) ? detected.code : null);
+        const targetLanguageCode = getLanguageName(this.settings.getValue('outputLanguage'))
+            ? this.settings.getValue('outputLanguage')
+            : sourceCode;
+
+        return { sourceLanguage, targetLanguage, targetLanguageCode, sourceLanguageCode: sourceCode };
     }
 
     /**
      * Start processing
+     * Without an API key the document is converted offline with the local rules.
+     * @param {Object} options - { offline } to convert with the local rules even when a key is set
      */
-    async startProcessing() {
+    async startProcessing(options = {}) {
         // Validate
         if (!this.extractedData) {
             showToast('Please upload a PDF first', 'warning');
             return;
         }
 
-        if (!this.settings.validateApiKey()) {
-            showToast('Please set your API key in Settings', 'warning');
-            setTimeout(() => {
-                window.location.href = 'pages/settings.html';
-            }, 2000);
+        const content = this.selectedContent || this.extractedData;
+        if (content.batches.length === 0) {
+            showToast('Select at least one page or section to convert', 'warning');
             return;
         }
 
+        let offline = Boolean(options.offline);
+        if (!offline && !this.settings.validateApiKey()) {
+            showToast('No API key set, so the document is converted offline. Add a key in Settings for the AI conversion.', 'warning', 5000);
+            offline = true;
+        }
+
+        // The local rules cannot translate, so offline output stays in the document's language
+        const languages = this.getPromptLanguages(content);
+        if (offline) {
+            languages.targetLanguageCode = languages.sourceLanguageCode;
+        }
+
         this.isProcessing = true;
         this.sessionId = Date.now().toString();
+        this.processedContent = content;
 
         // Show progress section
         setVisible(this.elements.fileInfo, false);
@@ -441,14 +1146,20 @@ class App {
 
         try {
             // Start progress tracking
-            const estimate = this.textProcessor.estimateProcessingTime(this.extractedData.fullText);
+            const { sections, batches } = content;
+            const estimate = this.textProcessor.estimateProcessingTime(null, { sections, batches });
             this.progressTracker.start(estimate.batches);
             this.progressTracker.setStage('processing');
 
             // Process text
             const result = await this.textProcessor.process(
-                this.extractedData.fullText,
+                null,
                 {
+                    sections,
+                    batches,
+                    acronyms: this.acronymTable,
+                    offline,
+                    ...languages,
                     onProgress: (progress) => {
                         this.progressTracker.updateStep(progress.batchNumber, {
                             stage: progress.stage || 'processing'
@@ -457,7 +1168,12 @@ class App {
                         if (progress.batchId) {
                             this.progressTracker.updateBatchStatus(
                                 progress.batchId,
-                                progress.status || 'processing'
+                                progress.status || 'processing',
+                                {
+                                    batchNumber: progress.batchNumber,
+                                    section: progress.section,
+                                    error: progress.error
+                                }
                             );
                         }
                     }
@@ -589,11 +1305,16 @@ class App {
         try {
             showToast('Generating PDF...', 'info');
 
+            const content = this.processedContent;
+            const links = content?.links?.mode === 'appendix' ? collectLinks(content.pages) : [];
+
             await this.pdfGenerator.generateAndDownload(
                 this.processedResult.transformedText,
                 {
-                    title: this.currentFile?.name.replace('.pdf', ''),
-                    originalFilename: this.currentFile?.name
+                    title: this.currentFile?.name.replace(/\.[^.]+$/, ''),
+                    originalFilename: this.currentFile?.name,
+                    outline: content?.outline,
+                    links
                 }
             );
 
@@ -614,11 +1335,41 @@ class App {
             return;
         }
 
-        const filename = this.currentFile?.name.replace('.pdf', '-spokable.txt') || 'readable-spokable.txt';
-        this.pdfGenerator.exportAsText(this.processedResult.transformedText, filename);
+        const filename = this.currentFile?.name.replace(/\.[^.]+$/, '-spokable.txt') || 'readable-spokable.txt';
+        // The spoken text carries the pronunciation lexicon as respellings
+        this.pdfGenerator.exportAsText(this.processedResult.spokenText ?? this.processedResult.transformedText, filename);
         showToast('Text file downloaded!', 'success');
     }
 
+    /**
+     * Download as an SSML document
+     * Pauses come from the SSML settings; the pronunciation lexicon adds <phoneme>/<sub> tags.
+     */
+    downloadAsSSML() {
+        if (!this.processedResult) {
+            showToast('No processed result available', 'warning');
+            return;
+        }
+
+        const builder = createSSMLBuilder({
+            ...this.settings.getValue('ssml'),
+            language: toLanguageTag(this.processedResult.language)
+        });
+        const lexicon = createPronunciationLexicon(this.settings.getValue('pronunciation.entries') || []);
+        const ssml = builder.build(this.processedResult.transformedText, lexicon);
+
+        const { valid, errors } = validateSSML(ssml);
+        if (!valid) {
+            console.error('Generated SSML is not well-formed:', errors);
+            showToast(`Could not create valid SSML: ${errors[0]}`, 'danger');
+            return;
+        }
+
+        const filename = this.currentFile?.name.replace(/\.[^.]+$/, '-spokable.ssml') || 'readable-spokable.ssml';
+        downloadBlob(new Blob([ssml], { type: 'application/ssml+xml' }), filename);
+        showToast('SSML file downloaded!', 'success');
+    }
+
     /**
      * Preview with audio
      */
@@ -648,6 +1399,7 @@ class App {
         setVisible(this.elements.progressSection, false);
         this.progressTracker.reset();
         this.processedResult = null;
+        this.processedContent = null;
     }
 
     /**
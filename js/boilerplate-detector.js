@@ -0,0 +1,212 @@
+/**
+ * Boilerplate Detector Module
+ * Finds reference lists, acknowledgments, appendices and indexes so they can be left out of the spoken version
+ */
+
+const BOILERPLATE_DEFAULTS = {
+    backMatterStart: 0.5,   // Without an outline, only headings past this share of the text count
+    maxTitleLength: 60      // Characters
+};
+
+/**
+ * Section kinds that can be skipped, with the headings that introduce them
+ * The keys match the `skipSections` setting.
+ */
+export const BOILERPLATE_KINDS = {
+    references: {
+        label: 'References',
+        pattern: /^(?:references?|bibliography|works cited|literature cited|cited literature|further reading|literaturverzeichnis|literatur|bibliographie|références|références bibliographiques|referencias|bibliografía|bibliografia|riferimenti bibliografici)$/i
+    },
+    acknowledgments: {
+        label: 'Acknowledgments',
+        pattern: /^(?:acknowledge?ments?|danksagung|remerciements|agradecimientos|ringraziamenti)$/i
+    },
+    appendix: {
+        label: 'Appendix',
+        pattern: /^(?:appendix|appendices|annex|anhang|annexe|apéndice|anexo|appendice)(?![\p{L}])/iu
+    },
+    index: {
+        label: 'Index',
+        pattern: /^(?:index|subject index|author index|name index|general index|register|sachregister|stichwortverzeichnis)$/i
+    }
+};
+
+// Chapter and section numbers in front of a heading ("7 References", "Chapter IV. Appendix")
+const NUMBERING_PATTERN = /^(?:(?:chapter|section|part)\s+)?(?:[0-9]+(?:\.[0-9]+)*|[IVXLC]+)\.?\s+/i;
+
+// Markdown heading lines emitted by the extractors
+const MARKDOWN_HEADING_LINE = /^(#{1,6})[ \t]+(.+)$/gm;
+
+/**
+ * Boilerplate Detector Class
+ * Matches section titles from the outline; documents without one are scanned for
+ * standalone heading lines in their back half.
+ */
+export class BoilerplateDetector {
+    constructor(options = {}) {
+        this.options = { ...BOILERPLATE_DEFAULTS, ...options };
+    }
+
+    /**
+     * Find the skippable sections of a document
+     * @param {Object} data - Extraction result ({ fullText or batches, pages, sections })
+     * @returns {Array} Sections in document order ({ kind, label, title, start, end, pageNum, endPage })
+     */
+    detect(data) {
+        const segments = typeof data.fullText === 'string'
+            ? [{ text: data.fullText, start: 0 }]
+            : data.batches || [];
+        const found = (data.sections || []).length > 0
+            ? this.fromSections(data.sections)
+            : this.fromText(segments, data.pages || []);
+
+        // A reference list inside a skipped appendix is already covered
+        return found.filter((section, index) =>
+            !found.slice(0, index).some(outer => outer.start <= section.start && section.end <= outer.end)
+        );
+    }
+
+    /**
+     * Match outline sections by title
+     * @param {Array} sections - Flat sections from buildSections()
+     * @returns {Array} Matching sections
+     */
+    fromSections(sections) {
+        const found = [];
+
+        for (const section of sections) {
+            const kind = this.classify(section.title);
+            if (!kind || section.end <= section.start) continue;
+
+            found.push({
+                kind,
+                label: BOILERPLATE_KINDS[kind].label,
+                title: section.title,
+                start: section.start,
+                end: section.end,
+                pageNum: section.pageNum,
+                endPage: section.endPage
+            });
+        }
+
+        return found;
+    }
+
+    /**
+     * Find boilerplate headings in text without an outline
+     * A section runs to the next Markdown heading of the same or a higher level, the next
+     * boilerplate heading, or the end of the text.
+     * @param {Array} segments - The text in order, as consecutive pieces ({ text, start }) such as batches
+     * @param {Array} pages - Page entries with pageNum and offset
+     * @returns {Array} Matching sections
+     */
+    fromText(segments, pages) {
+        const last = segments[segments.length - 1];
+        const length = last ? last.start + last.text.length : 0;
+        const minStart = length * this.options.backMatterStart;
+        const headings = [];
+        const found = [];
+        let previous = '';
+        let covered = 0;
+
+        for (const { text, start: base } of segments) {
+            // Only whitespace is left out between batches
+            if (base > covered) previous = '\n\n';
+
+            for (const match of text.matchAll(MARKDOWN_HEADING_LINE)) {
+                headings.push({ index: base + match.index, level: match[1].length });
+            }
+
+            for (const match of text.matchAll(/^[ \t]*(?:#{1,6}[ \t]+)?(.+?)[ \t]*$/gm)) {
+                const start = base + match.index;
+                if (start < minStart) continue;
+
+                // Headings stand alone: a blank line (or the start of a page) before them
+                const before = (previous + text.substring(0, match.index)).slice(-2);
+                const standalone = start === 0 || before === '\n\n' ||
+                    pages.some(page => page.offset === start);
+                const kind = standalone ? this.classify(match[1]) : null;
+                if (!kind) continue;
+
+                found.push({
+                    kind,
+                    label: BOILERPLATE_KINDS[kind].label,
+                    title: match[1],
+                    start,
+                    level: headings.find(heading => heading.index === start)?.level
+                });
+            }
+
+            previous = (previous + text).slice(-2);
+            covered = base + text.length;
+        }
+
+        return found.map((section, index) => {
+            const nextHeading = headings.find(heading =>
+                heading.index > section.start && (!section.level || heading.level <= section.level)
+            );
+            const end = Math.min(
+                nextHeading ? nextHeading.index : length,
+                index + 1 < found.length ? found[index + 1].start : length
+            );
+
+            return {
+                kind: section.kind,
+                label: section.label,
+                title: section.title,
+                start: section.start,
+                end,
+                pageNum: this.getPageAt(pages, section.start),
+                endPage: this.getPageAt(pages, Math.max(section.start, end - 1))
+            };
+        });
+    }
+
+    /**
+     * Decide which kind of boilerplate a heading introduces
+     * @param {string} title - Heading text
+     * @returns {string|null} Kind key from BOILERPLATE_KINDS, or null
+     */
+    classify(title) {
+        const text = (title || '').trim();
+        if (!text || text.length > this.options.maxTitleLength) return null;
+
+        const name = text
+            .replace(NUMBERING_PATTERN, '')
+            .replace(/[\s:.]+$/, '');
+
+        for (const [kind, { pattern }] of Object.entries(BOILERPLATE_KINDS)) {
+            if (pattern.test(name)) return kind;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the page number at a text offset
+     * @param {Array} pages - Page entries with pageNum and offset
+     * @param {number} offset - Offset into the full text
+     * @returns {number|null} Page number
+     */
+    getPageAt(pages, offset) {
+        let pageNum = null;
+
+        for (const page of pages) {
+            if (page.offset > offset) break;
+            pageNum = page.pageNum;
+        }
+
+        return pageNum;
+    }
+}
+
+/**
+ * Create boilerplate detector
+ * @param {Object} options - Detector options
+ * @returns {BoilerplateDetector} Detector instance
+ */
+export function createBoilerplateDetector(options = {}) {
+    return new BoilerplateDetector(options);
+}
+
+export default BoilerplateDetector;
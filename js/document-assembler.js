@@ -0,0 +1,110 @@
+/**
+ * Document Assembler Module
+ * Joins the pages an extractor streams into the extraction result: page offsets, counts and
+ * the section tree. Pages can be handed on to batching as they arrive; the batches then hold
+ * the only copy of the text and figures.
+ */
+
+import { estimateTokenCount, countWords } from './utils.js';
+import { buildSections } from './document-structure.js';
+
+/**
+ * Document Assembler Class
+ * Pages are added in order with addPage(); finish() takes the summary the extractor
+ * returns (languages, cleanup and link counts, outline, metadata) and completes the result.
+ */
+export class DocumentAssembler {
+    /**
+     * @param {Object} options - Assembler options
+     * @param {BatchBuilder} options.batches - Builder from TextProcessor.createBatchBuilder() that
+     *                       receives the text and figures of every page as it is added (optional)
+     */
+    constructor(options = {}) {
+        this.batches = options.batches || null;
+        this.parts = [];
+        this.pages = [];
+        this.figures = [];
+        this.length = 0;
+        this.wordCount = 0;
+    }
+
+    /**
+     * Add the next finished page
+     * The page gains an `offset` into the document text. When batching, only the page's
+     * metadata is kept; its text and figures go to the batch builder.
+     * @param {Object} page - Page entry from the extractor (text, images, sections)
+     */
+    addPage(page) {
+        const separator = this.length > 0 && page.text ? '\n\n' : '';
+
+        this.length += separator.length;
+        page.offset = this.length;
+        this.length += page.text.length;
+        this.wordCount += countWords(page.text);
+
+        if (!this.batches) {
+            this.parts.push(separator, page.text);
+            this.pages.push(page);
+            this.figures.push(...(page.images || []));
+            return;
+        }
+
+        this.batches.add(separator + page.text, (page.sections || []).map(section => ({
+            ...section,
+            start: page.offset + section.start
+        })), page.images || []);
+
+        this.pages.push({
+            pageNum: page.pageNum,
+            offset: page.offset,
+            length: page.text.length,
+            language: page.language,
+            sections: page.sections || [],
+            removedLines: page.removedLines || [],
+            footnotes: page.footnotes || [],
+            ocr: page.ocr || null,
+            links: page.links || []
+        });
+    }
+
+    /**
+     * Complete the extraction result
+     * @param {Object} summary - Extraction summary from extractAll() (outline, languages, counts, metadata)
+     * @returns {Object} Extraction result with pages, sections and counts, plus fullText and figures,
+     *          or, when a builder was given, the finished `batches` in their place
+     */
+    finish(summary = {}) {
+        const result = {
+            ...summary,
+            pages: this.pages,
+            characterCount: this.length,
+            wordCount: this.wordCount,
+            sections: buildSections(summary.outline || [], this.pages, this.length)
+        };
+
+        if (this.batches) {
+            result.batches = this.batches.finish();
+            result.estimatedTokens = result.batches.reduce((sum, batch) => sum + batch.tokens, 0);
+            return result;
+        }
+
+        const fullText = this.parts.join('');
+
+        result.fullText = fullText.trim();
+        result.estimatedTokens = estimateTokenCount(fullText);
+        result.figures = this.figures;
+
+        return result;
+    }
+}
+
+/**
+ * Create document assembler
+ * @param {Object} options - Assembler options
+ * @returns {DocumentAssembler} Assembler instance
+ */
+export function createDocumentAssembler(options = {}) {
+    return new DocumentAssembler(options);
+}
+
+export default DocumentAssembler;
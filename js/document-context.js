@@ -0,0 +1,121 @@
+/**
+ * Document Context Module
+ * Running context carried from one batch to the next: a glossary of acronyms already
+ * introduced, the current section and a short summary of the previous batch's output
+ */
+
+import { findAcronymDefinitions } from './acronym-table.js';
+
+const CONTEXT_DEFAULTS = {
+    maxGlossaryTerms: 60,
+    summaryLength: 400      // Characters
+};
+
+/**
+ * Document Context Class
+ * TextProcessor updates it after every batch and adds it to the next batch's prompt, so
+ * acronyms are expanded once per document and transitions follow on from the previous part.
+ */
+export class DocumentContext {
+    constructor(options = {}) {
+        this.options = { ...CONTEXT_DEFAULTS, ...options };
+        this.glossary = new Map();
+        this.section = null;
+        this.summary = '';
+    }
+
+    /**
+     * Set the section the next batch belongs to
+     * @param {string|null} title - Section title; batches without one keep the last section
+     */
+    setSection(title) {
+        if (title) this.section = title;
+    }
+
+    /**
+     * Record a finished batch
+     * @param {string} source - Batch text that was transformed
+     * @param {string} output - Transformed text
+     */
+    update(source, output) {
+        this.learnTerms(source);
+        this.learnTerms(output);
+        this.summary = this.summarize(output);
+    }
+
+    /**
+     * Add acronyms defined in a text to the glossary
+     * The first expansion of an acronym is kept so later batches use the same wording.
+     * @param {string} text - Text to scan
+     */
+    learnTerms(text) {
+        for (const { acronym, expansion } of findAcronymDefinitions(text)) {
+            if (this.glossary.has(acronym) || this.glossary.size >= this.options.maxGlossaryTerms) continue;
+            this.glossary.set(acronym, expansion);
+        }
+    }
+
+    /**
+     * Summarize a batch output by its closing sentences
+     * @param {string} output - Transformed text
+     * @returns {string} Up to summaryLength characters from the end of the output
+     */
+    summarize(output) {
+        const text = (output || '')
+            .replace(/^#{1,6}\s+.*$/gm, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (text.length <= this.options.summaryLength) return text;
+
+        // Start at a sentence inside the window rather than mid-word
+        const tail = text.substring(text.length - this.options.summaryLength);
+        const sentence = /[.!?…]\s+(?=\S)/.exec(tail);
+        return sentence ? tail.substring(sentence.index + sentence[0].length) : tail.replace(/^\S*\s/, '');
+    }
+
+    /**
+     * Describe the context for a transformation prompt
+     * @returns {string} Context block, or an empty string for the first batch
+     */
+    toPrompt() {
+        const lines = [];
+
+        if (this.section) {
+            lines.push(`Current section: ${this.section}`);
+        }
+
+        if (this.summary) {
+            lines.push(`The previous part ended with: "${this.summary}"`);
+        }
+
+        if (this.glossary.size > 0) {
+            const terms = [...this.glossary].map(([acronym, expansion]) => `${acronym} = ${expansion}`);
+            lines.push(`Already introduced earlier, so do not expand these again and keep this wording: ${terms.join('; ')}`);
+        }
+
+        if (lines.length === 0) return '';
+
+        return `Document context (for continuity only; do not read it out):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Forget everything, for the next document
+     */
+    reset() {
+        this.glossary.clear();
+        this.section = null;
+        this.summary = '';
+    }
+}
+
+/**
+ * Create document context
+ * @param {Object} options - Context options
+ * @returns {DocumentContext} Context instance
+ */
+export function createDocumentContext(options = {}) {
+    return new DocumentContext(options);
+}
+
+export default DocumentContext;
@@ -0,0 +1,317 @@
+/**
+ * Document Extractor Module
+ * Common interface for input formats: every extractor loads a file and returns the
+ * extraction result shape of PDFExtractor.extractAll()
+ */
+
+import { formatBytes } from './utils.js';
+import { createTextCleaner } from './text-cleaner.js';
+import { createLinkHandler } from './link-handler.js';
+import { createLanguageDetector, summarizeLanguages } from './language-detector.js';
+import { buildOutlineFromHeadings, flattenOutline, locateSections } from './document-structure.js';
+import { createDocumentAssembler } from './document-assembler.js';
+
+// Embedded image types Gemini accepts; other images keep only their alt text
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * Get the MIME type of an embedded image that can be sent for description
+ * @param {string} path - Image path or file name
+ * @returns {string|null} MIME type, or null for unsupported types (SVG, EMF, ...)
+ */
+export function getImageMimeType(path) {
+    return IMAGE_MIME_TYPES[(path || '').split('.').pop().toLowerCase()] || null;
+}
+
+/**
+ * Thrown when extraction is stopped with cancel() before it finished
+ */
+export class ExtractionCancelledError extends Error {
+    constructor(message = 'Extraction was cancelled.') {
+        super(message);
+        this.name = 'ExtractionCancelledError';
+    }
+}
+
+/**
+ * Document Extractor Class
+ * Base class for input formats. Subclasses implement parse(); formats with their own
+ * pipeline (PDF) override loadFile() and extractAll() instead.
+ */
+export class DocumentExtractor {
+    constructor(options = {}) {
+        this.file = null;
+        this.metadata = null;
+        this.outline = [];
+        this.pages = null;
+        this.figures = [];
+        this.textCleaner = createTextCleaner();
+        this.linkHandler = createLinkHandler(options.links);
+        this.languageDetector = createLanguageDetector();
+        this.figureOptions = { enabled: true, ...options.figures };
+        this.cancelled = false;
+    }
+
+    /**
+     * Load a document
+     * @param {File} file - File to load
+     * @param {Object} options - Load options (format specific)
+     * @returns {Promise<Object>} Document metadata
+     */
+    async loadFile(file, options = {}) {
+        if (!file) {
+            throw new Error('No file selected.');
+        }
+
+        this.file = file;
+
+        try {
+            const parsed = await this.parse(file, options);
+
+            this.pages = parsed.pages.map((page, index) => ({
+                pageNum: index + 1,
+                text: page.text || '',
+                tables: page.tables || [],
+                links: page.links || []
+            }));
+            this.outline = parsed.outline || buildOutlineFromHeadings(parsed.headings || []);
+            this.figures = this.figureOptions.enabled ? parsed.figures || [] : [];
+            this.metadata = this.buildMetadata(file, parsed.info);
+
+            return this.metadata;
+        } catch (error) {
+            console.error('Error loading document:', error);
+            throw new Error(`Failed to load ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a file into pages
+     * @param {File} file - File to parse
+     * @param {Object} options - Load options
+     * @returns {Promise<Object>} { pages: [{ text, tables, links }], headings or outline, figures, info }
+     */
+    async parse(file, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement parse()`);
+    }
+
+    /**
+     * Build the metadata object shared by all formats
+     * @param {File} file - Loaded file
+     * @param {Object} info - Document properties ({ Title, Author, ... })
+     * @returns {Object} Metadata
+     */
+    buildMetadata(file, info = {}) {
+        return {
+            filename: file.name,
+            size: file.size,
+            sizeFormatted: formatBytes(file.size),
+            pages: this.getPageCount(),
+            info,
+            metadata: {},
+            created: file.lastModified ? new Date(file.lastModified) : null
+        };
+    }
+
+    /**
+     * Read file as ArrayBuffer
+     * @param {File} file - File to read
+     * @returns {Promise<ArrayBuffer>} File contents
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('Failed to read file'));
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Read file as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} File contents decoded as UTF-8
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('Failed to read file'));
+
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Extract text, structure and figures in the PDFExtractor.extractAll() shape
+     * Pages are handed to `options.onPage` as soon as they are finished and are not kept;
+     * the result then holds only the document-wide summary. Without onPage the pages are
+     * assembled into the full result.
+     * @param {Function} progressCallback - Called with progress updates
+     * @param {Object} options - Extraction options
+     * @param {Function} options.onPage - Called with each finished page entry, in order
+     * @returns {Promise<Object>} Combined extraction results (see DocumentAssembler.finish())
+     */
+    async extractAll(progressCallback = null, options = {}) {
+        if (!this.isLoaded()) {
+            throw new Error('No document loaded');
+        }
+
+        const stream = await this.startStream(options);
+        const outline = flattenOutline(this.outline);
+
+        for (const page of this.pages) {
+            this.throwIfCancelled();
+
+            const pageData = {
+                ...page,
+                links: [...page.links],
+                images: this.figures.filter(figure => figure.pageNum === page.pageNum),
+                length: page.text.length,
+                ocr: null
+            };
+
+            await this.cleanPage(pageData, stream);
+            this.postPage(pageData, stream, outline.filter(node => node.pageNum === page.pageNum));
+
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'Extracting content',
+                    current: page.pageNum,
+                    total: this.pages.length,
+                    percentage: (page.pageNum / this.pages.length) * 100
+                });
+            }
+        }
+
+        return this.endStream(stream);
+    }
+
+    /**
+     * Prepare to hand finished pages on one at a time
+     * @param {Object} options - Extraction options (onPage)
+     * @returns {Promise<Object>} Stream state for cleanPage(), postPage() and endStream()
+     */
+    async startStream(options = {}) {
+        await this.languageDetector.loadProfiles();
+
+        const assembler = options.onPage ? null : createDocumentAssembler();
+
+        return {
+            onPage: options.onPage || (page => assembler.addPage(page)),
+            finish: summary => (assembler ? assembler.finish(summary) : summary),
+            cleanup: { invisible: 0, softHyphens: 0, ligatures: 0, hyphenation: 0, total: 0 },
+            links: { mode: this.linkHandler.options.mode, count: 0, rewritten: 0 },
+            pages: []       // { pageNum, language } for the document languages
+        };
+    }
+
+    /**
+     * Repair the text of a page and rewrite its URLs for listening, adding to the stream totals
+     * @param {Object} pageData - Page entry (updated in place)
+     * @param {Object} stream - Stream state from startStream()
+     */
+    async cleanPage(pageData, stream) {
+        const cleanup = await this.textCleaner.cleanPages([pageData]);
+        const links = this.linkHandler.processPages([pageData]);
+
+        for (const key of Object.keys(stream.cleanup)) {
+            stream.cleanup[key] += cleanup[key];
+        }
+        stream.links.count += links.count;
+        stream.links.rewritten += links.rewritten;
+    }
+
+    /**
+     * Identify the language and section starts of a finished page and hand it on
+     * @param {Object} pageData - Finished page entry (gains `language` and `sections`)
+     * @param {Object} stream - Stream state from startStream()
+     * @param {Array} nodes - Outline nodes that start on the page
+     */
+    postPage(pageData, stream, nodes) {
+        pageData.language = this.languageDetector.detect(pageData.text);
+        pageData.sections = locateSections(nodes, pageData.text);
+
+        stream.pages.push({ pageNum: pageData.pageNum, language: pageData.language });
+        stream.onPage(pageData);
+    }
+
+    /**
+     * Build the document-wide summary once every page has been handed on
+     * @param {Object} stream - Stream state from startStream()
+     * @param {Object} extra - Format-specific summary fields
+     * @returns {Object} Extraction summary, or the assembled result when no onPage was given
+     */
+    endStream(stream, extra = {}) {
+        const languages = summarizeLanguages(stream.pages, this.languageDetector.options);
+
+        return stream.finish({
+            language: languages.name,
+            languages,
+            ocrPages: [],
+            cleanup: stream.cleanup,
+            links: stream.links,
+            outline: this.outline,
+            metadata: this.metadata,
+            ...extra
+        });
+    }
+
+    /**
+     * Stop a running extraction at the next page
+     * The pending extractAll() call rejects with ExtractionCancelledError.
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Throw if cancel() was called since the extraction started
+     * @throws {ExtractionCancelledError} If the extraction was cancelled
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            this.cancelled = false;
+            throw new ExtractionCancelledError();
+        }
+    }
+
+    /**
+     * Release the loaded document
+     */
+    close() {
+        this.file = null;
+        this.metadata = null;
+        this.outline = [];
+        this.pages = null;
+        this.figures = [];
+    }
+
+    /**
+     * Get page count
+     * Formats without fixed pages report chapters or page breaks as pages.
+     * @returns {number} Number of pages
+     */
+    getPageCount() {
+        return this.pages ? this.pages.length : 0;
+    }
+
+    /**
+     * Check if a document is loaded
+     * @returns {boolean} True if a document is loaded
+     */
+    isLoaded() {
+        return this.pages !== null;
+    }
+}
+
+export default DocumentExtractor;
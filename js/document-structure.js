@@ -0,0 +1,292 @@
+/**
+ * Document Structure Module
+ * Helpers for the chapter and section tree built from a PDF outline or the document's headings
+ */
+
+/**
+ * Flatten an outline tree in reading order
+ * @param {Array} outline - Outline nodes ({ title, level, pageNum, children })
+ * @returns {Array} Nodes in document order (same object references)
+ */
+export function flattenOutline(outline = []) {
+    const flat = [];
+
+    const walk = (nodes) => {
+        for (const node of nodes) {
+            flat.push(node);
+            walk(node.children || []);
+        }
+    };
+
+    walk(outline);
+    return flat;
+}
+
+/**
+ * Build an outline tree from headings found in the text
+ * @param {Array} headings - Headings in document order ({ title, level, pageNum })
+ * @returns {Array} Tree of { title, level, pageNum, children }
+ */
+export function buildOutlineFromHeadings(headings = []) {
+    const outline = [];
+    const stack = [];
+
+    for (const heading of headings) {
+        const node = { title: heading.title, level: heading.level, pageNum: heading.pageNum, children: [] };
+
+        while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+            stack.pop();
+        }
+
+        (stack.length > 0 ? stack[stack.length - 1].children : outline).push(node);
+        stack.push(node);
+    }
+
+    return outline;
+}
+
+/**
+ * Attach text offsets and page ranges to outline nodes
+ * Each node gains `id`, `start`, `end` (offsets into fullText) and `endPage`.
+ * A section ends where the next section of the same or a higher level begins.
+ * @param {Array} outline - Outline tree (nodes are updated in place)
+ * @param {Array} pages - Page entries with pageNum, offset and text, or instead of the text the
+ *                       `sections` located on the page (see locateSections())
+ * @param {number} textLength - Length of the full text
+ * @returns {Array} Flat list of sections in document order
+ */
+export function buildSections(outline, pages, textLength) {
+    const sections = flattenOutline(outline).filter(node => node.pageNum);
+    const lastPage = pages.length > 0 ? pages[pages.length - 1].pageNum : 1;
+
+    sections.forEach((node, index) => {
+        const page = pages.find(p => p.pageNum === node.pageNum);
+        const located = page && page.text === undefined
+            ? (page.sections || []).find(entry => entry.title === node.title)
+            : null;
+        node.id = `section-${index + 1}`;
+        node.start = page ? page.offset + (located ? located.start : locateTitle(page.text, node.title)) : textLength;
+    });
+
+    sections.forEach((node, index) => {
+        const next = sections.slice(index + 1).find(other => other.level <= node.level);
+
+        node.end = next ? Math.max(next.start, node.start) : textLength;
+
+        if (next) {
+            const nextPage = pages.find(p => p.pageNum === next.pageNum);
+            const startsPage = nextPage && next.start <= nextPage.offset;
+            node.endPage = Math.max(node.pageNum, startsPage ? next.pageNum - 1 : next.pageNum);
+        } else {
+            node.endPage = lastPage;
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * Find where outline entries start inside one page's text
+ * Gives the same offsets buildSections() finds once the page is part of the full text.
+ * @param {Array} nodes - Outline nodes on the page ({ title, level })
+ * @param {string} text - Page text
+ * @returns {Array} { title, level, start } with start relative to the page text
+ */
+export function locateSections(nodes, text) {
+    return nodes.map(node => ({ title: node.title, level: node.level, start: locateTitle(text, node.title) }));
+}
+
+/**
+ * Find the offset of a heading inside a page's text
+ * @param {string} text - Page text
+ * @param {string} title - Outline title
+ * @returns {number} Offset of the title, or 0 if it cannot be found
+ */
+export function locateTitle(text, title) {
+    const words = (title || '').split(/\s+/).filter(Boolean);
+    if (!text || words.length === 0) return 0;
+
+    const pattern = words
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+');
+    const match = new RegExp(pattern, 'i').exec(text);
+    if (!match) return 0;
+
+    // A Markdown heading marker in front of the title belongs to the section
+    const marker = /(?:^|\n)(#{1,6} )$/.exec(text.substring(0, match.index));
+    return marker ? match.index - marker[1].length : match.index;
+}
+
+/**
+ * Find the innermost section containing a text offset
+ * @param {Array} sections - Flat sections from buildSections()
+ * @param {number} offset - Offset into fullText
+ * @returns {Object|null} Section or null
+ */
+export function findSectionAt(sections = [], offset) {
+    let found = null;
+
+    for (const section of sections) {
+        if (section.start <= offset && offset < section.end) {
+            if (!found || section.level >= found.level) {
+                found = section;
+            }
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Get the text that belongs to a section itself, excluding its subsections
+ * @param {Array} sections - Flat sections from buildSections()
+ * @param {number} index - Index of the section
+ * @returns {Object} { start, end } offsets into fullText
+ */
+export function getOwnRange(sections, index) {
+    const section = sections[index];
+    const next = sections[index + 1];
+    const end = next ? Math.min(next.start, section.end) : section.end;
+
+    return { start: section.start, end: Math.max(end, section.start) };
+}
+
+/**
+ * Cut a document down to the given text ranges
+ * The selected text is the ranges joined by a blank line. Pages, sections and the outline
+ * are kept when they overlap the ranges, with offsets rebased onto the selected text.
+ * @param {Object} data - Extraction result ({ pages, sections, outline })
+ * @param {Array} ranges - Ranges ({ start, end }) into the document text
+ * @returns {Object} { ranges, length, pages, sections, outline } for the selected content;
+ *          `ranges` are the merged ranges with the `offset` of each in the selected text
+ */
+export function sliceDocument(data, ranges) {
+    const merged = mergeRanges(ranges);
+    let length = 0;
+
+    for (const range of merged) {
+        if (length > 0) length += 2;
+        range.offset = length;
+        length += range.end - range.start;
+    }
+
+    // Offsets inside a gap move to the start of the next selected range
+    const mapOffset = (offset) => {
+        for (const range of merged) {
+            if (offset < range.end) {
+                return range.offset + Math.max(0, offset - range.start);
+            }
+        }
+        return length;
+    };
+
+    const overlaps = (start, end) => merged.some(range =>
+        start < range.end && (end > range.start || (start === end && start >= range.start))
+    );
+
+    const pages = (data.pages || [])
+        .filter(page => overlaps(page.offset, page.offset + page.length))
+        .map(page => ({ ...page, offset: mapOffset(page.offset) }));
+
+    const kept = new Map();
+    const sections = (data.sections || [])
+        .filter(section => overlaps(section.start, section.end))
+        .map(section => {
+            const copy = { ...section, start: mapOffset(section.start), end: mapOffset(section.end), children: [] };
+            kept.set(section.id, copy);
+            return copy;
+        });
+
+    return {
+        ranges: merged,
+        length,
+        pages,
+        sections,
+        outline: filterOutline(data.outline || [], kept)
+    };
+}
+
+/**
+ * Remove excluded ranges from a set of ranges
+ * @param {Array} ranges - Ranges ({ start, end }) to keep
+ * @param {Array} excluded - Ranges ({ start, end }) to cut out
+ * @returns {Array} Disjoint remaining ranges in order
+ */
+export function excludeRanges(ranges, excluded) {
+    const cuts = mergeRanges(excluded);
+    const result = [];
+
+    for (const range of mergeRanges(ranges)) {
+        let start = range.start;
+
+        for (const cut of cuts) {
+            if (cut.end <= start || cut.start >= range.end) continue;
+            if (cut.start > start) result.push({ start, end: cut.start });
+            start = Math.max(start, cut.end);
+        }
+
+        if (start < range.end) result.push({ start, end: range.end });
+    }
+
+    return result;
+}
+
+/**
+ * Rebuild an outline tree from the kept section copies
+ * Nodes that were dropped but still have kept descendants stay so the hierarchy survives.
+ * @param {Array} nodes - Original outline nodes
+ * @param {Map} kept - Section id to rebased copy
+ * @returns {Array} Filtered outline tree
+ */
+function filterOutline(nodes, kept) {
+    const result = [];
+
+    for (const node of nodes) {
+        const children = filterOutline(node.children || [], kept);
+        const copy = kept.get(node.id);
+
+        if (copy) {
+            copy.children = children;
+            result.push(copy);
+        } else if (children.length > 0) {
+            result.push({ title: node.title, level: node.level, pageNum: node.pageNum, children });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Sort and merge overlapping ranges
+ * @param {Array} ranges - Ranges ({ start, end })
+ * @returns {Array} Disjoint ranges in order
+ */
+function mergeRanges(ranges) {
+    const sorted = ranges
+        .filter(range => range.end > range.start)
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+    }
+
+    return merged;
+}
+
+export default {
+    flattenOutline,
+    buildOutlineFromHeadings,
+    buildSections,
+    locateSections,
+    locateTitle,
+    findSectionAt,
+    getOwnRange,
+    sliceDocument,
+    excludeRanges
+};
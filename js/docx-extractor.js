@@ -0,0 +1,634 @@
+/**
+ * DOCX Extractor Module
+ * Reads Word documents (Office Open XML): headings, lists, tables, links, code, equations and images
+ */
+
+import { DocumentExtractor, getImageMimeType } from './document-extractor.js';
+import { openZip, resolvePath } from './zip-reader.js';
+import { parseXML } from './markup-converter.js';
+import { createTableDetector } from './table-detector.js';
+import { createFigureMarker } from './figure-locator.js';
+import { classifyFont } from './font-classifier.js';
+import { bytesToBase64 } from './utils.js';
+
+const DOCUMENT_PATH = 'word/document.xml';
+
+// Paragraph styles whose text is source code
+const CODE_STYLE_PATTERN = /code|source|preformatted|verbatim|listing/i;
+
+/**
+ * DOCX Extractor Class
+ * Rendered page breaks saved by Word split the text into pages; documents without them are one page
+ */
+export class DOCXExtractor extends DocumentExtractor {
+    async parse(file) {
+        const zip = openZip(await this.readFileAsArrayBuffer(file));
+
+        if (!zip.has(DOCUMENT_PATH)) {
+            throw new Error('Not a Word document (word/document.xml is missing)');
+        }
+
+        const doc = parseXML(await zip.readText(DOCUMENT_PATH));
+        const body = doc.getElementsByTagName('w:body')[0];
+
+        if (!body) {
+            throw new Error('Word document has no body');
+        }
+
+        const converter = new WordConverter({
+            relations: await this.readRelations(zip),
+            styles: await this.readStyles(zip),
+            numbering: await this.readNumbering(zip),
+            images: this.figureOptions.enabled
+        });
+        const { pages, headings, images } = converter.convert(body);
+
+        return {
+            pages,
+            headings,
+            figures: await this.readImages(zip, images),
+            info: await this.readInfo(zip)
+        };
+    }
+
+    /**
+     * Read an optional XML part
+     * @param {ZipArchive} zip - Document archive
+     * @param {string} path - Part path
+     * @returns {Promise<Document|null>} Parsed part, or null if absent
+     */
+    async readPart(zip, path) {
+        return zip.has(path) ? parseXML(await zip.readText(path)) : null;
+    }
+
+    /**
+     * Read the document relationships (hyperlink targets and embedded media)
+     * @param {ZipArchive} zip - Document archive
+     * @returns {Promise<Map>} Relationship id to { target, external }
+     */
+    async readRelations(zip) {
+        const relations = new Map();
+        const part = await this.readPart(zip, 'word/_rels/document.xml.rels');
+        if (!part) return relations;
+
+        for (const relation of part.getElementsByTagName('Relationship')) {
+            const external = relation.getAttribute('TargetMode') === 'External';
+            const target = relation.getAttribute('Target') || '';
+
+            relations.set(relation.getAttribute('Id'), {
+                target: external ? target : resolvePath(DOCUMENT_PATH, target),
+                external
+            });
+        }
+
+        return relations;
+    }
+
+    /**
+     * Read paragraph styles, resolving heading levels through style inheritance
+     * @param {ZipArchive} zip - Document archive
+     * @returns {Promise<Map>} Style id to { level, code }
+     */
+    async readStyles(zip) {
+        const styles = new Map();
+        const part = await this.readPart(zip, 'word/styles.xml');
+        if (!part) return styles;
+
+        const raw = new Map();
+        for (const style of part.getElementsByTagName('w:style')) {
+            const name = firstChild(style, 'w:name')?.getAttribute('w:val') || '';
+            const outline = firstChild(firstChild(style, 'w:pPr'), 'w:outlineLvl')?.getAttribute('w:val');
+            const heading = /^heading\s*(\d)$/i.exec(name);
+
+            raw.set(style.getAttribute('w:styleId'), {
+                basedOn: firstChild(style, 'w:basedOn')?.getAttribute('w:val'),
+                level: heading ? parseInt(heading[1], 10)
+                    : /^title$/i.test(name) ? 1
+                    : outline !== undefined && outline !== null && parseInt(outline, 10) < 9 ? parseInt(outline, 10) + 1
+                    : null,
+                code: CODE_STYLE_PATTERN.test(name)
+            });
+        }
+
+        for (const [id, style] of raw) {
+            let current = style;
+            const seen = new Set();
+            let level = style.level;
+            let code = style.code;
+
+            while (current && current.basedOn && !seen.has(current.basedOn) && (level === null || !code)) {
+                seen.add(current.basedOn);
+                current = raw.get(current.basedOn);
+                if (current && level === null) level = current.level;
+                if (current && !code) code = current.code;
+            }
+
+            styles.set(id, { level, code });
+        }
+
+        return styles;
+    }
+
+    /**
+     * Read list definitions
+     * @param {ZipArchive} zip - Document archive
+     * @returns {Promise<Map>} Numbering id to an array of ordered flags per list level
+     */
+    async readNumbering(zip) {
+        const numbering = new Map();
+        const part = await this.readPart(zip, 'word/numbering.xml');
+        if (!part) return numbering;
+
+        const abstract = new Map();
+        for (const definition of part.getElementsByTagName('w:abstractNum')) {
+            const levels = [];
+            for (const level of definition.getElementsByTagName('w:lvl')) {
+                const format = firstChild(level, 'w:numFmt')?.getAttribute('w:val') || 'bullet';
+                levels[parseInt(level.getAttribute('w:ilvl'), 10) || 0] = !['bullet', 'none'].includes(format);
+            }
+            abstract.set(definition.getAttribute('w:abstractNumId'), levels);
+        }
+
+        for (const num of part.getElementsByTagName('w:num')) {
+            const abstractId = firstChild(num, 'w:abstractNumId')?.getAttribute('w:val');
+            numbering.set(num.getAttribute('w:numId'), abstract.get(abstractId) || []);
+        }
+
+        return numbering;
+    }
+
+    /**
+     * Load embedded images as figures
+     * @param {ZipArchive} zip - Document archive
+     * @param {Array} images - Images from WordConverter ({ id, path, alt, pageNum })
+     * @returns {Promise<Array>} Figures in the PDFExtractor figure shape
+     */
+    async readImages(zip, images) {
+        const figures = [];
+
+        for (const image of images) {
+            const mimeType = getImageMimeType(image.path);
+            if (!mimeType || !zip.has(image.path)) continue;
+
+            try {
+                figures.push({
+                    id: image.id,
+                    pageNum: image.pageNum,
+                    label: null,
+                    caption: image.alt || null,
+                    box: null,
+                    base64: bytesToBase64(await zip.readBytes(image.path)),
+                    mimeType
+                });
+            } catch (error) {
+                console.warn(`Could not read Word image ${image.path}:`, error);
+            }
+        }
+
+        return figures;
+    }
+
+    /**
+     * Read the core document properties
+     * @param {ZipArchive} zip - Document archive
+     * @returns {Promise<Object>} { Title, Author }
+     */
+    async readInfo(zip) {
+        const part = await this.readPart(zip, 'docProps/core.xml');
+        if (!part) return {};
+
+        const read = (name) => {
+            const value = part.getElementsByTagName(name)[0]?.textContent.trim();
+            return value || undefined;
+        };
+
+        return { Title: read('dc:title'), Author: read('dc:creator') };
+    }
+}
+
+/**
+ * Find the first child element with a qualified name
+ * @param {Element|null} element - Parent element
+ * @param {string} name - Qualified name (e.g. "w:pPr")
+ * @returns {Element|null} Child element
+ */
+function firstChild(element, name) {
+    if (!element) return null;
+
+    for (const child of Array.from(element.childNodes)) {
+        if (child.nodeType === 1 && child.nodeName === name) return child;
+    }
+
+    return null;
+}
+
+/**
+ * Element children of a node
+ * @param {Element} element - Parent element
+ * @returns {Array<Element>} Child elements
+ */
+function childElements(element) {
+    return Array.from(element.childNodes).filter(child => child.nodeType === 1);
+}
+
+/**
+ * Walks a WordprocessingML body and builds pipeline text per page
+ */
+class WordConverter {
+    constructor({ relations, styles, numbering, images }) {
+        this.relations = relations;
+        this.styles = styles;
+        this.numbering = numbering;
+        this.collectImages = images;
+        this.tableDetector = createTableDetector();
+
+        this.pages = [{ blocks: [], links: [], tables: [] }];
+        this.headings = [];
+        this.images = [];
+        this.codeLines = [];
+        this.listCounters = new Map();
+    }
+
+    /**
+     * Convert the document body
+     * @param {Element} body - w:body element
+     * @returns {Object} { pages: [{ text, links, tables }], headings, images }
+     */
+    convert(body) {
+        this.walkBlocks(body);
+        this.flushCode();
+
+        // Dropping empty pages shifts page numbers; renumber headings and images to match
+        const kept = this.pages.filter(page => page.blocks.length > 0);
+        if (kept.length === 0) kept.push(this.pages[0]);
+        const renumber = pageNum => Math.max(1, kept.indexOf(this.pages[pageNum - 1]) + 1);
+
+        return {
+            pages: kept.map(page => ({ text: page.blocks.join('\n\n'), links: page.links, tables: page.tables })),
+            headings: this.headings.map(heading => ({ ...heading, pageNum: renumber(heading.pageNum) })),
+            images: this.images.map(image => ({ ...image, pageNum: renumber(image.pageNum) }))
+        };
+    }
+
+    get page() {
+        return this.pages[this.pages.length - 1];
+    }
+
+    get pageNum() {
+        return this.pages.length;
+    }
+
+    /**
+     * Start a new page
+     */
+    newPage() {
+        this.flushCode();
+        this.pages.push({ blocks: [], links: [], tables: [] });
+    }
+
+    /**
+     * Visit block-level content (body, cells, content controls)
+     * @param {Element} container - Element holding paragraphs and tables
+     */
+    walkBlocks(container) {
+        for (const element of childElements(container)) {
+            switch (element.nodeName) {
+                case 'w:p':
+                    this.addParagraph(element);
+                    break;
+                case 'w:tbl':
+                    this.flushCode();
+                    this.addTable(element);
+                    break;
+                case 'w:sdt':
+                    this.walkBlocks(firstChild(element, 'w:sdtContent') || element);
+                    break;
+                case 'w:customXml':
+                case 'w:ins':
+                    this.walkBlocks(element);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Emit collected code paragraphs as one fenced block
+     */
+    flushCode() {
+        while (this.codeLines.length > 0 && !this.codeLines[this.codeLines.length - 1].trim()) {
+            this.codeLines.pop();
+        }
+        if (this.codeLines.length === 0) return;
+
+        this.page.blocks.push('```\n' + this.codeLines.join('\n') + '\n```');
+        this.codeLines = [];
+    }
+
+    /**
+     * Convert a paragraph
+     * @param {Element} paragraph - w:p element
+     */
+    addParagraph(paragraph) {
+        const properties = firstChild(paragraph, 'w:pPr');
+        const styleId = firstChild(properties, 'w:pStyle')?.getAttribute('w:val');
+        const style = this.styles.get(styleId) || { level: null, code: false };
+        const outline = firstChild(properties, 'w:outlineLvl')?.getAttribute('w:val');
+        const level = outline !== undefined && outline !== null && parseInt(outline, 10) < 9
+            ? parseInt(outline, 10) + 1
+            : style.level;
+
+        if (firstChild(properties, 'w:pageBreakBefore') && this.page.blocks.length + this.codeLines.length > 0) {
+            this.newPage();
+        }
+
+        const state = { pieces: [], markers: [] };
+        this.walkInline(paragraph, state);
+
+        const parts = this.splitPages(state.pieces);
+
+        parts.forEach((pieces, index) => {
+            if (index > 0) this.newPage();
+
+            const text = joinPieces(pieces);
+            const blank = !text.trim();
+            const code = style.code || (!level && !blank && pieces.every(piece => piece.code || !piece.text.trim()));
+
+            // Blank paragraphs inside a listing stay part of it
+            if (code || (blank && this.codeLines.length > 0)) {
+                this.codeLines.push(pieces.map(piece => piece.text).join(''));
+                return;
+            }
+
+            this.flushCode();
+
+            const clean = text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+            if (!clean) return;
+
+            if (level && index === 0) {
+                this.page.blocks.push(`${'#'.repeat(Math.min(level, 6))} ${clean}`);
+                this.headings.push({ title: clean.replace(/\s+/g, ' '), level: Math.min(level, 6), pageNum: this.pageNum });
+            } else {
+                this.page.blocks.push((index === 0 ? this.listPrefix(properties) : '') + clean);
+            }
+        });
+
+        for (const marker of state.markers) {
+            this.flushCode();
+            this.page.blocks.push(marker);
+        }
+    }
+
+    /**
+     * Split paragraph pieces at page breaks
+     * @param {Array} pieces - Inline pieces ({ text, code } or { pageBreak })
+     * @returns {Array<Array>} Pieces per page
+     */
+    splitPages(pieces) {
+        const parts = [[]];
+
+        for (const piece of pieces) {
+            if (piece.pageBreak) parts.push([]);
+            else parts[parts.length - 1].push(piece);
+        }
+
+        // A break before any text only starts the page
+        while (parts.length > 1 && parts[0].every(piece => !piece.text.trim()) && this.page.blocks.length + this.codeLines.length === 0) {
+            parts.shift();
+        }
+
+        return parts;
+    }
+
+    /**
+     * List marker for a numbered or bulleted paragraph
+     * @param {Element} properties - w:pPr element
+     * @returns {string} "- ", "2. " or '' for normal paragraphs
+     */
+    listPrefix(properties) {
+        const numbering = firstChild(properties, 'w:numPr');
+        if (!numbering) return '';
+
+        const numId = firstChild(numbering, 'w:numId')?.getAttribute('w:val');
+        const depth = parseInt(firstChild(numbering, 'w:ilvl')?.getAttribute('w:val'), 10) || 0;
+        if (!numId || numId === '0') return '';
+
+        const ordered = (this.numbering.get(numId) || [])[depth];
+        const counters = this.listCounters.get(numId) || [];
+
+        counters[depth] = (counters[depth] || 0) + 1;
+        counters.length = depth + 1;
+        this.listCounters.set(numId, counters);
+
+        return '  '.repeat(depth) + (ordered ? `${counters[depth]}. ` : '- ');
+    }
+
+    /**
+     * Collect the inline content of a paragraph or hyperlink
+     * @param {Element} element - Container of runs
+     * @param {Object} state - { pieces, markers } being filled
+     */
+    walkInline(element, state) {
+        for (const child of childElements(element)) {
+            switch (child.nodeName) {
+                case 'w:r':
+                    this.addRun(child, state);
+                    break;
+                case 'w:hyperlink':
+                    this.addHyperlink(child, state);
+                    break;
+                case 'm:oMath':
+                case 'm:oMathPara':
+                    state.pieces.push({ text: `$${readMath(child).trim()}$`, code: false });
+                    break;
+                case 'w:ins':
+                case 'w:smartTag':
+                case 'w:fldSimple':
+                case 'w:customXml':
+                    this.walkInline(child, state);
+                    break;
+                case 'w:sdt':
+                    this.walkInline(firstChild(child, 'w:sdtContent') || child, state);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Keep hyperlink text in place and record its target
+     * @param {Element} hyperlink - w:hyperlink element
+     * @param {Object} state - Paragraph state
+     */
+    addHyperlink(hyperlink, state) {
+        const start = state.pieces.length;
+        this.walkInline(hyperlink, state);
+
+        const relation = this.relations.get(hyperlink.getAttribute('r:id'));
+        if (!relation || !relation.external || !/^https?:\/\//i.test(relation.target)) return;
+
+        const text = state.pieces.slice(start).map(piece => piece.text || '').join('').replace(/\s+/g, ' ').trim();
+        this.page.links.push({ url: relation.target, text });
+    }
+
+    /**
+     * Convert a run of text
+     * @param {Element} run - w:r element
+     * @param {Object} state - Paragraph state
+     */
+    addRun(run, state) {
+        const fonts = firstChild(firstChild(run, 'w:rPr'), 'w:rFonts');
+        const fontName = fonts ? fonts.getAttribute('w:ascii') || fonts.getAttribute('w:hAnsi') || '' : '';
+        const code = classifyFont({ name: fontName }) === 'code';
+
+        for (const child of childElements(run)) {
+            switch (child.nodeName) {
+                case 'w:t':
+                    state.pieces.push({ text: child.textContent, code });
+                    break;
+                case 'w:tab':
+                    state.pieces.push({ text: '\t', code });
+                    break;
+                case 'w:br':
+                    state.pieces.push(child.getAttribute('w:type') === 'page' ? { pageBreak: true } : { text: '\n', code });
+                    break;
+                case 'w:cr':
+                    state.pieces.push({ text: '\n', code });
+                    break;
+                case 'w:lastRenderedPageBreak':
+                    state.pieces.push({ pageBreak: true });
+                    break;
+                case 'w:noBreakHyphen':
+                    state.pieces.push({ text: '-', code });
+                    break;
+                case 'w:drawing':
+                case 'w:pict':
+                    this.addImage(child, state);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Record an embedded image and queue its figure marker after the paragraph
+     * @param {Element} drawing - w:drawing or w:pict element
+     * @param {Object} state - Paragraph state
+     */
+    addImage(drawing, state) {
+        const properties = drawing.getElementsByTagName('wp:docPr')[0];
+        const alt = properties ? (properties.getAttribute('descr') || properties.getAttribute('title') || '').trim() : '';
+        const blip = drawing.getElementsByTagName('a:blip')[0] || drawing.getElementsByTagName('v:imagedata')[0];
+        const relation = blip ? this.relations.get(blip.getAttribute('r:embed') || blip.getAttribute('r:id')) : null;
+
+        if (this.collectImages && relation && !relation.external && getImageMimeType(relation.target)) {
+            const id = `${this.pageNum}-${this.images.length + 1}`;
+            this.images.push({ id, path: relation.target, alt, pageNum: this.pageNum });
+            state.markers.push(createFigureMarker(id));
+        } else if (alt) {
+            state.markers.push(`Image: ${alt}`);
+        }
+    }
+
+    /**
+     * Convert a table to Markdown, or to paragraphs for single-column layout tables
+     * @param {Element} table - w:tbl element
+     */
+    addTable(table) {
+        const rows = childElements(table)
+            .filter(row => row.nodeName === 'w:tr')
+            .map(row => childElements(row)
+                .filter(cell => cell.nodeName === 'w:tc')
+                .map(cell => Array.from(cell.getElementsByTagName('w:p'))
+                    .map(paragraph => Array.from(paragraph.getElementsByTagName('w:t')).map(t => t.textContent).join(''))
+                    .join(' ')
+                    .replace(/\s+/g, ' ')
+                    .trim()))
+            .filter(cells => cells.some(Boolean));
+
+        const columns = Math.max(0, ...rows.map(cells => cells.length));
+
+        if (rows.length < 2 || columns < 2) {
+            rows.forEach(cells => cells.filter(Boolean).forEach(cell => this.page.blocks.push(cell)));
+            return;
+        }
+
+        const padded = rows.map(cells => [...cells, ...Array(columns - cells.length).fill('')]);
+        const markdown = this.tableDetector.toMarkdown(padded);
+
+        this.page.tables.push({ rows: padded, markdown });
+        this.page.blocks.push(markdown);
+    }
+}
+
+/**
+ * Join inline pieces, wrapping runs set in a code font in backticks
+ * @param {Array} pieces - Inline pieces ({ text, code })
+ * @returns {string} Paragraph text
+ */
+function joinPieces(pieces) {
+    let text = '';
+    let inCode = false;
+
+    for (const piece of pieces) {
+        const blank = !piece.text.trim();
+
+        if (!blank && piece.code !== inCode) {
+            text += '`';
+            inCode = piece.code;
+        }
+
+        text += piece.text;
+    }
+
+    return inCode ? text.replace(/(\s*)$/, '`$1') : text;
+}
+
+/**
+ * Read an Office Math (OMML) equation as TeX-like text
+ * @param {Element} element - OMML element
+ * @returns {string} Formula
+ */
+function readMath(element) {
+    const part = name => {
+        const child = firstChild(element, name);
+        return child ? readMath(child) : '';
+    };
+
+    switch (element.nodeName) {
+        case 'm:t':
+            return element.textContent;
+        case 'm:f':
+            return `\\frac{${part('m:num')}}{${part('m:den')}}`;
+        case 'm:sSup':
+            return `{${part('m:e')}}^{${part('m:sup')}}`;
+        case 'm:sSub':
+            return `{${part('m:e')}}_{${part('m:sub')}}`;
+        case 'm:sSubSup':
+            return `{${part('m:e')}}_{${part('m:sub')}}^{${part('m:sup')}}`;
+        case 'm:rad': {
+            const degree = part('m:deg');
+            return degree ? `\\sqrt[${degree}]{${part('m:e')}}` : `\\sqrt{${part('m:e')}}`;
+        }
+        case 'm:d': {
+            const properties = firstChild(element, 'm:dPr');
+            const open = firstChild(properties, 'm:begChr')?.getAttribute('m:val') ?? '(';
+            const close = firstChild(properties, 'm:endChr')?.getAttribute('m:val') ?? ')';
+            const items = childElements(element).filter(child => child.nodeName === 'm:e').map(readMath);
+            return `${open}${items.join(', ')}${close}`;
+        }
+        case 'm:nary': {
+            const symbol = firstChild(firstChild(element, 'm:naryPr'), 'm:chr')?.getAttribute('m:val') || '∫';
+            const sub = part('m:sub');
+            const sup = part('m:sup');
+            return `${symbol}${sub ? `_{${sub}}` : ''}${sup ? `^{${sup}}` : ''} ${part('m:e')}`;
+        }
+        case 'm:rPr':
+        case 'm:ctrlPr':
+        case 'w:rPr':
+            return '';
+    }
+
+    if (element.nodeName.endsWith('Pr')) return '';
+
+    return childElements(element).map(readMath).join('');
+}
+
+export default DOCXExtractor;
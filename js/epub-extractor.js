@@ -0,0 +1,139 @@
+/**
+ * EPUB Extractor Module
+ * Reads EPUB 2 and 3 books: each spine document becomes one page
+ */
+
+import { DocumentExtractor, getImageMimeType } from './document-extractor.js';
+import { openZip, resolvePath } from './zip-reader.js';
+import { parseMarkup, parseXML, htmlToText } from './markup-converter.js';
+import { createFigureMarker } from './figure-locator.js';
+import { bytesToBase64 } from './utils.js';
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+/**
+ * EPUB Extractor Class
+ * Follows the package spine for reading order; chapter headings build the outline
+ */
+export class EPUBExtractor extends DocumentExtractor {
+    async parse(file) {
+        const zip = openZip(await this.readFileAsArrayBuffer(file));
+
+        if (!zip.has(CONTAINER_PATH)) {
+            throw new Error('Not an EPUB book (META-INF/container.xml is missing)');
+        }
+
+        const container = parseXML(await zip.readText(CONTAINER_PATH));
+        const rootfile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+        const packagePath = rootfile ? rootfile.getAttribute('full-path') : null;
+
+        if (!packagePath || !zip.has(packagePath)) {
+            throw new Error('EPUB package document not found');
+        }
+
+        const opf = parseXML(await zip.readText(packagePath));
+        const manifest = new Map();
+
+        for (const item of opf.getElementsByTagNameNS('*', 'item')) {
+            manifest.set(item.getAttribute('id'), {
+                path: resolvePath(packagePath, item.getAttribute('href')),
+                mediaType: item.getAttribute('media-type') || ''
+            });
+        }
+
+        const spine = Array.from(opf.getElementsByTagNameNS('*', 'itemref'))
+            .filter(ref => ref.getAttribute('linear') !== 'no')
+            .map(ref => manifest.get(ref.getAttribute('idref')))
+            .filter(item => item && /html/.test(item.mediaType) && zip.has(item.path));
+
+        const pages = [];
+        const headings = [];
+        const figures = [];
+
+        for (const item of spine) {
+            const pageNum = pages.length + 1;
+            const doc = parseMarkup(await zip.readText(item.path), true);
+            const result = htmlToText(doc, {
+                images: this.figureOptions.enabled,
+                idPrefix: `${pageNum}`
+            });
+
+            const images = await this.readImages(zip, item.path, result.images, pageNum);
+            let text = result.text;
+
+            // Images that cannot be sent fall back to their alt text
+            for (const image of result.images) {
+                if (images.some(figure => figure.id === image.id)) continue;
+                text = text.replace(createFigureMarker(image.id), image.alt ? `Image: ${image.alt}` : '');
+            }
+
+            // Title pages and image-only wrappers add nothing to listen to
+            if (!text.trim()) continue;
+
+            pages.push({ text: text.replace(/\n{3,}/g, '\n\n').trim(), links: result.links, tables: result.tables });
+            headings.push(...result.headings.map(heading => ({ ...heading, pageNum })));
+            figures.push(...images);
+        }
+
+        if (pages.length === 0) {
+            throw new Error('The book contains no readable text');
+        }
+
+        return { pages, headings, figures, info: this.readInfo(opf) };
+    }
+
+    /**
+     * Load the images referenced by a content document
+     * @param {ZipArchive} zip - Book archive
+     * @param {string} documentPath - Path of the content document
+     * @param {Array} images - Images from htmlToText() ({ id, src, alt, caption })
+     * @param {number} pageNum - Page (spine position) of the document
+     * @returns {Promise<Array>} Figures in the PDFExtractor figure shape
+     */
+    async readImages(zip, documentPath, images, pageNum) {
+        const figures = [];
+
+        for (const image of images) {
+            const path = resolvePath(documentPath, image.src);
+            const mimeType = getImageMimeType(path);
+
+            if (!mimeType || !zip.has(path)) continue;
+
+            try {
+                figures.push({
+                    id: image.id,
+                    pageNum,
+                    label: null,
+                    caption: image.caption,
+                    box: null,
+                    base64: bytesToBase64(await zip.readBytes(path)),
+                    mimeType
+                });
+            } catch (error) {
+                console.warn(`Could not read EPUB image ${path}:`, error);
+            }
+        }
+
+        return figures;
+    }
+
+    /**
+     * Read Dublin Core metadata from the package document
+     * @param {Document} opf - Package document
+     * @returns {Object} { Title, Author, Language }
+     */
+    readInfo(opf) {
+        const read = (name) => {
+            const element = opf.getElementsByTagNameNS('*', name)[0];
+            return element ? element.textContent.trim() : undefined;
+        };
+
+        return {
+            Title: read('title'),
+            Author: read('creator'),
+            Language: read('language')
+        };
+    }
+}
+
+export default EPUBExtractor;
@@ -0,0 +1,77 @@
+/**
+ * Extraction Worker Module
+ * Web Worker entry point that runs PDF extraction off the main thread.
+ * Started by WorkerExtractor; finished pages are posted one message at a time.
+ *
+ * Messages in:  init { pdfjs: { src, workerSrc } }, load { file, options }, password { password }, extract
+ * Messages out: ready, loaded { metadata }, password { request }, progress { progress },
+ *               page { page }, done { result }, error { error: { name, message } }
+ */
+
+import { createExtractor } from './extractor-registry.js';
+
+let extractor = null;
+let passwordReply = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (message.type === 'password') {
+        if (passwordReply) passwordReply(message.password);
+        passwordReply = null;
+        return;
+    }
+
+    handleMessage(message).catch(error => {
+        self.postMessage({ type: 'error', error: { name: error.name, message: error.message } });
+    });
+});
+
+/**
+ * Handle a request from WorkerExtractor
+ * @param {Object} message - Request from WorkerExtractor
+ */
+async function handleMessage(message) {
+    if (message.type === 'init') {
+        await loadPDFJS(message.pdfjs);
+        self.postMessage({ type: 'ready' });
+    } else if (message.type === 'load') {
+        extractor = createExtractor(message.file, { ...message.options, worker: false });
+        const metadata = await extractor.loadFile(message.file, { requestPassword });
+
+        self.postMessage({ type: 'loaded', metadata });
+    } else if (message.type === 'extract') {
+        // Pages are posted one by one as they are finished; the result is only the summary
+        const result = await extractor.extractAll(
+            progress => self.postMessage({ type: 'progress', progress }),
+            { onPage: page => self.postMessage({ type: 'page', page }) }
+        );
+
+        self.postMessage({ type: 'done', result });
+    }
+}
+
+/**
+ * Load pdf.js into the worker (the page loads it with a script tag)
+ * @param {Object} pdfjs - { src, workerSrc } as used by the page
+ */
+async function loadPDFJS({ src, workerSrc }) {
+    if (typeof pdfjsLib === 'undefined') {
+        // The UMD build sets globalThis.pdfjsLib when imported
+        await import(src);
+    }
+
+    pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+}
+
+/**
+ * Ask the page for the password of an encrypted PDF
+ * @param {Object} request - { incorrect, attempt }
+ * @returns {Promise<string|null>} Password, or null if the prompt was dismissed
+ */
+function requestPassword(request) {
+    return new Promise((resolve) => {
+        passwordReply = resolve;
+        self.postMessage({ type: 'password', request });
+    });
+}
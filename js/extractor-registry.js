@@ -0,0 +1,135 @@
+/**
+ * Extractor Registry Module
+ * Routes an uploaded file to the extractor for its format
+ */
+
+import { PDFExtractor } from './pdf-extractor.js';
+import { EPUBExtractor } from './epub-extractor.js';
+import { DOCXExtractor } from './docx-extractor.js';
+import { PlainTextExtractor, MarkdownExtractor, HTMLExtractor } from './text-extractors.js';
+import { WorkerExtractor, createWorkerExtractor } from './worker-extractor.js';
+
+/**
+ * Registered formats, checked in order
+ * Each entry: { id, label, extensions, mimeTypes, create(options) }. Formats marked
+ * `worker: true` are extracted in a Web Worker, so their extractor must not need the DOM.
+ */
+const FORMATS = [
+    {
+        id: 'pdf',
+        label: 'PDF',
+        extensions: ['.pdf'],
+        mimeTypes: ['application/pdf'],
+        worker: true,
+        create: options => new PDFExtractor(options)
+    },
+    {
+        id: 'epub',
+        label: 'EPUB',
+        extensions: ['.epub'],
+        mimeTypes: ['application/epub+zip'],
+        create: options => new EPUBExtractor(options)
+    },
+    {
+        id: 'docx',
+        label: 'Word',
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        create: options => new DOCXExtractor(options)
+    },
+    {
+        id: 'html',
+        label: 'HTML',
+        extensions: ['.html', '.htm', '.xhtml'],
+        mimeTypes: ['text/html', 'application/xhtml+xml'],
+        create: options => new HTMLExtractor(options)
+    },
+    {
+        id: 'markdown',
+        label: 'Markdown',
+        extensions: ['.md', '.markdown', '.mdown'],
+        mimeTypes: ['text/markdown', 'text/x-markdown'],
+        create: options => new MarkdownExtractor(options)
+    },
+    {
+        id: 'text',
+        label: 'plain text',
+        extensions: ['.txt', '.text'],
+        mimeTypes: ['text/plain'],
+        create: options => new PlainTextExtractor(options)
+    }
+];
+
+/**
+ * Register an additional input format
+ * Later registrations take precedence, so a format can also replace a built-in one.
+ * @param {Object} format - { id, label, extensions, mimeTypes, worker, create(options) }
+ */
+export function registerFormat(format) {
+    FORMATS.unshift(format);
+}
+
+/**
+ * Find the format of a file
+ * The extension decides first because browsers report no or generic MIME types for
+ * Markdown and EPUB files.
+ * @param {File} file - Selected file
+ * @returns {Object|null} Format entry, or null if unsupported
+ */
+export function getFormat(file) {
+    if (!file) return null;
+
+    const name = (file.name || '').toLowerCase();
+
+    return FORMATS.find(format => format.extensions.some(extension => name.endsWith(extension))) ||
+        FORMATS.find(format => file.type && format.mimeTypes.includes(file.type)) ||
+        null;
+}
+
+/**
+ * Create the extractor for a file
+ * @param {File} file - Selected file
+ * @param {Object} options - Extractor options (ocr, footnotes, figures, links)
+ * @param {boolean} options.worker - Set to false to extract on the current thread
+ * @returns {DocumentExtractor} Extractor instance
+ * @throws {Error} If the format is not supported
+ */
+export function createExtractor(file, options = {}) {
+    const format = getFormat(file);
+
+    if (!format) {
+        throw new Error(`Unsupported file type. Supported formats: ${getSupportedFormats().join(', ')}.`);
+    }
+
+    const { worker = true, ...extractorOptions } = options;
+
+    if (worker && format.worker && WorkerExtractor.isSupported()) {
+        return createWorkerExtractor(format, extractorOptions);
+    }
+
+    return format.create(extractorOptions);
+}
+
+/**
+ * Labels of the supported formats
+ * @returns {Array<string>} Format labels
+ */
+export function getSupportedFormats() {
+    return [...new Set(FORMATS.map(format => format.label))];
+}
+
+/**
+ * File input `accept` value covering every supported format
+ * @returns {string} Comma-separated extensions
+ */
+export function getAcceptedExtensions() {
+    return [...new Set(FORMATS.flatMap(format => format.extensions))].join(',');
+}
+
+export default {
+    registerFormat,
+    getFormat,
+    createExtractor,
+    getSupportedFormats,
+    getAcceptedExtensions
+};
@@ -0,0 +1,286 @@
+/**
+ * Figure Locator Module
+ * Finds where images are painted on a page, pairs them with captions and marks their place in the text
+ */
+
+/**
+ * Figure defaults, shared with the PDF extractor
+ */
+export const FIGURE_DEFAULTS = {
+    enabled: true,
+    renderScale: 2,         // Canvas scale used when rendering a page to crop its figures
+    maxDimension: 1536,     // Longest side of a cropped figure, in pixels
+    minSize: 36,            // Images smaller than this (points) on either side are icons or rules
+    maxPageShare: 0.9,      // Images covering more of the page are backgrounds or scans
+    mergeGap: 4,            // Image tiles closer than this (points) form one figure
+    captionDistance: 6      // Furthest caption distance, in multiples of the body font size
+};
+
+const CAPTION_PATTERN = /^(fig(?:ure)?\.?)\s*(\d+(?:\.\d+)*[a-z]?)\s*[:.\-–—]/i;
+
+/**
+ * Marker left in the page text where a figure appears
+ * It stays on its own paragraph until TextProcessor swaps it for the figure description.
+ */
+export const FIGURE_MARKER_PATTERN = /\[\[FIGURE ([^\]]+)\]\]/g;
+
+/**
+ * Build the text marker for a figure
+ * @param {string} id - Figure id
+ * @returns {string} Marker
+ */
+export function createFigureMarker(id) {
+    return `[[FIGURE ${id}]]`;
+}
+
+/**
+ * Figure Locator Class
+ * Works on the operator list (where images are painted) and the layout (where captions are)
+ */
+export class FigureLocator {
+    constructor(options = {}) {
+        this.options = { ...FIGURE_DEFAULTS, ...options };
+    }
+
+    /**
+     * Find figure bounding boxes from a page's operator list
+     * @param {Object} operatorList - PDF.js operator list ({ fnArray, argsArray })
+     * @param {Object} OPS - pdfjsLib.OPS
+     * @param {Array<number>} view - Page box [x0, y0, x1, y1] in PDF user space
+     * @returns {Array} Boxes ({ x0, y0, x1, y1 }) in PDF user space, top to bottom
+     */
+    findFigureBoxes(operatorList, OPS, view) {
+        const pageArea = (view[2] - view[0]) * (view[3] - view[1]);
+        const boxes = this.findImageBoxes(operatorList, OPS);
+
+        return this.mergeBoxes(boxes)
+            .filter(box => {
+                const width = box.x1 - box.x0;
+                const height = box.y1 - box.y0;
+                return width >= this.options.minSize &&
+                       height >= this.options.minSize &&
+                       width * height <= pageArea * this.options.maxPageShare;
+            })
+            .sort((a, b) => b.y1 - a.y1 || a.x0 - b.x0);
+    }
+
+    /**
+     * Track the transformation matrix through the operator list and record every painted image
+     * Images are drawn into the unit square, so their box is the unit square under the current matrix.
+     * @param {Object} operatorList - PDF.js operator list
+     * @param {Object} OPS - pdfjsLib.OPS
+     * @returns {Array} Image boxes in PDF user space
+     */
+    findImageBoxes({ fnArray, argsArray }, OPS) {
+        const stack = [];
+        const boxes = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+
+        const imageOps = new Set([
+            OPS.paintImageXObject,
+            OPS.paintInlineImageXObject,
+            OPS.paintImageMaskXObject
+        ]);
+
+        for (let i = 0; i < fnArray.length; i++) {
+            const fn = fnArray[i];
+            const args = argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(ctm);
+            } else if (fn === OPS.restore) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = multiply(ctm, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push(ctm);
+                if (args && args[0]) ctm = multiply(ctm, args[0]);
+            } else if (fn === OPS.paintFormXObjectEnd) {
+                ctm = stack.pop() || ctm;
+            } else if (imageOps.has(fn)) {
+                boxes.push(unitBox(ctm));
+            } else if (fn === OPS.paintImageXObjectRepeat) {
+                // args: objId, scaleX, scaleY, positions [x0, y0, x1, y1, ...]
+                const [, scaleX, scaleY, positions] = args;
+                for (let p = 0; p < positions.length; p += 2) {
+                    boxes.push(unitBox(multiply(ctm, [scaleX, 0, 0, scaleY, positions[p], positions[p + 1]])));
+                }
+            }
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Merge overlapping or touching boxes (tiled images, image plus mask)
+     * @param {Array} boxes - Boxes
+     * @returns {Array} Merged boxes
+     */
+    mergeBoxes(boxes) {
+        const merged = boxes.map(box => ({ ...box }));
+        const gap = this.options.mergeGap;
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+
+            for (let i = 0; i < merged.length && !changed; i++) {
+                for (let j = i + 1; j < merged.length; j++) {
+                    const a = merged[i];
+                    const b = merged[j];
+
+                    if (a.x0 - gap <= b.x1 && b.x0 - gap <= a.x1 && a.y0 - gap <= b.y1 && b.y0 - gap <= a.y1) {
+                        merged[i] = {
+                            x0: Math.min(a.x0, b.x0),
+                            y0: Math.min(a.y0, b.y0),
+                            x1: Math.max(a.x1, b.x1),
+                            y1: Math.max(a.y1, b.y1)
+                        };
+                        merged.splice(j, 1);
+                        changed = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Pair figure boxes with their "Figure N:" captions
+     * Captions below a figure are preferred over captions above it.
+     * @param {Array} boxes - Figure boxes
+     * @param {Object} layout - Page layout result
+     * @returns {Array} Figures ({ box, caption, label }) where caption is a layout paragraph or null
+     */
+    pairCaptions(boxes, layout) {
+        const maxDistance = this.options.captionDistance * (layout.fontSize || 10);
+        const candidates = [];
+
+        layout.paragraphs.forEach(paragraph => {
+            const match = CAPTION_PATTERN.exec(paragraph.text);
+            if (!match) return;
+
+            const bounds = paragraphBounds(paragraph);
+
+            boxes.forEach((box, index) => {
+                if (bounds.x0 > box.x1 || bounds.x1 < box.x0) return;
+
+                const below = box.y0 - bounds.y1;
+                const above = bounds.y0 - box.y1;
+                const distance = below >= -2 ? below : above >= -2 ? above * 1.5 : Infinity;
+
+                if (distance <= maxDistance) {
+                    candidates.push({ index, paragraph, distance, label: `Figure ${match[2]}` });
+                }
+            });
+        });
+
+        const figures = boxes.map(box => ({ box, caption: null, label: null }));
+        const used = new Set();
+
+        for (const candidate of candidates.sort((a, b) => a.distance - b.distance)) {
+            const figure = figures[candidate.index];
+            if (figure.caption || used.has(candidate.paragraph)) continue;
+
+            figure.caption = candidate.paragraph;
+            figure.label = candidate.label;
+            used.add(candidate.paragraph);
+        }
+
+        return figures;
+    }
+
+    /**
+     * Insert a marker paragraph for each figure into the page's paragraphs
+     * A captioned figure is marked just before its caption; otherwise before the first
+     * paragraph below it in the same column, or at the end of the page.
+     * @param {Array} paragraphs - Layout paragraphs in reading order
+     * @param {Array} figures - Figures ({ id, box, caption }) from pairCaptions()
+     * @param {number} fontSize - Body font size
+     * @returns {Array} Paragraphs with marker paragraphs added
+     */
+    insertMarkers(paragraphs, figures, fontSize) {
+        const result = [...paragraphs];
+
+        for (const figure of figures) {
+            let index = figure.caption ? result.indexOf(figure.caption) : -1;
+
+            if (index === -1) {
+                index = result.findIndex(paragraph => {
+                    const bounds = paragraphBounds(paragraph);
+                    return bounds.y1 <= figure.box.y0 + 2 && bounds.x0 < figure.box.x1 && bounds.x1 > figure.box.x0;
+                });
+            }
+
+            const text = createFigureMarker(figure.id);
+            const line = {
+                text,
+                items: [],
+                baseline: figure.box.y0,
+                ...figure.box,
+                fontSize,
+                figure: figure.id
+            };
+
+            result.splice(index === -1 ? result.length : index, 0, { lines: [line], text, fontSize });
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Bounding box of a paragraph
+ * @param {Object} paragraph - Layout paragraph
+ * @returns {Object} { x0, y0, x1, y1 }
+ */
+function paragraphBounds(paragraph) {
+    return {
+        x0: Math.min(...paragraph.lines.map(line => line.x0)),
+        x1: Math.max(...paragraph.lines.map(line => line.x1)),
+        y0: Math.min(...paragraph.lines.map(line => line.y0)),
+        y1: Math.max(...paragraph.lines.map(line => line.y1))
+    };
+}
+
+/**
+ * Multiply two PDF transformation matrices (m2 applied first)
+ * @param {Array<number>} m1 - Outer matrix
+ * @param {Array<number>} m2 - Inner matrix
+ * @returns {Array<number>} Product
+ */
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+/**
+ * Box of the unit square under a matrix
+ * @param {Array<number>} m - Transformation matrix
+ * @returns {Object} { x0, y0, x1, y1 }
+ */
+function unitBox(m) {
+    const xs = [m[4], m[0] + m[4], m[2] + m[4], m[0] + m[2] + m[4]];
+    const ys = [m[5], m[1] + m[5], m[3] + m[5], m[1] + m[3] + m[5]];
+
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+/**
+ * Create figure locator
+ * @param {Object} options - Locator options
+ * @returns {FigureLocator} Locator instance
+ */
+export function createFigureLocator(options = {}) {
+    return new FigureLocator(options);
+}
+
+export default FigureLocator;
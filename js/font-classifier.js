@@ -0,0 +1,79 @@
+/**
+ * Font Classifier Module
+ * Recognizes code (monospaced), math and bold fonts from PDF font names
+ */
+
+// TeX and OpenType math fonts: Computer Modern math italic/symbols/extensions, AMS symbols, STIX, Cambria Math
+const MATH_FONT_PATTERN = /^(CMMI|CMBX?SY|CMSY|CMEX|MSAM|MSBM|EUFM|EUSM|RSFS|ESINT|STIX|XITSMath|LatinModernMath|TeXGyre\w*Math|CambriaMath|LMMathItalic|LMMathSymbols|LMMathExtension|MathematicalPi|MTMI|MTSY|MTEX)/i;
+
+// Typewriter and programming fonts, for PDFs whose fonts are not flagged as fixed pitch
+const CODE_FONT_PATTERN = /(Courier|Consol|Menlo|Monaco|Inconsolata|CMTT|SFTT|LMTypewriter|Typewriter|LucidaConsole|SourceCodePro|FiraCode|CascadiaCode|CodeNewRoman|Monospace)/i;
+
+// "Mono" as its own word of the name (DejaVuSansMono, RobotoMono-Bold, LMMono10), not Monotype or Monoline
+const MONO_WORD_PATTERN = /Mono(?![a-z])/;
+
+// Bold, semibold and black faces, including TeX's bold extended fonts (CMBX10, LMRoman10-Bold)
+const BOLD_FONT_PATTERN = /(Bold|Black|Heavy|Semibold|Demi|CMBX|CMB\d|Bd$|,B$)/i;
+
+/**
+ * Classify a font
+ * @param {Object} font - { name, family } where name is the PDF font name (e.g. "ABCDEF+CMMI10")
+ *                        and family is the generic family pdf.js reports ("monospace", "serif", ...)
+ * @returns {string|null} 'math', 'code' or null for text fonts
+ */
+export function classifyFont({ name = '', family = '' } = {}) {
+    const baseName = name.replace(/^[A-Z]{6}\+/, '').replace(/[\s_-]/g, '');
+
+    if (MATH_FONT_PATTERN.test(baseName)) return 'math';
+    if (family === 'monospace' || CODE_FONT_PATTERN.test(baseName) || MONO_WORD_PATTERN.test(baseName)) return 'code';
+
+    return null;
+}
+
+/**
+ * Check whether a font is a bold face
+ * @param {Object} font - { name } where name is the PDF font name (e.g. "ABCDEF+Helvetica-Bold")
+ * @returns {boolean} True for bold fonts
+ */
+export function isBoldFont({ name = '' } = {}) {
+    return BOLD_FONT_PATTERN.test(name.replace(/^[A-Z]{6}\+/, '').replace(/[\s_-]/g, ''));
+}
+
+/**
+ * Classify every font used on a page
+ * @param {Object} styles - PDF.js textContent.styles (font id to { fontFamily })
+ * @param {Function} getName - Returns the PDF font name for a font id (or '' if unknown)
+ * @returns {Object} Font id to 'math', 'code' or null
+ */
+export function classifyFonts(styles = {}, getName = () => '') {
+    const fonts = {};
+
+    for (const [fontId, style] of Object.entries(styles)) {
+        fonts[fontId] = classifyFont({ name: getName(fontId), family: style.fontFamily });
+    }
+
+    return fonts;
+}
+
+/**
+ * Find the bold fonts used on a page
+ * @param {Object} styles - PDF.js textContent.styles (font id to { fontFamily })
+ * @param {Function} getName - Returns the PDF font name for a font id (or '' if unknown)
+ * @returns {Object} Font id to 'bold' or null
+ */
+export function classifyWeights(styles = {}, getName = () => '') {
+    const weights = {};
+
+    for (const fontId of Object.keys(styles)) {
+        weights[fontId] = isBoldFont({ name: getName(fontId) }) ? 'bold' : null;
+    }
+
+    return weights;
+}
+
+export default {
+    classifyFont,
+    classifyFonts,
+    isBoldFont,
+    classifyWeights
+};
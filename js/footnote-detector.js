@@ -0,0 +1,282 @@
+/**
+ * Footnote Detector Module
+ * Finds footnote blocks at the foot of a page and the superscript markers that refer to them
+ */
+
+import { median } from './utils.js';
+
+/**
+ * Footnote defaults, shared with the PDF extractor
+ * mode: 'drop' removes notes, 'inline' reads each note after its sentence,
+ * 'section' collects notes at the end of the section that references them
+ */
+export const FOOTNOTE_DEFAULTS = {
+    mode: 'section',
+    noteSize: 0.9,          // Footnote lines are set below this share of the body font size
+    markerSize: 0.85,       // Reference markers are set below this share of their line's font size
+    markerRaise: 0.15       // Reference markers sit at least this far (in line font sizes) above the baseline
+};
+
+// Private-use delimiters keep marker positions through text cleanup until notes are placed
+const TOKEN_PATTERN = /\uE000([^\uE001]+)\uE001/g;
+const SENTENCE_END_PATTERN = /[.!?]["'”’)\]]*(?=\s|$)|\n\n/g;
+
+const MARKER_PATTERN = /^(\d{1,3}|[*†‡§¶]{1,3})$/;
+const NOTE_START_PATTERN = /^(\d{1,3}|[*†‡§¶]{1,3})[.)]?(?:\s+|$)/;
+
+/**
+ * Footnote Detector Class
+ * Works on LayoutAnalyzer page results after running headers and footers are removed
+ */
+export class FootnoteDetector {
+    constructor(options = {}) {
+        this.options = { ...FOOTNOTE_DEFAULTS, ...options };
+    }
+
+    /**
+     * Detect footnotes on a page
+     * @param {Object} layout - Page layout result from LayoutAnalyzer
+     * @returns {Object} { notes, markers } where notes are { marker, text, lines } and
+     *                   markers are { marker, line, item } linked to a note on the page
+     */
+    detect(layout) {
+        if (!layout || layout.lines.length < 2) {
+            return { notes: [], markers: [] };
+        }
+
+        const notes = this.findNotes(layout);
+        if (notes.length === 0) {
+            return { notes: [], markers: [] };
+        }
+
+        const noteLines = new Set(notes.flatMap(note => note.lines));
+        const known = new Set(notes.map(note => note.marker));
+        const markers = [];
+
+        for (const line of layout.lines) {
+            if (noteLines.has(line) || line.table) continue;
+
+            for (const item of line.items) {
+                const marker = item.str.trim();
+                if (known.has(marker) && this.isMarkerItem(item, line)) {
+                    markers.push({ marker, line, item });
+                }
+            }
+        }
+
+        return { notes, markers };
+    }
+
+    /**
+     * Get the placeholder that stands in for a reference marker in page text
+     * @param {Object} note - Note with an id
+     * @returns {string} Placeholder token
+     */
+    createToken(note) {
+        return `\uE000${note.id}\uE001`;
+    }
+
+    /**
+     * Replace placeholders with the note text, read after the sentence holding the marker
+     * Notes without a marker on the page are added as a paragraph at the end.
+     * @param {string} text - Page text with placeholders
+     * @param {Array} notes - Page notes ({ id, marker, text })
+     * @returns {string} Text with notes inline
+     */
+    placeInline(text, notes) {
+        const byId = new Map(notes.map(note => [note.id, note]));
+        const { text: stripped, positions } = this.stripTokens(text);
+        const insertions = [];
+
+        for (const { id, offset } of positions) {
+            const note = byId.get(id);
+            if (!note) continue;
+
+            byId.delete(id);
+            insertions.push({ at: this.findSentenceEnd(stripped, offset), note });
+        }
+
+        // Stable sort keeps notes that end the same sentence in marker order
+        insertions.sort((a, b) => a.at - b.at);
+
+        let result = '';
+        let last = 0;
+
+        for (const { at, note } of insertions) {
+            result += stripped.slice(last, at) + ` (Footnote ${note.marker}: ${note.text})`;
+            last = at;
+        }
+        result += stripped.slice(last);
+
+        const unlinked = [...byId.values()].map(note => `Footnote ${note.marker}: ${note.text}`);
+        return [result, ...unlinked].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Collect notes at the end of the section that references them, one page at a time
+     * A section ends where the next outline entry starts; without an outline the whole
+     * document is one section. Notes still open after the page wait in `pending` for the
+     * next section start, or are set out at the end of the last page.
+     * @param {Object} page - Page entry with placeholders in its text and its `footnotes` (updated in place)
+     * @param {Array<number>} starts - Offsets in the page text where sections start
+     * @param {Array} pending - Notes referenced on earlier pages and not placed yet (updated in place)
+     * @param {boolean} last - True for the last page of the document
+     */
+    placeBeforeSections(page, starts, pending, last = false) {
+        const notes = new Map((page.footnotes || []).map(note => [note.id, note]));
+        const text = page.text;
+        const parts = [];   // Page text between set-out blocks, alternating with the blocks
+        let current = '';
+        let from = 0;
+
+        const take = (to) => {
+            const piece = text.slice(from, to);
+            for (const match of piece.matchAll(TOKEN_PATTERN)) {
+                if (notes.has(match[1])) pending.push(notes.get(match[1]));
+            }
+            current += piece;
+            from = to;
+        };
+
+        const setOut = () => {
+            if (pending.length === 0) return;
+            parts.push(current, ['Footnotes', ...pending.map(note => `${note.marker} ${note.text}`)].join('\n'));
+            current = '';
+            pending.length = 0;
+        };
+
+        for (const start of [...new Set(starts)].sort((a, b) => a - b)) {
+            take(start);
+            setOut();
+        }
+
+        take(text.length);
+        if (last) setOut();
+        parts.push(current);
+
+        // Blocks stand as their own paragraphs
+        const joined = parts
+            .map((part, index) => {
+                if (index % 2 === 1) return part;
+                const trimmed = index > 0 ? part.replace(/^\s+/, '') : part;
+                return index < parts.length - 1 ? trimmed.replace(/\s+$/, '') : trimmed;
+            })
+            .filter(Boolean)
+            .join('\n\n');
+
+        page.text = this.stripTokens(joined).text;
+        page.length = page.text.length;
+    }
+
+    /**
+     * Remove placeholders from text and report where they were
+     * @param {string} text - Text with placeholders
+     * @returns {Object} { text, positions } where positions are { id, offset } into the stripped text
+     */
+    stripTokens(text) {
+        const positions = [];
+        let stripped = '';
+        let last = 0;
+
+        for (const match of text.matchAll(TOKEN_PATTERN)) {
+            stripped += text.slice(last, match.index);
+            positions.push({ id: match[1], offset: stripped.length });
+            last = match.index + match[0].length;
+        }
+
+        return { text: stripped + text.slice(last), positions };
+    }
+
+    /**
+     * Find where the sentence containing an offset ends
+     * @param {string} text - Text
+     * @param {number} offset - Offset inside the sentence
+     * @returns {number} Offset just after the closing punctuation (or the paragraph end)
+     */
+    findSentenceEnd(text, offset) {
+        // Markers usually follow the full stop they annotate
+        if (/[.!?]["'”’)\]]*$/.test(text.slice(Math.max(0, offset - 3), offset))) {
+            return offset;
+        }
+
+        SENTENCE_END_PATTERN.lastIndex = offset;
+        const match = SENTENCE_END_PATTERN.exec(text);
+        if (!match) return text.length;
+
+        return match[0] === '\n\n' ? match.index : match.index + match[0].length;
+    }
+
+    /**
+     * Find the footnote block: a run of small-font lines at the foot of the page,
+     * starting with a line that opens with a note marker
+     * @param {Object} layout - Page layout result
+     * @returns {Array} Notes in page order
+     */
+    findNotes(layout) {
+        const limit = layout.fontSize * this.options.noteSize;
+        const fromBottom = [...layout.lines].sort((a, b) => a.baseline - b.baseline);
+        const block = [];
+
+        for (const line of fromBottom) {
+            if (line.table || line.fontSize >= limit) break;
+            block.unshift(line);
+        }
+
+        // Small lines above the first marker (captions, pull quotes) stay in the body
+        const first = block.findIndex(line => this.getNoteMarker(line));
+        if (first === -1 || block.length === layout.lines.length) return [];
+
+        const notes = [];
+
+        for (const line of block.slice(first)) {
+            const marker = this.getNoteMarker(line);
+
+            if (marker) {
+                const text = line.text.replace(NOTE_START_PATTERN, '');
+                notes.push({ marker, lines: [line], parts: text ? [text] : [] });
+            } else {
+                notes[notes.length - 1].lines.push(line);
+                notes[notes.length - 1].parts.push(line.text);
+            }
+        }
+
+        return notes.map(({ marker, lines, parts }) => ({ marker, lines, text: parts.join('\n') }));
+    }
+
+    /**
+     * Get the marker a footnote line opens with
+     * @param {Object} line - Layout line
+     * @returns {string|null} Marker, or null if the line continues a note
+     */
+    getNoteMarker(line) {
+        const match = NOTE_START_PATTERN.exec(line.text);
+        return match && line.text.length > match[0].length ? match[1] : null;
+    }
+
+    /**
+     * Check whether a text item is a superscript reference marker
+     * @param {Object} item - Layout item
+     * @param {Object} line - Line containing the item
+     * @returns {boolean} True if the item looks like a raised, smaller marker
+     */
+    isMarkerItem(item, line) {
+        if (!MARKER_PATTERN.test(item.str.trim()) || item === line.items[0]) return false;
+
+        // The line baseline can come from the raised marker itself, so compare with the typical item
+        const baseline = median(line.items.map(other => other.baseline));
+        const smaller = item.height < line.fontSize * this.options.markerSize;
+        const raised = item.baseline - baseline > line.fontSize * this.options.markerRaise;
+        return smaller && raised;
+    }
+}
+
+/**
+ * Create footnote detector
+ * @param {Object} options - Detector options
+ * @returns {FootnoteDetector} Detector instance
+ */
+export function createFootnoteDetector(options = {}) {
+    return new FootnoteDetector(options);
+}
+
+export default FootnoteDetector;
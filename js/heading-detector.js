@@ -0,0 +1,212 @@
+/**
+ * Heading Detector Module
+ * Reconstructs the heading hierarchy of a PDF from font sizes and weights
+ */
+
+const HEADING_DEFAULTS = {
+    sizeRatio: 1.15,     // Font size relative to body text that makes a paragraph a heading
+    boldSizeRatio: 0.95, // Bold paragraphs at body size count when they stand on a single line
+    sizeStep: 0.5,       // Font sizes closer than this (in points) belong to the same level
+    maxLines: 3,         // Longer paragraphs are body text, whatever their font
+    maxLength: 200,      // Characters
+    maxStyleShare: 0.3,  // A font used by more paragraphs than this share is body text
+    maxLevels: 6
+};
+
+// Bold lead-ins end like sentences ("Note. ..."); headings do not
+const LEAD_IN_PATTERN = /[.,;]["')\]]?$/;
+
+/**
+ * Heading Detector Class
+ * Finds the body text size of the document, then ranks the larger or bolder fonts used
+ * by short paragraphs: the largest becomes level 1, the next level 2, ...
+ * Pages are added as they are read; only font statistics are kept for pages already checked.
+ */
+export class HeadingDetector {
+    constructor(options = {}) {
+        this.options = { ...HEADING_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget the pages added so far, to start a new document
+     */
+    reset() {
+        this.sizes = new Map();         // Font size to the characters set in it
+        this.styles = new Map();        // Style key to { size, bold, short, single } paragraph counts
+        this.paragraphCount = 0;
+        this.pages = new Map();         // Page index to measured paragraphs, until the page is checked
+        this.pageCount = 0;
+    }
+
+    /**
+     * Add the next page of the document to the font statistics
+     * @param {Object|null} layout - Page layout result from LayoutAnalyzer (null for pages to skip)
+     * @returns {number} Index of the page
+     */
+    addPage(layout) {
+        const entries = (layout ? layout.paragraphs : [])
+            .filter(paragraph => this.isTextParagraph(paragraph))
+            .map(paragraph => ({ paragraph, ...this.describe(paragraph) }));
+
+        for (const entry of entries) {
+            this.sizes.set(entry.size, (this.sizes.get(entry.size) || 0) + entry.characters);
+            this.paragraphCount++;
+
+            if (!this.styles.has(entry.style)) {
+                this.styles.set(entry.style, { size: entry.size, bold: entry.bold, short: 0, single: 0 });
+            }
+
+            // Whether a style is a heading style depends on the body size, which can still change
+            if (this.isShort(entry)) {
+                const style = this.styles.get(entry.style);
+                style.short++;
+                if (entry.lineCount === 1 && !LEAD_IN_PATTERN.test(entry.title)) style.single++;
+            }
+        }
+
+        this.pages.set(this.pageCount, entries);
+        return this.pageCount++;
+    }
+
+    /**
+     * Find the headings of a page with the statistics of every page added so far
+     * Levels rank the styles seen so far, so add the pages that follow a page before checking it.
+     * @param {number} index - Page index from addPage()
+     * @returns {Array} List of { paragraph, level, title }
+     */
+    detectPage(index) {
+        const entries = this.pages.get(index) || [];
+        this.pages.delete(index);
+
+        const bodySize = this.getBodySize();
+        if (!bodySize) return [];
+
+        const styles = this.rankStyles(bodySize);
+
+        return entries
+            .filter(entry => this.isCandidate(entry, bodySize) && styles.has(entry.style))
+            .map(entry => ({ paragraph: entry.paragraph, level: styles.get(entry.style), title: entry.title }));
+    }
+
+    /**
+     * Check whether a paragraph is printed running text (not a table, code block or figure marker)
+     * @param {Object} paragraph - Layout paragraph
+     * @returns {boolean} True if the paragraph can be measured
+     */
+    isTextParagraph(paragraph) {
+        return paragraph.lines.length > 0 &&
+            paragraph.lines.every(line => line.items.length > 0 && !line.table && !line.code && !line.figure);
+    }
+
+    /**
+     * Measure a paragraph
+     * @param {Object} paragraph - Layout paragraph
+     * @returns {Object} { title, size, bold, style, characters, lineCount }
+     */
+    describe(paragraph) {
+        const items = paragraph.lines.flatMap(line => line.items);
+        const characters = items.reduce((sum, item) => sum + item.str.trim().length, 0);
+        const boldCharacters = items
+            .filter(item => item.bold)
+            .reduce((sum, item) => sum + item.str.trim().length, 0);
+
+        const size = Math.round(paragraph.fontSize / this.options.sizeStep) * this.options.sizeStep;
+        const bold = characters > 0 && boldCharacters / characters >= 0.5;
+
+        return {
+            title: paragraph.lines.map(line => line.text).join(' ').replace(/\s+/g, ' ').trim(),
+            size,
+            bold,
+            style: `${size}${bold ? 'b' : ''}`,
+            characters,
+            lineCount: paragraph.lines.length
+        };
+    }
+
+    /**
+     * Find the body text size: the font size that covers the most characters
+     * @returns {number} Body font size (0 if there is no text yet)
+     */
+    getBodySize() {
+        let bodySize = 0;
+        let most = 0;
+        for (const [size, characters] of this.sizes) {
+            if (characters > most) {
+                bodySize = size;
+                most = characters;
+            }
+        }
+
+        return bodySize;
+    }
+
+    /**
+     * Decide whether a paragraph looks like a heading
+     * @param {Object} entry - Measured paragraph
+     * @param {number} bodySize - Body font size
+     * @returns {boolean} True if the paragraph is a heading candidate
+     */
+    isCandidate(entry, bodySize) {
+        const { title, size, bold, lineCount } = entry;
+
+        if (!this.isShort(entry)) return false;
+        if (size >= bodySize * this.options.sizeRatio) return true;
+
+        return bold && lineCount === 1 &&
+            size >= bodySize * this.options.boldSizeRatio &&
+            !LEAD_IN_PATTERN.test(title);
+    }
+
+    /**
+     * Check whether a paragraph is short enough, and wordy enough, to be a heading
+     * @param {Object} entry - Measured paragraph
+     * @returns {boolean} True if the paragraph could be a heading
+     */
+    isShort(entry) {
+        return entry.lineCount <= this.options.maxLines &&
+            entry.title.length <= this.options.maxLength &&
+            /\p{L}{2}/u.test(entry.title);
+    }
+
+    /**
+     * Assign a level to every heading style seen so far
+     * Larger fonts rank higher; at the same size, bold ranks above regular.
+     * @param {number} bodySize - Body font size
+     * @returns {Map} Style key to level
+     */
+    rankStyles(bodySize) {
+        const counts = new Map();
+        const styles = new Map();
+
+        // Heading candidates per style, as isCandidate() decides for each paragraph
+        for (const [key, style] of this.styles) {
+            const count = style.size >= bodySize * this.options.sizeRatio
+                ? style.short
+                : style.bold && style.size >= bodySize * this.options.boldSizeRatio ? style.single : 0;
+
+            if (count > 0) counts.set(key, { ...style, count });
+        }
+
+        const ranked = [...counts.entries()]
+            .filter(([, style]) => style.count <= Math.max(1, this.paragraphCount * this.options.maxStyleShare))
+            .sort((a, b) => b[1].size - a[1].size || Number(b[1].bold) - Number(a[1].bold));
+
+        ranked.forEach(([key], index) => {
+            styles.set(key, Math.min(index + 1, this.options.maxLevels));
+        });
+
+        return styles;
+    }
+}
+
+/**
+ * Create heading detector
+ * @param {Object} options - Detector options
+ * @returns {HeadingDetector} Detector instance
+ */
+export function createHeadingDetector(options = {}) {
+    return new HeadingDetector(options);
+}
+
+export default HeadingDetector;
@@ -0,0 +1,392 @@
+/**
+ * Language Detector Module
+ * Offline language identification per page, using trigram profiles for languages that
+ * share a script and the script alone for languages that have one of their own
+ */
+
+import { getBaseURI } from './utils.js';
+
+const LANGUAGE_DEFAULTS = {
+    profilePath: 'data/language-profiles.json',
+    minLetters: 20,         // Pages with fewer letters are reported as unknown
+    minConfidence: 0.3,     // Pages below this confidence do not count towards the document language
+    minShare: 0.1           // Share of the text a second language needs before the document counts as mixed
+};
+
+const UNKNOWN = 'und';
+
+// Trigrams compared per profile; profiles list their 300 most frequent trigrams
+const MAX_TRIGRAMS = 300;
+
+// Pages are identified from their first characters; longer samples change nothing but the cost
+const SAMPLE_LENGTH = 10000;
+
+/**
+ * Supported languages by ISO 639-3 code
+ * Languages with a script of their own are recognized without a profile.
+ */
+const LANGUAGES = {
+    afr: { name: 'Afrikaans', script: 'Latin' },
+    als: { name: 'Albanian', script: 'Latin' },
+    arb: { name: 'Arabic', script: 'Arabic' },
+    hye: { name: 'Armenian', script: 'Armenian' },
+    azj: { name: 'Azerbaijani', script: 'Latin' },
+    bel: { name: 'Belarusian', script: 'Cyrillic' },
+    ben: { name: 'Bengali', script: 'Bengali' },
+    bul: { name: 'Bulgarian', script: 'Cyrillic' },
+    cat: { name: 'Catalan', script: 'Latin' },
+    cmn: { name: 'Chinese', script: 'Han' },
+    hrv: { name: 'Croatian', script: 'Latin' },
+    ces: { name: 'Czech', script: 'Latin' },
+    dan: { name: 'Danish', script: 'Latin' },
+    nld: { name: 'Dutch', script: 'Latin' },
+    eng: { name: 'English', script: 'Latin' },
+    ekk: { name: 'Estonian', script: 'Latin' },
+    fin: { name: 'Finnish', script: 'Latin' },
+    fra: { name: 'French', script: 'Latin' },
+    glg: { name: 'Galician', script: 'Latin' },
+    kat: { name: 'Georgian', script: 'Georgian' },
+    deu: { name: 'German', script: 'Latin' },
+    ell: { name: 'Greek', script: 'Greek' },
+    guj: { name: 'Gujarati', script: 'Gujarati' },
+    heb: { name: 'Hebrew', script: 'Hebrew' },
+    hin: { name: 'Hindi', script: 'Devanagari' },
+    hun: { name: 'Hungarian', script: 'Latin' },
+    ind: { name: 'Indonesian', script: 'Latin' },
+    ita: { name: 'Italian', script: 'Latin' },
+    jpn: { name: 'Japanese', script: 'Kana' },
+    kan: { name: 'Kannada', script: 'Kannada' },
+    kaz: { name: 'Kazakh', script: 'Cyrillic' },
+    kor: { name: 'Korean', script: 'Hangul' },
+    lvs: { name: 'Latvian', script: 'Latin' },
+    lit: { name: 'Lithuanian', script: 'Latin' },
+    mkd: { name: 'Macedonian', script: 'Cyrillic' },
+    zlm: { name: 'Malay', script: 'Latin' },
+    mal: { name: 'Malayalam', script: 'Malayalam' },
+    mar: { name: 'Marathi', script: 'Devanagari' },
+    npi: { name: 'Nepali', script: 'Devanagari' },
+    nob: { name: 'Norwegian', script: 'Latin' },
+    pes: { name: 'Persian', script: 'Arabic' },
+    pol: { name: 'Polish', script: 'Latin' },
+    por: { name: 'Portuguese', script: 'Latin' },
+    pan: { name: 'Punjabi', script: 'Gurmukhi' },
+    ron: { name: 'Romanian', script: 'Latin' },
+    rus: { name: 'Russian', script: 'Cyrillic' },
+    srp: { name: 'Serbian', script: 'Cyrillic' },
+    slk: { name: 'Slovak', script: 'Latin' },
+    slv: { name: 'Slovenian', script: 'Latin' },
+    spa: { name: 'Spanish', script: 'Latin' },
+    swh: { name: 'Swahili', script: 'Latin' },
+    swe: { name: 'Swedish', script: 'Latin' },
+    tgl: { name: 'Tagalog', script: 'Latin' },
+    tam: { name: 'Tamil', script: 'Tamil' },
+    tel: { name: 'Telugu', script: 'Telugu' },
+    tha: { name: 'Thai', script: 'Thai' },
+    tur: { name: 'Turkish', script: 'Latin' },
+    ukr: { name: 'Ukrainian', script: 'Cyrillic' },
+    urd: { name: 'Urdu', script: 'Arabic' },
+    vie: { name: 'Vietnamese', script: 'Latin' }
+};
+
+// Scripts the detector counts; Hiragana and Katakana are counted together as Kana
+const SCRIPT_PATTERNS = {
+    Latin: /\p{Script=Latin}/gu,
+    Cyrillic: /\p{Script=Cyrillic}/gu,
+    Arabic: /\p{Script=Arabic}/gu,
+    Devanagari: /\p{Script=Devanagari}/gu,
+    Hebrew: /\p{Script=Hebrew}/gu,
+    Greek: /\p{Script=Greek}/gu,
+    Han: /\p{Script=Han}/gu,
+    Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    Hangul: /\p{Script=Hangul}/gu,
+    Thai: /\p{Script=Thai}/gu,
+    Georgian: /\p{Script=Georgian}/gu,
+    Armenian: /\p{Script=Armenian}/gu,
+    Bengali: /\p{Script=Bengali}/gu,
+    Gurmukhi: /\p{Script=Gurmukhi}/gu,
+    Gujarati: /\p{Script=Gujarati}/gu,
+    Tamil: /\p{Script=Tamil}/gu,
+    Telugu: /\p{Script=Telugu}/gu,
+    Kannada: /\p{Script=Kannada}/gu,
+    Malayalam: /\p{Script=Malayalam}/gu
+};
+
+// Japanese mixes kanji with kana; this share of kana marks Han text as Japanese
+const KANA_SHARE = 0.1;
+
+/**
+ * Language Detector Class
+ * Ranks the trigrams of a text and compares them with each profile of the text's
+ * script (the "out of place" measure); the closer the best profile is compared to
+ * the runner-up, the higher the confidence.
+ */
+export class LanguageDetector {
+    constructor(options = {}) {
+        this.options = { ...LANGUAGE_DEFAULTS, ...options };
+        this.profiles = null;
+    }
+
+    /**
+     * Load the local trigram profiles
+     * @returns {Promise<Object>} Profiles by script, then language code (empty if they cannot be loaded)
+     */
+    async loadProfiles() {
+        if (this.profiles) return this.profiles;
+
+        try {
+            const response = await fetch(new URL(this.options.profilePath, getBaseURI()));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.profiles = parseProfiles(await response.json());
+        } catch (error) {
+            console.warn('Language profiles unavailable, only script-based detection is possible:', error);
+            this.profiles = {};
+        }
+
+        return this.profiles;
+    }
+
+    /**
+     * Identify the language of a text
+     * Profiles must be loaded first (see loadProfiles()).
+     * @param {string} text - Text to identify
+     * @returns {Object} { code, name, confidence, letters }
+     */
+    detect(text) {
+        const sample = (text || '').substring(0, SAMPLE_LENGTH);
+        const counts = countScripts(sample);
+        const letters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const [script, scriptLetters] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+
+        if (!script || letters < this.options.minLetters) {
+            return unknownLanguage(letters);
+        }
+
+        const scriptShare = scriptLetters / letters;
+        const candidates = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].script === script);
+        const profiles = (this.profiles || {})[script] || {};
+        const profiled = candidates.filter(code => profiles[code]);
+
+        if (candidates.length === 1) {
+            return languageResult(candidates[0], scriptShare, letters);
+        }
+
+        if (profiled.length === 0) {
+            return unknownLanguage(letters);
+        }
+
+        if (profiled.length === 1) {
+            return languageResult(profiled[0], scriptShare, letters);
+        }
+
+        const trigrams = getTrigrams(sample);
+        const distances = profiled
+            .map(code => ({ code, distance: getDistance(trigrams, profiles[code]) }))
+            .sort((a, b) => a.distance - b.distance);
+
+        const [best, second] = distances;
+        const margin = second.distance > 0 ? (second.distance - best.distance) / second.distance : 0;
+
+        // A tenth of the runner-up's distance already separates closely related languages
+        const confidence = Math.min(1, margin * 10) * scriptShare;
+
+        return languageResult(best.code, confidence, letters);
+    }
+}
+
+/**
+ * Combine page languages into document languages
+ * Pages count by their letters, so a short page in another language does not outweigh
+ * a chapter. The document is mixed when a second language covers a meaningful share.
+ * @param {Array} pages - Pages ({ pageNum, language }) with languages from LanguageDetector.detect()
+ * @param {Object} options - { minConfidence, minShare }
+ * @returns {Object} { code, name, confidence, mixed, languages: [{ code, name, confidence, share, pages }] }
+ */
+export function summarizeLanguages(pages, options = {}) {
+    const { minConfidence, minShare } = { ...LANGUAGE_DEFAULTS, ...options };
+    const totals = new Map();
+    let letters = 0;
+
+    for (const page of pages) {
+        const language = page.language;
+        if (!language || language.code === UNKNOWN || language.confidence < minConfidence) continue;
+
+        if (!totals.has(language.code)) {
+            totals.set(language.code, { code: language.code, name: language.name, letters: 0, weighted: 0, pages: [] });
+        }
+
+        const total = totals.get(language.code);
+        total.letters += language.letters;
+        total.weighted += language.confidence * language.letters;
+        total.pages.push(page.pageNum);
+        letters += language.letters;
+    }
+
+    const languages = [...totals.values()]
+        .map(total => ({
+            code: total.code,
+            name: total.name,
+            confidence: total.weighted / total.letters,
+            share: total.letters / letters,
+            pages: total.pages
+        }))
+        .sort((a, b) => b.share - a.share);
+
+    const main = languages[0];
+
+    if (!main) {
+        return { code: UNKNOWN, name: 'Unknown', confidence: 0, mixed: false, languages };
+    }
+
+    return {
+        code: main.code,
+        name: main.name,
+        confidence: main.confidence,
+        mixed: languages.filter(language => language.share >= minShare).length > 1,
+        languages
+    };
+}
+
+/**
+ * Get the English name of a supported language
+ * @param {string} code - ISO 639-3 code
+ * @returns {string|null} Language name, or null if the code is not supported
+ */
+export function getLanguageName(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].name : null;
+}
+
+/**
+ * Convert a supported language to a BCP 47 tag, using the two-letter code where one exists
+ * @param {string} code - ISO 639-3 code
+ * @returns {string} Language tag ("eng" becomes "en"), or "und" if the code is not supported
+ */
+export function toLanguageTag(code) {
+    if (!LANGUAGES[code]) return 'und';
+
+    try {
+        return Intl.getCanonicalLocales(code)[0];
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * List the supported languages
+ * @returns {Array} [{ code, name }] sorted by name
+ */
+export function getSupportedLanguages() {
+    return Object.entries(LANGUAGES)
+        .map(([code, language]) => ({ code, name: language.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Turn the profile file into trigram rank maps
+ * @param {Object} data - Script to language code to "|"-separated trigrams, most frequent first
+ * @returns {Object} Script to language code to Map(trigram → rank)
+ */
+function parseProfiles(data) {
+    const profiles = {};
+
+    for (const [script, languages] of Object.entries(data || {})) {
+        profiles[script] = {};
+
+        for (const [code, trigrams] of Object.entries(languages)) {
+            profiles[script][code] = new Map(trigrams.split('|').map((trigram, rank) => [trigram, rank]));
+        }
+    }
+
+    return profiles;
+}
+
+/**
+ * Count the letters of each script, folding kanji into Kana for Japanese text
+ * @param {string} text - Text sample
+ * @returns {Object} Script name to letter count (scripts without letters are omitted)
+ */
+function countScripts(text) {
+    const counts = {};
+
+    for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+        const count = (text.match(pattern) || []).length;
+        if (count > 0) counts[script] = count;
+    }
+
+    if (counts.Kana && counts.Han && counts.Kana / (counts.Kana + counts.Han) >= KANA_SHARE) {
+        counts.Kana += counts.Han;
+        delete counts.Han;
+    }
+
+    return counts;
+}
+
+/**
+ * Rank the trigrams of a text, most frequent first
+ * Text is lowercased and padded with spaces so word starts and ends form trigrams.
+ * @param {string} text - Text sample
+ * @returns {Array<string>} Up to MAX_TRIGRAMS trigrams
+ */
+function getTrigrams(text) {
+    const cleaned = ` ${text.toLowerCase().replace(/[^\p{L}\p{M}]+/gu, ' ').trim()} `;
+    const counts = new Map();
+
+    for (let i = 0; i < cleaned.length - 2; i++) {
+        const trigram = cleaned.substring(i, i + 3);
+        counts.set(trigram, (counts.get(trigram) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TRIGRAMS)
+        .map(([trigram]) => trigram);
+}
+
+/**
+ * Out-of-place distance between text trigrams and a profile
+ * @param {Array<string>} trigrams - Ranked text trigrams
+ * @param {Map} profile - Profile trigram ranks
+ * @returns {number} Distance (lower is closer)
+ */
+function getDistance(trigrams, profile) {
+    let distance = 0;
+
+    trigrams.forEach((trigram, rank) => {
+        distance += profile.has(trigram) ? Math.abs(rank - profile.get(trigram)) : MAX_TRIGRAMS;
+    });
+
+    return distance;
+}
+
+/**
+ * Build a detection result
+ * @param {string} code - Language code
+ * @param {number} confidence - Confidence between 0 and 1
+ * @param {number} letters - Letters in the sample
+ * @returns {Object} { code, name, confidence, letters }
+ */
+function languageResult(code, confidence, letters) {
+    return { code, name: LANGUAGES[code].name, confidence, letters };
+}
+
+/**
+ * Build an unknown-language result
+ * @param {number} letters - Letters in the sample
+ * @returns {Object} { code, name, confidence, letters }
+ */
+function unknownLanguage(letters) {
+    return { code: UNKNOWN, name: 'Unknown', confidence: 0, letters };
+}
+
+/**
+ * Create language detector instance
+ * @param {Object} options - Detector options
+ * @returns {LanguageDetector} Language detector instance
+ */
+export function createLanguageDetector(options = {}) {
+    return new LanguageDetector(options);
+}
+
+export default LanguageDetector;
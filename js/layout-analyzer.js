@@ -0,0 +1,594 @@
+/**
+ * Layout Analyzer Module
+ * Rebuilds lines, paragraphs and column reading order from positioned PDF.js text items
+ */
+
+import { median } from './utils.js';
+import { createTableDetector } from './table-detector.js';
+
+/**
+ * Layout tolerances, expressed as multiples of the page's median font size
+ */
+const LAYOUT_DEFAULTS = {
+    lineTolerance: 0.5,     // Baseline drift still treated as the same line
+    wordGap: 0.15,          // Horizontal gap that implies a space between items
+    segmentGap: 0.8,        // Horizontal gap that splits a line into separate segments
+    columnGap: 1.0,         // Minimum empty vertical band treated as a column gutter
+    bandGap: 1.0,           // Minimum empty horizontal band treated as a block break
+    paragraphGap: 1.4,      // Line spacing (relative to typical spacing) that starts a paragraph
+    fontChange: 0.2         // Relative font size change that starts a paragraph
+};
+
+// Inline markers for runs set in code or math fonts (`code`, $math$)
+const INLINE_MARKERS = { code: '`', math: '$' };
+
+// Items without a special font that may still belong to a surrounding code or math run
+const BRIDGE_PATTERN = /^[\s\d()[\]{}=+\-−×÷·.,;:<>|/!'^_*]*$/;
+
+// List bullets are often set in a math symbol font (TeX uses CMSY for \bullet)
+const BULLET_PATTERN = /^[•∙◦‣·]$/;
+
+/**
+ * Layout Analyzer Class
+ * Orders text items the way a reader would: columns left to right, lines top to bottom
+ */
+export class LayoutAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...LAYOUT_DEFAULTS, ...options };
+        this.tableDetector = createTableDetector();
+    }
+
+    /**
+     * Analyze the text items of a single page
+     * @param {Array} items - PDF.js textContent.items
+     * @param {Object} fonts - Font id to 'code', 'math' or null (see font-classifier.js)
+     * @param {Object} weights - Font id to 'bold' or null
+     * @returns {Object} Reading-ordered text, paragraphs, lines and tables ({ rows, markdown })
+     */
+    analyze(items = [], fonts = {}, weights = {}) {
+        const boxes = this.normalizeItems(items, fonts, weights);
+
+        if (boxes.length === 0) {
+            return { text: '', paragraphs: [], lines: [], fontSize: 0, tables: [] };
+        }
+
+        const fontSize = median(boxes.map(box => box.height)) || 10;
+        const segments = this.buildSegments(boxes, fontSize);
+
+        // Tables go through the XY-cut as one block; their gutters would otherwise split them into columns
+        const tables = this.tableDetector.detect(segments, fontSize);
+        const blocks = this.cutBlocks(this.replaceTables(segments, tables), fontSize);
+
+        const paragraphs = [];
+        for (const block of blocks) {
+            paragraphs.push(...this.buildParagraphs(block, fontSize));
+        }
+
+        const lines = paragraphs.flatMap(paragraph => paragraph.lines);
+        const text = paragraphs.map(paragraph => paragraph.text).join('\n\n');
+
+        return {
+            text,
+            paragraphs,
+            lines,
+            fontSize,
+            tables: tables.map(({ rows, markdown }) => ({ rows, markdown }))
+        };
+    }
+
+    /**
+     * Swap the segments of each table for a single segment holding the Markdown table
+     * @param {Array} segments - Page segments
+     * @param {Array} tables - Tables from TableDetector.detect()
+     * @returns {Array} Segments with tables collapsed
+     */
+    replaceTables(segments, tables) {
+        if (tables.length === 0) return segments;
+
+        const inTable = new Set(tables.flatMap(table => table.segments));
+        const collapsed = tables.map(table => {
+            const items = table.segments.flatMap(segment => segment.items);
+            return {
+                items,
+                text: table.markdown,
+                table: true,
+                baseline: table.baseline,
+                x0: table.x0,
+                x1: table.x1,
+                y0: table.y0,
+                y1: table.y1,
+                fontSize: median(items.map(item => item.height))
+            };
+        });
+
+        return [...segments.filter(segment => !inTable.has(segment)), ...collapsed];
+    }
+
+    /**
+     * Rebuild a layout result without the given lines
+     * @param {Object} layout - Result of analyze()
+     * @param {Array} removed - Line objects to drop
+     * @returns {Object} New layout result
+     */
+    removeLines(layout, removed) {
+        if (!removed || removed.length === 0) return layout;
+
+        const dropped = new Set(removed);
+        const paragraphs = layout.paragraphs
+            .map(paragraph => {
+                const lines = paragraph.lines.filter(line => !dropped.has(line));
+                return {
+                    ...paragraph,
+                    lines,
+                    text: this.formatParagraph(lines, paragraph.heading)
+                };
+            })
+            .filter(paragraph => paragraph.lines.length > 0);
+
+        return this.assemble(layout, paragraphs);
+    }
+
+    /**
+     * Rebuild a layout result with the text of some items replaced
+     * @param {Object} layout - Result of analyze()
+     * @param {Map} replacements - Item object to replacement string ('' drops the item)
+     * @returns {Object} New layout result
+     */
+    replaceItems(layout, replacements) {
+        if (!replacements || replacements.size === 0) return layout;
+
+        const paragraphs = layout.paragraphs.map(paragraph => {
+            const lines = paragraph.lines.map(line => {
+                if (!line.items.some(item => replacements.has(item))) return line;
+
+                const items = line.items.map(item =>
+                    replacements.has(item) ? { ...item, str: replacements.get(item) } : item
+                );
+                return { ...line, text: this.joinItems(items) };
+            });
+
+            return {
+                ...paragraph,
+                lines,
+                text: this.formatParagraph(lines, paragraph.heading)
+            };
+        });
+
+        return this.assemble(layout, paragraphs);
+    }
+
+    /**
+     * Rebuild a layout result with some paragraphs marked as Markdown headings
+     * @param {Object} layout - Result of analyze()
+     * @param {Map} levels - Paragraph object to heading level (1-6)
+     * @returns {Object} New layout result
+     */
+    markHeadings(layout, levels) {
+        if (!levels || levels.size === 0) return layout;
+
+        const paragraphs = layout.paragraphs.map(paragraph => {
+            if (!levels.has(paragraph)) return paragraph;
+
+            const heading = levels.get(paragraph);
+            return {
+                ...paragraph,
+                heading,
+                text: this.formatParagraph(paragraph.lines, heading)
+            };
+        });
+
+        return this.assemble(layout, paragraphs);
+    }
+
+    /**
+     * Build a layout result from updated paragraphs
+     * @param {Object} layout - Original layout result
+     * @param {Array} paragraphs - Paragraphs with lines and text
+     * @returns {Object} New layout result
+     */
+    assemble(layout, paragraphs) {
+        return {
+            ...layout,
+            text: paragraphs.map(paragraph => paragraph.text).join('\n\n'),
+            paragraphs,
+            lines: paragraphs.flatMap(paragraph => paragraph.lines)
+        };
+    }
+
+    /**
+     * Convert PDF.js items into positioned boxes
+     * @param {Array} items - PDF.js text items
+     * @param {Object} fonts - Font id to 'code', 'math' or null
+     * @param {Object} weights - Font id to 'bold' or null
+     * @returns {Array} Boxes with x/y extents in PDF user space
+     */
+    normalizeItems(items, fonts = {}, weights = {}) {
+        const boxes = [];
+
+        for (const item of items) {
+            if (!item || typeof item.str !== 'string' || item.str.trim() === '') continue;
+
+            const [a, b, c, d, e, f] = item.transform || [1, 0, 0, 1, 0, 0];
+            const height = item.height || Math.hypot(c, d) || Math.hypot(a, b) || 0;
+            const width = item.width || 0;
+
+            boxes.push({
+                str: item.str,
+                fontName: item.fontName || '',
+                style: fonts[item.fontName] || null,
+                bold: weights[item.fontName] === 'bold',
+                x0: e,
+                x1: e + width,
+                y0: f,
+                y1: f + height,
+                baseline: f,
+                height
+            });
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Group boxes sharing a baseline into horizontal segments
+     * @param {Array} boxes - Positioned boxes
+     * @param {number} fontSize - Median font size
+     * @returns {Array} Segments (runs of items without wide gaps)
+     */
+    buildSegments(boxes, fontSize) {
+        const sorted = [...boxes].sort((a, b) => b.baseline - a.baseline || a.x0 - b.x0);
+        const rows = [];
+
+        for (const box of sorted) {
+            const row = rows[rows.length - 1];
+            const tolerance = this.options.lineTolerance * Math.max(box.height, row ? row.height : 0, 1);
+
+            if (row && Math.abs(row.baseline - box.baseline) <= tolerance) {
+                row.items.push(box);
+                row.height = Math.max(row.height, box.height);
+            } else {
+                rows.push({ baseline: box.baseline, height: box.height, items: [box] });
+            }
+        }
+
+        const segments = [];
+
+        for (const row of rows) {
+            row.items.sort((a, b) => a.x0 - b.x0);
+
+            let current = null;
+            for (const box of row.items) {
+                const gap = current ? box.x0 - current.x1 : 0;
+
+                if (current && gap <= this.options.segmentGap * Math.max(box.height, fontSize)) {
+                    current.items.push(box);
+                    current.x1 = Math.max(current.x1, box.x1);
+                    current.y0 = Math.min(current.y0, box.y0);
+                    current.y1 = Math.max(current.y1, box.y1);
+                } else {
+                    current = {
+                        items: [box],
+                        baseline: row.baseline,
+                        x0: box.x0,
+                        x1: box.x1,
+                        y0: box.y0,
+                        y1: box.y1
+                    };
+                    segments.push(current);
+                }
+            }
+        }
+
+        return segments.map(segment => this.finishSegment(segment));
+    }
+
+    /**
+     * Compute text and font size for a segment
+     * @param {Object} segment - Segment with items
+     * @returns {Object} Segment with text and fontSize
+     */
+    finishSegment(segment) {
+        segment.fontSize = median(segment.items.map(item => item.height));
+        segment.text = this.joinItems(segment.items);
+        return segment;
+    }
+
+    /**
+     * Join items on one line, inserting spaces where the layout has gaps
+     * Runs set in code or math fonts are wrapped in `...` or $...$; a segment set entirely
+     * in a code font is left bare because its paragraph is fenced as a code block.
+     * @param {Array} items - Items sorted left to right
+     * @returns {string} Line text
+     */
+    joinItems(items) {
+        const styles = this.resolveStyles(items);
+        const runs = [];
+        let previous = null;
+
+        items.forEach((item, index) => {
+            const space = previous !== null &&
+                          item.x0 - previous.x1 > this.options.wordGap * Math.max(item.height, 1);
+            const run = runs[runs.length - 1];
+
+            if (run && run.style === styles[index]) {
+                run.text += (space ? ' ' : '') + item.str;
+            } else {
+                runs.push({ style: styles[index], text: item.str, space });
+            }
+            previous = item;
+        });
+
+        const fenced = runs.length === 1 && runs[0].style === 'code';
+
+        return runs
+            .map((run, index) => {
+                const text = run.text.replace(/\s+/g, ' ').trim();
+                const marker = !fenced && text && !BULLET_PATTERN.test(text) ? INLINE_MARKERS[run.style] : null;
+                const space = index > 0 && (run.space || /^\s/.test(run.text) || /\s$/.test(runs[index - 1].text));
+                return (space ? ' ' : '') + (marker ? `${marker}${text}${marker}` : text);
+            })
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Get the font style of each item, extending code and math runs over the plain
+     * digits and symbols between them (TeX sets digits and operators in the text font)
+     * @param {Array} items - Items sorted left to right
+     * @returns {Array} 'code', 'math' or null per item
+     */
+    resolveStyles(items) {
+        const styles = items.map(item => item.style || null);
+
+        for (let i = 1; i < items.length; i++) {
+            if (styles[i] || !styles[i - 1]) continue;
+
+            let j = i;
+            while (j < items.length && !styles[j] && BRIDGE_PATTERN.test(items[j].str)) j++;
+
+            if (j < items.length && styles[j] === styles[i - 1]) {
+                styles.fill(styles[i - 1], i, j);
+            }
+            i = j;
+        }
+
+        return styles;
+    }
+
+    /**
+     * Build paragraph text from its lines, fencing code blocks
+     * Headings are joined onto one line behind their Markdown `#` marker.
+     * @param {Array} lines - Paragraph lines
+     * @param {number} heading - Heading level, or 0/undefined for body text
+     * @returns {string} Paragraph text
+     */
+    formatParagraph(lines, heading = 0) {
+        if (heading) {
+            return `${'#'.repeat(heading)} ${lines.map(line => line.text).join(' ')}`;
+        }
+
+        if (lines.length === 0 || !lines.every(line => line.code)) {
+            return lines.map(line => line.text).join('\n');
+        }
+
+        // Rebuild indentation from the horizontal offsets of the lines
+        const items = lines.flatMap(line => line.items);
+        const characters = items.reduce((sum, item) => sum + item.str.length, 0);
+        const charWidth = items.reduce((sum, item) => sum + (item.x1 - item.x0), 0) / Math.max(characters, 1) ||
+                          median(items.map(item => item.height)) * 0.6;
+        const left = Math.min(...lines.map(line => line.x0));
+
+        const body = lines.map(line => {
+            const indent = Math.max(0, Math.round((line.x0 - left) / charWidth));
+            return ' '.repeat(indent) + line.text;
+        });
+
+        return ['```', ...body, '```'].join('\n');
+    }
+
+    /**
+     * Recursively split segments into reading-ordered blocks (XY-cut)
+     * Column gutters are tried before horizontal bands so two-column text is read column by column.
+     * @param {Array} segments - Segments to split
+     * @param {number} fontSize - Median font size
+     * @returns {Array<Array>} Blocks of segments in reading order
+     */
+    cutBlocks(segments, fontSize) {
+        if (segments.length <= 1) {
+            return segments.length ? [segments] : [];
+        }
+
+        const columns = splitByGaps(segments, 'x0', 'x1', this.options.columnGap * fontSize, false);
+        if (columns.length > 1) {
+            return columns.flatMap(column => this.cutBlocks(column, fontSize));
+        }
+
+        const bands = splitByGaps(segments, 'y0', 'y1', this.options.bandGap * fontSize, true);
+        if (bands.length > 1) {
+            const merged = this.mergeColumnBands(bands, fontSize);
+            const groups = merged.length > 1 ? merged : bands;
+            return groups.flatMap(band => this.cutBlocks(band, fontSize));
+        }
+
+        return [segments];
+    }
+
+    /**
+     * Re-join neighbouring bands that continue the same column layout
+     * A paragraph gap shared by both columns would otherwise cut the columns in half.
+     * @param {Array<Array>} bands - Bands ordered top to bottom
+     * @param {number} fontSize - Median font size
+     * @returns {Array<Array>} Bands with column continuations merged
+     */
+    mergeColumnBands(bands, fontSize) {
+        const minGap = this.options.columnGap * fontSize;
+        const columnCount = group => splitByGaps(group, 'x0', 'x1', minGap, false).length;
+        const merged = [bands[0]];
+
+        for (const band of bands.slice(1)) {
+            const last = merged[merged.length - 1];
+            const union = [...last, ...band];
+
+            if ((columnCount(last) > 1 || columnCount(band) > 1) && columnCount(union) > 1) {
+                merged[merged.length - 1] = union;
+            } else {
+                merged.push(band);
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Build lines and paragraphs inside a block
+     * @param {Array} block - Segments belonging to one block
+     * @param {number} fontSize - Median font size
+     * @returns {Array} Paragraphs with their lines
+     */
+    buildParagraphs(block, fontSize) {
+        const lines = this.buildLines(block);
+        const spacings = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            spacings.push(lines[i - 1].baseline - lines[i].baseline);
+        }
+
+        const typicalSpacing = median(spacings) || fontSize * 1.2;
+        const rightEdge = Math.max(...lines.map(line => line.x1));
+        const paragraphs = [];
+        let current = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const previous = lines[i - 1];
+
+            if (!current || this.startsParagraph(previous, line, typicalSpacing, rightEdge)) {
+                current = { lines: [] };
+                paragraphs.push(current);
+            }
+
+            current.lines.push(line);
+        }
+
+        for (const paragraph of paragraphs) {
+            paragraph.text = this.formatParagraph(paragraph.lines);
+            paragraph.fontSize = median(paragraph.lines.map(line => line.fontSize));
+        }
+
+        return paragraphs;
+    }
+
+    /**
+     * Merge segments of a block that share a baseline into lines
+     * @param {Array} block - Segments
+     * @returns {Array} Lines sorted top to bottom
+     */
+    buildLines(block) {
+        const sorted = [...block].sort((a, b) => b.baseline - a.baseline || a.x0 - b.x0);
+        const lines = [];
+
+        for (const segment of sorted) {
+            const line = lines[lines.length - 1];
+            const tolerance = this.options.lineTolerance * Math.max(segment.fontSize, 1);
+
+            const sameLine = line && Math.abs(line.baseline - segment.baseline) <= tolerance;
+
+            if (sameLine && !segment.table && !line.segments[0].table) {
+                line.segments.push(segment);
+                line.x1 = Math.max(line.x1, segment.x1);
+            } else {
+                lines.push({
+                    segments: [segment],
+                    baseline: segment.baseline,
+                    x0: segment.x0,
+                    x1: segment.x1
+                });
+            }
+        }
+
+        return lines.map(line => {
+            const items = line.segments.flatMap(segment => segment.items);
+            return {
+                text: line.segments.map(segment => segment.text).join(' '),
+                items,
+                baseline: line.baseline,
+                x0: Math.min(...line.segments.map(segment => segment.x0)),
+                x1: line.x1,
+                y0: Math.min(...line.segments.map(segment => segment.y0)),
+                y1: Math.max(...line.segments.map(segment => segment.y1)),
+                fontSize: median(items.map(item => item.height)),
+                bold: items.every(item => item.bold),
+                table: Boolean(line.segments[0].table),
+                code: !line.segments[0].table && items.every(item => item.style === 'code')
+            };
+        });
+    }
+
+    /**
+     * Decide whether a line begins a new paragraph
+     * @param {Object} previous - Previous line
+     * @param {Object} line - Current line
+     * @param {number} typicalSpacing - Typical baseline spacing in the block
+     * @param {number} rightEdge - Right edge of the block
+     * @returns {boolean} True if a paragraph break belongs before the line
+     */
+    startsParagraph(previous, line, typicalSpacing, rightEdge) {
+        if (line.table || previous.table) return true;
+        if (line.code !== previous.code) return true;
+
+        const spacing = previous.baseline - line.baseline;
+        if (spacing > typicalSpacing * this.options.paragraphGap) return true;
+
+        // Code keeps its own line structure; sentence and font cues do not apply
+        if (line.code) return false;
+
+        const sizeChange = Math.abs(line.fontSize - previous.fontSize) / Math.max(previous.fontSize, 1);
+        if (sizeChange > this.options.fontChange) return true;
+
+        // A short bold line followed by regular text is a heading set at body size
+        const endsShort = previous.x1 < rightEdge - 2 * previous.fontSize;
+        if (endsShort && previous.bold && !line.bold) return true;
+
+        // A short line ending a sentence usually closes its paragraph
+        return endsShort && /[.!?:]["')\]]?$/.test(previous.text);
+    }
+}
+
+/**
+ * Split boxes wherever their projection on one axis leaves an empty gap
+ * @param {Array} boxes - Boxes to split
+ * @param {string} startKey - Property holding the interval start
+ * @param {string} endKey - Property holding the interval end
+ * @param {number} minGap - Minimum gap size
+ * @param {boolean} descending - Order groups from high to low coordinates
+ * @returns {Array<Array>} Groups ordered along the axis
+ */
+function splitByGaps(boxes, startKey, endKey, minGap, descending) {
+    const sorted = [...boxes].sort((a, b) => a[startKey] - b[startKey]);
+    const groups = [];
+    let current = null;
+    let reach = -Infinity;
+
+    for (const box of sorted) {
+        if (!current || box[startKey] - reach >= minGap) {
+            current = [];
+            groups.push(current);
+        }
+        current.push(box);
+        reach = Math.max(reach, box[endKey]);
+    }
+
+    return descending ? groups.reverse() : groups;
+}
+
+/**
+ * Create layout analyzer
+ * @param {Object} options - Tolerance overrides
+ * @returns {LayoutAnalyzer} Analyzer instance
+ */
+export function createLayoutAnalyzer(options = {}) {
+    return new LayoutAnalyzer(options);
+}
+
+export default LayoutAnalyzer;
@@ -0,0 +1,283 @@
+/**
+ * Link Handler Module
+ * Pairs link annotations with their anchor text and rewrites URLs so they are not spelled out
+ */
+
+const LINK_DEFAULTS = {
+    mode: 'domain'      // 'drop', 'domain' or 'appendix'
+};
+
+// http(s) and www. addresses; trailing sentence punctuation is trimmed separately
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}>]+$/;
+
+/**
+ * Link Handler Class
+ * Collects the links of a page and applies the configured spoken link mode to its text
+ */
+export class LinkHandler {
+    constructor(options = {}) {
+        this.options = { ...LINK_DEFAULTS, ...options };
+    }
+
+    /**
+     * Find the external links of a page and the text they are anchored to
+     * @param {Array} annotations - Result of page.getAnnotations()
+     * @param {Object} layout - Layout from LayoutAnalyzer.analyze()
+     * @returns {Array} Links ({ url, text })
+     */
+    getLinks(annotations = [], layout = null) {
+        const links = [];
+
+        for (const annotation of annotations) {
+            if (annotation.subtype !== 'Link' || !this.isWebAddress(annotation.url)) continue;
+
+            const text = layout ? this.getAnchorText(annotation.rect, layout) : '';
+            const last = links[links.length - 1];
+
+            // A link wrapped over two lines arrives as two annotations with the same target
+            if (last && last.url === annotation.url) {
+                last.text = [last.text, text].filter(Boolean).join(' ');
+            } else {
+                links.push({ url: annotation.url, text });
+            }
+        }
+
+        // An address used as its own anchor is matched without the line breaks and
+        // sentence punctuation the anchor rectangle picked up
+        for (const link of links) {
+            if (looksLikeURL(link.text)) {
+                link.text = link.text.replace(/\s+/g, '').replace(TRAILING_PUNCTUATION, '');
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Read the text covered by an annotation rectangle in reading order
+     * Items only partly inside the rectangle contribute the proportional share of their
+     * characters, widened to whole words.
+     * @param {Array} rect - Annotation rectangle [x1, y1, x2, y2] in PDF units
+     * @param {Object} layout - Page layout
+     * @returns {string} Anchor text
+     */
+    getAnchorText(rect, layout) {
+        if (!rect || rect.length < 4) return '';
+
+        const [x0, y0, x1, y1] = [
+            Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]),
+            Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])
+        ];
+        const parts = [];
+
+        for (const line of layout.lines || []) {
+            for (const item of line.items || []) {
+                const middle = (item.y0 + item.y1) / 2;
+                if (middle < y0 || middle > y1 || item.x1 <= x0 || item.x0 >= x1) continue;
+
+                const width = item.x1 - item.x0;
+                if (width <= 0 || (item.x0 >= x0 && item.x1 <= x1)) {
+                    parts.push(item.str.trim());
+                    continue;
+                }
+
+                const start = Math.floor(Math.max(0, (x0 - item.x0) / width) * item.str.length);
+                const end = Math.ceil(Math.min(1, (x1 - item.x0) / width) * item.str.length);
+                parts.push(sliceWords(item.str, start, end));
+            }
+        }
+
+        return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Rewrite the URLs of a page's text and record every link on the page
+     * Annotated URLs are matched by their anchor text first so an address wrapped over
+     * two lines is replaced as a whole; remaining raw URLs are found by pattern.
+     * @param {string} text - Page text
+     * @param {Array} links - Links from getLinks() (raw URLs are appended)
+     * @returns {Object} { text, count } where count is the number of URLs rewritten
+     */
+    apply(text, links = []) {
+        let count = 0;
+        let result = text || '';
+
+        for (const link of links) {
+            if (!looksLikeURL(link.text)) continue;
+
+            const pattern = new RegExp(
+                link.text.split('').map(escapeRegExp).join('\\s*'),
+                'g'
+            );
+
+            result = result.replace(pattern, () => {
+                count++;
+                return this.speak(link.url);
+            });
+        }
+
+        result = result.replace(URL_PATTERN, (match) => {
+            const trailing = (match.match(TRAILING_PUNCTUATION) || [''])[0];
+            const url = match.slice(0, match.length - trailing.length);
+            if (!url) return match;
+
+            if (!links.some(link => link.url === url || link.text === url)) {
+                links.push({ url, text: url });
+            }
+
+            count++;
+            return this.speak(url) + trailing;
+        });
+
+        if (count > 0 && this.options.mode === 'drop') {
+            result = tidyDropped(result);
+        }
+
+        return { text: result, count };
+    }
+
+    /**
+     * Spoken replacement for a URL under the current mode
+     * @param {string} url - Link target
+     * @returns {string} Domain name, or an empty string when links are dropped
+     */
+    speak(url) {
+        return this.options.mode === 'drop' ? '' : getDomain(url);
+    }
+
+    /**
+     * Check that a link target is a web address
+     * @param {string} url - Link target
+     * @returns {boolean} True for http(s) addresses
+     */
+    isWebAddress(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+
+    /**
+     * Apply the link mode to extracted pages in place, including footnotes waiting to be placed
+     * Each page gains `links` ({ url, text, pageNum }).
+     * @param {Array} pages - Page entries with text and links from getLinks()
+     * @returns {Object} { mode, count, rewritten } with the number of links found and URLs rewritten
+     */
+    processPages(pages) {
+        let rewritten = 0;
+
+        for (const pageData of pages) {
+            const links = pageData.links || [];
+
+            const rewrite = (entry) => {
+                const result = this.apply(entry.text, links);
+                entry.text = result.text;
+                rewritten += result.count;
+            };
+
+            if (pageData.text) {
+                rewrite(pageData);
+                pageData.length = pageData.text.length;
+            }
+            (pageData.footnotes || []).forEach(rewrite);
+
+            pageData.links = links.map(link => ({ ...link, pageNum: pageData.pageNum }));
+        }
+
+        return {
+            mode: this.options.mode,
+            count: pages.reduce((total, pageData) => total + pageData.links.length, 0),
+            rewritten
+        };
+    }
+}
+
+/**
+ * Get the domain name of a URL without a leading "www."
+ * @param {string} url - Web address
+ * @returns {string} Domain name, or the address itself if it cannot be parsed
+ */
+export function getDomain(url) {
+    try {
+        const absolute = /^https?:\/\//i.test(url) ? url : `http://${url}`;
+        return new URL(absolute).hostname.replace(/^www\./i, '');
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Collect the links of the given pages for the "links mentioned" appendix
+ * Repeated targets are listed once, at their first page.
+ * @param {Array} pages - Page entries with links
+ * @returns {Array} Links ({ url, text, pageNum }) in document order
+ */
+export function collectLinks(pages = []) {
+    const seen = new Map();
+
+    for (const pageData of pages) {
+        for (const link of pageData.links || []) {
+            if (!seen.has(link.url)) seen.set(link.url, link);
+        }
+    }
+
+    return [...seen.values()];
+}
+
+/**
+ * Check whether anchor text is itself an address rather than words
+ * @param {string} text - Anchor text
+ * @returns {boolean} True if the text reads as a URL
+ */
+function looksLikeURL(text) {
+    const compact = (text || '').replace(/\s+/g, '');
+    return /^(?:https?:\/\/|www\.)\S+$/i.test(compact) || /^[\w-]+(\.[\w-]+)+\/\S*$/.test(compact);
+}
+
+/**
+ * Take the characters between two offsets, widened to word boundaries
+ * @param {string} str - Item text
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {string} Whole words covering the range
+ */
+function sliceWords(str, start, end) {
+    let from = start;
+    let to = end;
+
+    while (from > 0 && !/\s/.test(str[from - 1])) from--;
+    while (to < str.length && !/\s/.test(str[to])) to++;
+
+    return str.slice(from, to).trim();
+}
+
+/**
+ * Remove the gaps left where URLs were dropped
+ * @param {string} text - Text with URLs removed
+ * @returns {string} Tidied text
+ */
+function tidyDropped(text) {
+    return text
+        .replace(/[(<[]\s*[)>\]]/g, '')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/[ \t]+([,.;:!?])/g, '$1')
+        .replace(/^[ \t]+|[ \t]+$/gm, '');
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create link handler
+ * @param {Object} options - Options (mode)
+ * @returns {LinkHandler} Handler instance
+ */
+export function createLinkHandler(options = {}) {
+    return new LinkHandler(options);
+}
+
+export default LinkHandler;
@@ -0,0 +1,688 @@
+/**
+ * Local Converter Module
+ * Rule-based conversion to spoken text without the API: symbols, numbers, units, simple
+ * LaTeX, Markdown tables, code and URLs are rewritten deterministically
+ */
+
+import { getDomain } from './link-handler.js';
+import { FIGURE_MARKER_PATTERN } from './figure-locator.js';
+
+const LOCAL_DEFAULTS = {
+    language: 'eng',        // ISO 639-3 code; words are only written out for English
+    describeCode: true      // Mention code blocks ("a 12-line Python code example") instead of dropping them
+};
+
+// Languages the converter can write words for; other languages keep digits and symbols
+const VERBALIZED_LANGUAGES = new Set(['eng']);
+
+const FENCED_CODE_PATTERN = /^```+[ \t]*([\w+#.-]*)[^\n]*\n([\s\S]*?)^```+[ \t]*$/gm;
+
+// Markdown pipe table: header row, separator row, then body rows
+const TABLE_BLOCK_PATTERN = /^[ \t]*\|.*\|[ \t]*\n[ \t]*\|[-:\s|]+\|[ \t]*\n(?:[ \t]*\|.*\|[ \t]*(?:\n|$))*/gm;
+
+const DISPLAY_MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\begin\{(equation|align|gather|multline)\*?\}([\s\S]+?)\\end\{\3\*?\}/g;
+
+// $ must hug its content, so prices like "$5 and $10" are not math
+const INLINE_MATH_PATTERN = /\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)|\\\((.+?)\\\)/g;
+
+const INLINE_CODE_PATTERN = /`+([^`\n]+)`+/g;
+
+// Private-use placeholder for inline code while the rest of the line is rewritten; the index
+// is a private-use character too, so number rules cannot touch it
+const CODE_PLACEHOLDER_PATTERN = /\uE010([\uE100-\uEFFF])\uE011/g;
+const CODE_PLACEHOLDER_BASE = 0xE100;
+
+const SPOKEN_HEADING_LINE = /^(#{1,6}\s+)(.*)$/;
+const LIST_MARKER = /^(\s*(?:[-*•+]|\d{1,3}[.)])\s+)(.*)$/;
+const HEADING_NUMBER = /^(\d+(?:\.\d+)*)\.?(?=\s)/;
+
+const WEB_ADDRESS_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"]+[^\s<>()".,;:!?'"]/gi;
+const CITATION_PATTERN = /\s?\[\d+(?:\s?[,–-]\s?\d+)*\]/g;
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+const IRREGULAR_ORDINALS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '€': ['euro', 'euros', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    '¥': ['yen', 'yen', '', '']
+};
+
+// Units read after a number: [singular, plural]
+const UNITS = {
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    'm/s': ['meter per second', 'meters per second'],
+    km: ['kilometer', 'kilometers'],
+    m: ['meter', 'meters'],
+    cm: ['centimeter', 'centimeters'],
+    mm: ['millimeter', 'millimeters'],
+    'µm': ['micrometer', 'micrometers'],
+    'μm': ['micrometer', 'micrometers'],
+    nm: ['nanometer', 'nanometers'],
+    mi: ['mile', 'miles'],
+    ft: ['foot', 'feet'],
+    mph: ['mile per hour', 'miles per hour'],
+    kg: ['kilogram', 'kilograms'],
+    g: ['gram', 'grams'],
+    mg: ['milligram', 'milligrams'],
+    lb: ['pound', 'pounds'],
+    lbs: ['pound', 'pounds'],
+    oz: ['ounce', 'ounces'],
+    L: ['liter', 'liters'],
+    mL: ['milliliter', 'milliliters'],
+    ml: ['milliliter', 'milliliters'],
+    s: ['second', 'seconds'],
+    ms: ['millisecond', 'milliseconds'],
+    'µs': ['microsecond', 'microseconds'],
+    'μs': ['microsecond', 'microseconds'],
+    ns: ['nanosecond', 'nanoseconds'],
+    min: ['minute', 'minutes'],
+    h: ['hour', 'hours'],
+    hr: ['hour', 'hours'],
+    Hz: ['hertz', 'hertz'],
+    kHz: ['kilohertz', 'kilohertz'],
+    MHz: ['megahertz', 'megahertz'],
+    GHz: ['gigahertz', 'gigahertz'],
+    KB: ['kilobyte', 'kilobytes'],
+    kB: ['kilobyte', 'kilobytes'],
+    MB: ['megabyte', 'megabytes'],
+    GB: ['gigabyte', 'gigabytes'],
+    TB: ['terabyte', 'terabytes'],
+    Mbps: ['megabit per second', 'megabits per second'],
+    Gbps: ['gigabit per second', 'gigabits per second'],
+    W: ['watt', 'watts'],
+    kW: ['kilowatt', 'kilowatts'],
+    MW: ['megawatt', 'megawatts'],
+    kWh: ['kilowatt hour', 'kilowatt hours'],
+    V: ['volt', 'volts'],
+    mV: ['millivolt', 'millivolts'],
+    kV: ['kilovolt', 'kilovolts'],
+    mA: ['milliamp', 'milliamps'],
+    mAh: ['milliamp hour', 'milliamp hours'],
+    dB: ['decibel', 'decibels'],
+    px: ['pixel', 'pixels'],
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees'],
+    '%': ['percent', 'percent']
+};
+
+const UNIT_SOURCE = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(unit => unit.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('|');
+
+// [-][currency]number[.decimals][ordinal][ scale][ unit], not part of a word or a longer number
+const NUMBER_PATTERN = new RegExp(
+    `(?<![\\p{L}\\p{N}_.,])([-−](?=[$€£¥]?\\d))?([$€£¥])?(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?(st|nd|rd|th)?` +
+    `(?:\\s(thousand|million|billion|trillion)\\b)?(?:\\s?(${UNIT_SOURCE})(?![\\p{L}\\p{N}_]))?(?![\\p{L}\\p{N}_]|[.,]\\d)`,
+    'gu'
+);
+
+// Version numbers and dotted section numbers ("1.2.3", "v2.0.1")
+const DOTTED_NUMBER_PATTERN = /(?<![\p{L}\p{N}_.])v?\d+(?:\.\d+){2,}(?![\p{N}_]|\.\d)/gu;
+
+// Phone numbers and IDs ("555-1234", "555-123-4567", "0800-123"): read digit by digit, not as ranges
+const DIGIT_GROUPS_PATTERN = /(?<![\p{L}\p{N}_.,\/-])(?:\d+(?:-\d+){2,}|\d{3}-\d{4}|0\d+-\d+|\d+-0\d+)(?![\p{L}\p{N}_]|[-.,\/]\d)/gu;
+
+const RANGE_PATTERN = /(?<![\p{L}\p{N}_.,-])(\d[\d,.]*)\s?[–—]\s?(?=\d)|(?<=^|\s|\()(\d[\d,.]*)-(?=\d[\d,.]*(?:\s|[.,;:)]|$))/gmu;
+
+const TIME_PATTERN = /(?<![\p{N}:])([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?(?![\p{N}:])/gu;
+
+// ISO dates ("2024-01-05"), read before ranges so the parts are not taken as numbers
+const ISO_DATE_PATTERN = /(?<![\p{L}\p{N}_.\/-])(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(?![\p{N}_]|-\d)/gu;
+
+// Ratios ("3:1", "16:9") that are not clock times
+const RATIO_PATTERN = /(?<![\p{L}\p{N}_.:])(\d+):(\d+)(?![\p{N}_:]|[.,]\d)/gu;
+
+// Simple fractions ("1/2", "3/4"); other slashed numbers are left alone
+const FRACTION_PATTERN = /(?<![\p{L}\p{N}_.,\/])(\d{1,2})\/(\d{1,2})(?![\p{N}_\/]|[.,]\d)/gu;
+const MAX_FRACTION_DENOMINATOR = 10;
+
+// Ratings and scores with a decimal ("4.5/5")
+const RATING_PATTERN = /(?<![\p{L}\p{N}_.,\/])(\d+\.\d+)\/(\d+)(?![\p{N}_\/]|[.,]\d)/gu;
+
+// Words before a number that make it a year ("in 1850", "since 1999", "1914 to 1918")
+const YEAR_CONTEXT_PATTERN = /(?:(?:^|[^\p{L}])(?:in|since|by|until|till|from|during|before|after|around|circa|year|early|late|mid|between)|\d{4}\s*(?:to|and|or|through))\s+$/iu;
+
+// Words after a number that still read as a year ("1850 and 1860", "1066 AD")
+const YEAR_FOLLOWER_PATTERN = /^\s+(?:and|or|to|through|BC|BCE|AD|CE)(?![\p{L}])/u;
+
+// Plain-text exponents ("10^6", "x^2", "2^-3")
+const EXPONENT_PATTERN = /(?<=[\p{L}\p{N})])\^(-?\d+|\p{L})(?![\p{L}\p{N}_])/gu;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+    'October', 'November', 'December'];
+
+// Symbols read in running text
+const SYMBOLS = [
+    [/\s*≤\s*/g, ' less than or equal to '],
+    [/\s*≥\s*/g, ' greater than or equal to '],
+    [/\s*≠\s*/g, ' not equal to '],
+    [/\s*≈\s*/g, ' approximately '],
+    [/\s*±\s*/g, ' plus or minus '],
+    [/\s*×\s*/g, ' times '],
+    [/\s*÷\s*/g, ' divided by '],
+    [/\s*(?:→|⟶)\s*/g, ' to '],
+    [/\s*(?:⇒|⟹)\s*/g, ' implies '],
+    [/∞/g, 'infinity'],
+    [/√/g, 'the square root of '],
+    [/π/g, 'pi'],
+    [/§\s*/g, 'section '],
+    [/\s+&\s+/g, ' and '],
+    [/~(?=\d)/g, 'about '],
+    [/#(?=\d)/g, 'number '],
+    [/\s+<\s+/g, ' less than '],
+    [/\s+>\s+/g, ' greater than '],
+    [/\s+=\s+/g, ' equals '],
+    [/\s+\+\s+/g, ' plus '],
+    [/[™®©]/g, '']
+];
+
+// Code fence languages whose names are not read from the info string as written
+const CODE_LANGUAGE_NAMES = {
+    js: 'JavaScript', javascript: 'JavaScript', mjs: 'JavaScript', ts: 'TypeScript', typescript: 'TypeScript',
+    py: 'Python', python: 'Python', rb: 'Ruby', rs: 'Rust', go: 'Go', golang: 'Go', kt: 'Kotlin',
+    cpp: 'C++', 'c++': 'C++', cs: 'C#', csharp: 'C#', sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell',
+    console: 'shell', yml: 'YAML', md: 'Markdown', tex: 'LaTeX', latex: 'LaTeX', matlab: 'MATLAB',
+    objc: 'Objective-C', text: 'plain text', txt: 'plain text', plaintext: 'plain text'
+};
+
+// LaTeX commands read as words; other commands are read by name
+const LATEX_WORDS = {
+    cdot: ' times ', times: ' times ', div: ' divided by ', pm: ' plus or minus ', mp: ' minus or plus ',
+    leq: ' less than or equal to ', le: ' less than or equal to ', geq: ' greater than or equal to ',
+    ge: ' greater than or equal to ', neq: ' not equal to ', ne: ' not equal to ', approx: ' approximately ',
+    sim: ' similar to ', equiv: ' is equivalent to ', propto: ' is proportional to ', infty: ' infinity ',
+    in: ' in ', notin: ' not in ', subset: ' subset of ', subseteq: ' subset of or equal to ', cup: ' union ',
+    cap: ' intersect ', to: ' to ', rightarrow: ' to ', leftarrow: ' from ', Rightarrow: ' implies ',
+    iff: ' if and only if ', forall: ' for all ', exists: ' there exists ', sum: ' the sum of ',
+    prod: ' the product of ', int: ' the integral of ', partial: ' partial ', nabla: ' del ', lim: ' the limit ',
+    ldots: ' and so on ', dots: ' and so on ', cdots: ' and so on ', log: ' log ', ln: ' natural log of ',
+    exp: ' exp ', sin: ' sine ', cos: ' cosine ', tan: ' tangent ', max: ' max ', min: ' min ',
+    mid: ' given ', prime: ' prime ', quad: ' ', qquad: ' '
+};
+
+// \sum_{i=1}^{n} and friends read their limits ("the sum from i equals one to n of")
+const BOUNDED_OPERATOR_PATTERN = /\\(sum|prod|int)_(?:\{([^{}]*)\}|(\w))\^(?:\{([^{}]*)\}|(\w|\\infty))/g;
+const OPERATOR_NAMES = { sum: 'sum', prod: 'product', int: 'integral' };
+
+const SPACING_COMMANDS = /\\(?:left|right|big|Big|bigg|Bigg)(?![A-Za-z])|\\[,;:! ]/g;
+
+/**
+ * Local Converter Class
+ * Produces the same kind of output as the AI pass (prose with Markdown headings and lists),
+ * so the rest of the pipeline (rules, lexicon, stitching, PDF and SSML export) is unchanged.
+ */
+export class LocalConverter {
+    constructor(options = {}) {
+        this.options = { ...LOCAL_DEFAULTS, ...options };
+    }
+
+    /**
+     * Whether numbers, symbols and math are written out as words
+     * @returns {boolean} True for languages with a word list
+     */
+    get verbalizes() {
+        return VERBALIZED_LANGUAGES.has(this.options.language);
+    }
+
+    /**
+     * Convert a text for listening
+     * @param {string} text - Extracted text (Markdown headings, tables, code fences, $math$)
+     * @returns {string} Spoken text
+     */
+    convert(text) {
+        const converted = text
+            .replace(/\r\n?/g, '\n')
+            .replace(FIGURE_MARKER_PATTERN, '')
+            .replace(FENCED_CODE_PATTERN, (match, language, code) => this.describeCode(code, language))
+            .replace(TABLE_BLOCK_PATTERN, table => this.convertTable(table))
+            .replace(DISPLAY_MATH_PATTERN, (match, dollars, brackets, environment, body) =>
+                `\n\n${this.convertMath(dollars ?? brackets ?? body)}.\n\n`);
+
+        return converted
+            .split('\n')
+            .map(line => this.convertLine(line))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Convert one line, keeping heading and list markers
+     * @param {string} line - Line of text
+     * @returns {string} Converted line
+     */
+    convertLine(line) {
+        const heading = SPOKEN_HEADING_LINE.exec(line);
+        if (heading) {
+            // "2.1 Background" reads its number as "two point one"
+            const title = heading[2].replace(HEADING_NUMBER, number => this.readDotted(number));
+            return `${heading[1]}${this.convertInline(title)}`;
+        }
+
+        const item = LIST_MARKER.exec(line);
+        if (item) {
+            return `${item[1]}${this.convertInline(item[2])}`;
+        }
+
+        return this.convertInline(line);
+    }
+
+    /**
+     * Convert the running text of a line
+     * Inline code is kept as written, without its backticks.
+     * @param {string} text - Text without block markup
+     * @returns {string} Converted text
+     */
+    convertInline(text) {
+        const code = [];
+        let converted = text
+            .replace(INLINE_CODE_PATTERN, (match, content) => {
+                code.push(content.trim());
+                return `\uE010${String.fromCharCode(CODE_PLACEHOLDER_BASE + code.length - 1)}\uE011`;
+            })
+            .replace(INLINE_MATH_PATTERN, (match, dollars, parentheses) => this.convertMath(dollars ?? parentheses))
+            .replace(/!?\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(WEB_ADDRESS_PATTERN, url => this.readURL(url))
+            .replace(CITATION_PATTERN, '')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+            .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1$2')
+            .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+
+        if (this.verbalizes) {
+            converted = this.verbalize(converted);
+        }
+
+        return converted
+            .replace(CODE_PLACEHOLDER_PATTERN, (match, index) => code[index.charCodeAt(0) - CODE_PLACEHOLDER_BASE])
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/ +([,.;:!?])/g, '$1')
+            .trimEnd();
+    }
+
+    /**
+     * Write out symbols, times, ranges and numbers
+     * @param {string} text - Text with digits and symbols
+     * @returns {string} Text with words
+     */
+    verbalize(text) {
+        let result = text
+            .replace(DOTTED_NUMBER_PATTERN, number => (number.startsWith('v')
+                ? `version ${this.readDotted(number.slice(1))}`
+                : this.readDotted(number)))
+            .replace(ISO_DATE_PATTERN, (match, year, month, day) => this.readDate(year, month, day))
+            .replace(DIGIT_GROUPS_PATTERN, groups => this.readDigitGroups(groups))
+            .replace(TIME_PATTERN, (match, hours, minutes, seconds) => this.readTime(hours, minutes, seconds))
+            .replace(RATIO_PATTERN, '$1 to $2')
+            .replace(RATING_PATTERN, '$1 out of $2')
+            .replace(FRACTION_PATTERN, (match, numerator, denominator) =>
+                this.readFraction(Number(numerator), Number(denominator)) ?? match)
+            .replace(EXPONENT_PATTERN, (match, exponent) => this.readExponent(exponent))
+            .replace(RANGE_PATTERN, (match, from, hyphenated) => `${from ?? hyphenated} to `);
+
+        for (const [pattern, words] of SYMBOLS) {
+            result = result.replace(pattern, words);
+        }
+
+        return result.replace(NUMBER_PATTERN, (...args) => {
+            const [match, offset, source] = [args[0], args[8], args[9]];
+            const context = {
+                before: source.substring(Math.max(0, offset - 20), offset),
+                after: source.substring(offset + match.length, offset + match.length + 20)
+            };
+            return this.readNumber(...args.slice(1, 8), context);
+        });
+    }
+
+    /**
+     * Read a number with its sign, currency, ordinal suffix, scale word and unit
+     * A four-digit number is read as a year after a word like "in" or "since", or when
+     * no word follows it ("1500 people" is a count).
+     * @param {Object} context - { before, after }: text around the number
+     * @returns {string} Words
+     */
+    readNumber(sign, currency, integer, decimals, ordinal, scale, unit, context = { before: '', after: '' }) {
+        const digits = integer.replace(/,/g, '');
+        const value = Number(digits);
+        const minus = sign ? 'minus ' : '';
+
+        if (ordinal && !decimals) {
+            return `${minus}${toOrdinal(numberToWords(value))}`;
+        }
+
+        if (currency) {
+            const [one, many, subunit, subunits] = CURRENCIES[currency];
+            if (scale) return `${minus}${this.readDecimal(digits, decimals)} ${scale} ${many}`;
+
+            const main = `${numberToWords(value)} ${value === 1 ? one : many}`;
+            if (decimals && decimals.length === 2 && subunit) {
+                const cents = Number(decimals);
+                if (cents === 0) return `${minus}${main}`;
+                return `${minus}${main} and ${numberToWords(cents)} ${cents === 1 ? subunit : subunits}`;
+            }
+            return `${minus}${decimals ? `${this.readDecimal(digits, decimals)} ${many}` : main}`;
+        }
+
+        const isYear = !sign && !decimals && !scale && !unit && !integer.includes(',') && isYearLike(value, digits) &&
+            (YEAR_CONTEXT_PATTERN.test(context.before) || YEAR_FOLLOWER_PATTERN.test(context.after) ||
+                !/^\s*\p{L}/u.test(context.after));
+        const words = isYear ? yearToWords(value) : this.readDecimal(digits, decimals);
+        const scaled = scale ? `${words} ${scale}` : words;
+
+        if (!unit) return `${minus}${scaled}`;
+
+        const [singular, plural] = UNITS[unit];
+        return `${minus}${scaled} ${value === 1 && !decimals && !scale ? singular : plural}`;
+    }
+
+    /**
+     * Read a decimal number ("three point one four")
+     * @param {string} digits - Integer digits
+     * @param {string} decimals - Digits after the point
+     * @returns {string} Words
+     */
+    readDecimal(digits, decimals) {
+        const words = numberToWords(Number(digits));
+        if (!decimals) return words;
+
+        return `${words} point ${[...decimals].map(digit => ONES[digit]).join(' ')}`;
+    }
+
+    /**
+     * Read a dotted number ("1.2.3") part by part
+     * @param {string} number - Dotted number
+     * @returns {string} Words, or the number itself for languages without words
+     */
+    readDotted(number) {
+        if (!this.verbalizes) return number;
+        return number.split('.').map(part => numberToWords(Number(part))).join(' point ');
+    }
+
+    /**
+     * Read a clock time ("ten thirty", "nine oh five", "ten o'clock", "ten thirty and five seconds")
+     * @param {string} hours - Hours
+     * @param {string} minutes - Minutes
+     * @param {string} seconds - Seconds, if given
+     * @returns {string} Words
+     */
+    readTime(hours, minutes, seconds) {
+        const hour = numberToWords(Number(hours));
+        const minute = Number(minutes);
+        const second = Number(seconds || 0);
+
+        const time = minute === 0
+            ? `${hour} o'clock`
+            : `${hour} ${minute < 10 ? `oh ${ONES[minute]}` : numberToWords(minute)}`;
+
+        if (second === 0) return time;
+        return `${time} and ${numberToWords(second)} ${second === 1 ? 'second' : 'seconds'}`;
+    }
+
+    /**
+     * Read a phone number or ID digit by digit, pausing between groups
+     * @param {string} groups - Digit groups joined by hyphens
+     * @returns {string} Words ("five five five, one two three four")
+     */
+    readDigitGroups(groups) {
+        return groups.split('-').map(group => [...group].map(digit => ONES[digit]).join(' ')).join(', ');
+    }
+
+    /**
+     * Read an ISO date ("January fifth, twenty twenty-four")
+     * @param {string} year - Four-digit year
+     * @param {string} month - Month, 01-12
+     * @param {string} day - Day of the month
+     * @returns {string} Words
+     */
+    readDate(year, month, day) {
+        const value = Number(year);
+        const spokenYear = isYearLike(value, year) ? yearToWords(value) : numberToWords(value);
+
+        return `${MONTHS[Number(month) - 1]} ${toOrdinal(numberToWords(Number(day)))}, ${spokenYear}`;
+    }
+
+    /**
+     * Read a simple fraction ("one half", "three quarters", "two thirds")
+     * @param {number} numerator - Number above the line
+     * @param {number} denominator - Number below the line
+     * @returns {string|null} Words, or null when it is not a simple fraction
+     */
+    readFraction(numerator, denominator) {
+        if (numerator < 1 || denominator < 2 || denominator > MAX_FRACTION_DENOMINATOR || numerator >= denominator) {
+            return null;
+        }
+
+        const names = { 2: ['half', 'halves'], 4: ['quarter', 'quarters'] };
+        const ordinal = toOrdinal(numberToWords(denominator));
+        const [one, many] = names[denominator] ?? [ordinal, `${ordinal}s`];
+
+        return `${numberToWords(numerator)} ${numerator === 1 ? one : many}`;
+    }
+
+    /**
+     * Read a plain-text exponent ("squared", "cubed", "to the power of 6")
+     * Numbers in the exponent are left for the number pass.
+     * @param {string} exponent - Exponent after the caret
+     * @returns {string} Words
+     */
+    readExponent(exponent) {
+        if (exponent === '2') return ' squared';
+        if (exponent === '3') return ' cubed';
+        return ` to the power of ${exponent}`;
+    }
+
+    /**
+     * Read a web address by its domain ("example dot com")
+     * @param {string} url - Web address
+     * @returns {string} Domain, with dots read out for English
+     */
+    readURL(url) {
+        const domain = getDomain(url);
+        return this.verbalizes ? domain.split('.').join(' dot ') : domain;
+    }
+
+    /**
+     * Describe a fenced code block instead of reading it
+     * @param {string} code - Code
+     * @param {string} language - Language from the fence info string
+     * @returns {string} Sentence about the code, or nothing
+     */
+    describeCode(code, language) {
+        if (!this.options.describeCode || !this.verbalizes) return '';
+
+        const lines = code.split('\n').filter(line => line.trim()).length;
+        const name = language ? `${readLanguageName(language)} ` : '';
+        const size = lines === 1 ? 'one-line' : `${lines}-line`;
+
+        return `There is a ${size} ${name}code example here, which is not read aloud.\n`;
+    }
+
+    /**
+     * Turn a Markdown table into one sentence per row
+     * Each value is read with its column header: "Model: Base; Accuracy: 91%."
+     * @param {string} table - Markdown table
+     * @returns {string} Paragraph
+     */
+    convertTable(table) {
+        const rows = table.trim().split('\n').map(splitRow);
+        const header = rows[0];
+        const body = rows.slice(2).filter(row => row.some(Boolean));
+
+        const sentences = body.map(row => row
+            .map((cell, index) => (header[index] && cell ? `${header[index]}: ${cell}` : cell))
+            .filter(Boolean)
+            .join('; ') + '.');
+
+        if (this.verbalizes) {
+            const columns = header.filter(Boolean);
+            const count = body.length === 1 ? 'one row' : `${body.length} rows`;
+            sentences.unshift(`The following table has ${count}, with the columns ${joinWords(columns)}.`);
+        }
+
+        return `\n${sentences.join('\n')}\n\n`;
+    }
+
+    /**
+     * Read simple LaTeX ("\frac{a}{b}" is "a over b", "x^2" is "x squared")
+     * Without a word list the delimiters and commands are dropped and the symbols kept.
+     * @param {string} source - LaTeX without its delimiters
+     * @returns {string} Spoken formula
+     */
+    convertMath(source) {
+        let math = source
+            .replace(SPACING_COMMANDS, ' ')
+            .replace(/\\(?:text|mathrm|mathbf|mathit|mathcal|operatorname|textbf|textit)\{([^{}]*)\}/g, ' $1 ');
+
+        if (!this.verbalizes) {
+            return math.replace(/\\([A-Za-z]+)/g, ' $1 ').replace(/[{}]/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+
+        // Innermost first, so nested fractions and roots read correctly
+        let previous;
+        do {
+            previous = math;
+            math = math
+                .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, ' $1 over $2 ')
+                .replace(/\\sqrt\[([^\]]*)\]\{([^{}]*)\}/g, ' the root $1 of $2 ')
+                .replace(/\\sqrt\{([^{}]*)\}/g, ' the square root of $1 ');
+        } while (math !== previous);
+
+        math = math
+            .replace(BOUNDED_OPERATOR_PATTERN, (match, operator, from, fromChar, to, toChar) =>
+                ` the ${OPERATOR_NAMES[operator]} from ${from ?? fromChar} to ${to ?? toChar} of `)
+            .replace(/\^\{?\\circ\}?/g, ' degrees ')
+            .replace(/\^\{?2\}?(?![\d}])/g, ' squared ')
+            .replace(/\^\{?3\}?(?![\d}])/g, ' cubed ')
+            .replace(/\^\{([^{}]*)\}|\^(\\[A-Za-z]+|[A-Za-z0-9])/g, (match, group, single) => ` to the power of ${group ?? single} `)
+            .replace(/_\{([^{}]*)\}|_(\\[A-Za-z]+|[A-Za-z0-9])/g, (match, group, single) => ` sub ${group ?? single} `)
+            .replace(/\\([A-Za-z]+)/g, (match, name) => LATEX_WORDS[name] ?? ` ${name} `)
+            .replace(/\s*=\s*/g, ' equals ')
+            .replace(/\s*\+\s*/g, ' plus ')
+            .replace(/\s*-\s*/g, ' minus ')
+            .replace(/\s*\*\s*/g, ' times ')
+            .replace(/\s*\/\s*/g, ' over ')
+            .replace(/\s*<\s*/g, ' less than ')
+            .replace(/\s*>\s*/g, ' greater than ')
+            .replace(/[{}]/g, ' ');
+
+        return math.replace(/\s+/g, ' ').replace(/\(\s/g, '(').replace(/\s\)/g, ')').trim();
+    }
+}
+
+/**
+ * Write a whole number in English words
+ * @param {number} value - Whole number
+ * @returns {string} Words ("one thousand two hundred thirty-four")
+ */
+function numberToWords(value) {
+    if (!Number.isSafeInteger(value)) return String(value);
+    if (value < 20) return ONES[value];
+    if (value < 100) return TENS[Math.floor(value / 10)] + (value % 10 ? `-${ONES[value % 10]}` : '');
+    if (value < 1000) {
+        return `${ONES[Math.floor(value / 100)]} hundred` + (value % 100 ? ` ${numberToWords(value % 100)}` : '');
+    }
+
+    const parts = [];
+    let rest = value;
+
+    for (let scale = 0; rest > 0; scale++) {
+        const group = rest % 1000;
+        if (group) parts.unshift(SCALES[scale] ? `${numberToWords(group)} ${SCALES[scale]}` : numberToWords(group));
+        rest = Math.floor(rest / 1000);
+
+        // Beyond trillions the digits are read as written
+        if (scale === SCALES.length - 1 && rest > 0) return String(value);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Turn cardinal words into an ordinal ("twenty-one" becomes "twenty-first")
+ * @param {string} words - Cardinal number in words
+ * @returns {string} Ordinal
+ */
+function toOrdinal(words) {
+    return words.replace(/([a-z]+)$/, last => {
+        if (IRREGULAR_ORDINALS[last]) return IRREGULAR_ORDINALS[last];
+        if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+        return `${last}th`;
+    });
+}
+
+/**
+ * Check whether a four-digit number is probably a year
+ * @param {number} value - Number
+ * @param {string} digits - Digits as written
+ * @returns {boolean} True for 1100-1999 and 2010-2099
+ */
+function isYearLike(value, digits) {
+    return digits.length === 4 && ((value >= 1100 && value <= 1999) || (value >= 2010 && value <= 2099));
+}
+
+/**
+ * Read a year in two halves ("nineteen eighty-four", "twenty twenty-four", "nineteen hundred")
+ * @param {number} value - Year
+ * @returns {string} Words
+ */
+function yearToWords(value) {
+    const century = Math.floor(value / 100);
+    const rest = value % 100;
+
+    if (rest === 0) return `${numberToWords(century)} hundred`;
+    return `${numberToWords(century)} ${rest < 10 ? `oh ${ONES[rest]}` : numberToWords(rest)}`;
+}
+
+/**
+ * Name a code language from a fence info string ("js" is "JavaScript", "sql" is "SQL")
+ * Unknown short names are taken to be acronyms and unknown long names are capitalized.
+ * @param {string} language - Language as written after the fence
+ * @returns {string} Name to read
+ */
+function readLanguageName(language) {
+    const known = CODE_LANGUAGE_NAMES[language.toLowerCase()];
+    if (known) return known;
+    if (language !== language.toLowerCase()) return language;
+    if (language.length <= 3) return language.toUpperCase();
+    return `${language.charAt(0).toUpperCase()}${language.slice(1)}`;
+}
+
+/**
+ * Split a Markdown table row into trimmed cells
+ * @param {string} row - Row with pipes
+ * @returns {Array<string>} Cells
+ */
+function splitRow(row) {
+    return row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Join words as a spoken list ("A, B and C")
+ * @param {Array<string>} words - Words
+ * @returns {string} List
+ */
+function joinWords(words) {
+    if (words.length <= 1) return words.join('');
+    return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+/**
+ * Create local converter
+ * @param {Object} options - Converter options (language, describeCode)
+ * @returns {LocalConverter} Converter instance
+ */
+export function createLocalConverter(options = {}) {
+    return new LocalConverter(options);
+}
+
+export default LocalConverter;
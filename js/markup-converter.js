@@ -0,0 +1,307 @@
+/**
+ * Markup Converter Module
+ * Turns HTML and XHTML documents into the text conventions of the extraction pipeline:
+ * blank-line paragraphs, Markdown headings, tables and code fences, $math$ and figure markers
+ */
+
+import { createTableDetector } from './table-detector.js';
+import { createFigureMarker } from './figure-locator.js';
+
+const SKIP_TAGS = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+    'button', 'input', 'select', 'textarea', 'nav'
+]);
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'div', 'dl',
+    'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'main', 'p',
+    'section', 'summary'
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+/**
+ * Parse an HTML or XHTML string
+ * XHTML is parsed strictly first and falls back to the forgiving HTML parser.
+ * @param {string} markup - Document source
+ * @param {boolean} xhtml - True for XHTML sources (EPUB content documents)
+ * @returns {Document} Parsed document
+ */
+export function parseMarkup(markup, xhtml = false) {
+    const parser = new DOMParser();
+
+    if (xhtml) {
+        const doc = parser.parseFromString(markup, 'application/xhtml+xml');
+        if (!doc.getElementsByTagName('parsererror').length) return doc;
+    }
+
+    return parser.parseFromString(markup, 'text/html');
+}
+
+/**
+ * Parse an XML document (EPUB packages, Office Open XML parts)
+ * @param {string} source - XML source
+ * @returns {Document} Parsed document
+ */
+export function parseXML(source) {
+    return new DOMParser().parseFromString(source, 'application/xml');
+}
+
+/**
+ * Convert a parsed document or element to pipeline text
+ * @param {Document|Element} root - Document or element to convert
+ * @param {Object} options - { baseUrl, images, idPrefix }; with `images` each <img> becomes a
+ *                 figure marker, otherwise its alt text is kept
+ * @returns {Object} { text, headings, links, tables, images }
+ */
+export function htmlToText(root, options = {}) {
+    const walker = new MarkupWalker(options);
+    const body = root.body || root.getElementsByTagName?.('body')[0] || root.documentElement || root;
+
+    walker.walk(body);
+    walker.flush();
+
+    return {
+        text: walker.blocks.join('\n\n'),
+        headings: walker.headings,
+        links: walker.links,
+        tables: walker.tables,
+        images: walker.images
+    };
+}
+
+/**
+ * Collapse whitespace in a node's text content
+ * @param {Node} node - Node to read
+ * @returns {string} Single-line text
+ */
+function collapsedText(node) {
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Depth-first walk that collects inline text into blocks
+ */
+class MarkupWalker {
+    constructor(options) {
+        this.options = options;
+        this.blocks = [];
+        this.headings = [];
+        this.links = [];
+        this.tables = [];
+        this.images = [];
+        this.inline = '';
+        this.prefix = '';
+        this.lists = [];
+        this.tableDetector = createTableDetector();
+    }
+
+    /**
+     * End the current block
+     */
+    flush() {
+        const text = this.inline
+            .replace(/[ \t\r\f\v]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .trim();
+
+        if (text) {
+            this.blocks.push(this.prefix + text);
+            this.prefix = '';
+        }
+
+        this.inline = '';
+    }
+
+    /**
+     * Visit a node
+     * @param {Node} node - DOM node
+     */
+    walk(node) {
+        if (node.nodeType === 3) {
+            this.inline += node.nodeValue.replace(/\s+/g, ' ');
+            return;
+        }
+
+        if (node.nodeType !== 1) return;
+
+        const tag = (node.localName || node.nodeName).toLowerCase();
+        if (SKIP_TAGS.has(tag) || node.getAttribute('hidden') !== null) return;
+
+        const heading = HEADING_PATTERN.exec(tag);
+        if (heading) {
+            this.flush();
+            const title = collapsedText(node);
+            if (title) {
+                const level = parseInt(heading[1], 10);
+                this.blocks.push(`${'#'.repeat(level)} ${title}`);
+                this.headings.push({ title, level });
+            }
+            return;
+        }
+
+        switch (tag) {
+            case 'br':
+                this.inline += '\n';
+                return;
+            case 'pre':
+                this.flush();
+                this.blocks.push('```\n' + node.textContent.replace(/^\n|\n$/g, '') + '\n```');
+                return;
+            case 'code':
+            case 'kbd':
+            case 'samp':
+                this.inline += '`' + node.textContent + '`';
+                return;
+            case 'math':
+                this.inline += `$${this.readMath(node)}$`;
+                return;
+            case 'img':
+                this.addImage(node);
+                return;
+            case 'a':
+                this.addLink(node);
+                return;
+            case 'table':
+                this.addTable(node);
+                return;
+            case 'ul':
+            case 'ol':
+                this.flush();
+                this.lists.push({ ordered: tag === 'ol', index: parseInt(node.getAttribute('start'), 10) || 1 });
+                this.walkChildren(node);
+                this.flush();
+                this.lists.pop();
+                return;
+            case 'li':
+                this.flush();
+                this.prefix = this.listPrefix();
+                this.walkChildren(node);
+                this.flush();
+                return;
+        }
+
+        if (BLOCK_TAGS.has(tag)) {
+            this.flush();
+            this.walkChildren(node);
+            this.flush();
+            return;
+        }
+
+        this.walkChildren(node);
+    }
+
+    /**
+     * Visit the children of an element
+     * @param {Element} node - Element
+     */
+    walkChildren(node) {
+        for (const child of Array.from(node.childNodes)) {
+            this.walk(child);
+        }
+    }
+
+    /**
+     * Marker for the next list item, indented by nesting depth
+     * @returns {string} "- " or "3. " with indentation
+     */
+    listPrefix() {
+        const list = this.lists[this.lists.length - 1];
+        if (!list) return '- ';
+
+        const indent = '  '.repeat(this.lists.length - 1);
+        return list.ordered ? `${indent}${list.index++}. ` : `${indent}- `;
+    }
+
+    /**
+     * Read MathML as TeX when an annotation carries it, else as plain text
+     * @param {Element} node - <math> element
+     * @returns {string} Formula text
+     */
+    readMath(node) {
+        const tex = Array.from(node.getElementsByTagName('annotation'))
+            .find(annotation => /tex/i.test(annotation.getAttribute('encoding') || ''));
+
+        return (node.getAttribute('alttext') || (tex && tex.textContent) || collapsedText(node)).trim();
+    }
+
+    /**
+     * Keep anchor text in place and record the link target
+     * @param {Element} node - <a> element
+     */
+    addLink(node) {
+        const before = this.inline;
+        this.inline = '';
+        this.walkChildren(node);
+        const text = this.inline;
+        this.inline = before + text;
+
+        const href = node.getAttribute('href');
+        if (!href || href.startsWith('#')) return;
+
+        try {
+            const url = new URL(href, this.options.baseUrl || undefined).href;
+            if (/^https?:/i.test(url)) {
+                this.links.push({ url, text: text.replace(/\s+/g, ' ').trim() });
+            }
+        } catch (error) {
+            // Relative links without a base point inside the document
+        }
+    }
+
+    /**
+     * Emit a figure marker for an image, or its alt text when figures are not collected
+     * @param {Element} node - <img> element
+     */
+    addImage(node) {
+        const alt = (node.getAttribute('alt') || '').trim();
+        const src = node.getAttribute('src') || node.getAttribute('xlink:href') || '';
+        const figure = node.closest ? node.closest('figure') : null;
+        const caption = figure ? figure.getElementsByTagName('figcaption')[0] : null;
+
+        if (this.options.images && src) {
+            const id = `${this.options.idPrefix || 'img'}-${this.images.length + 1}`;
+            this.images.push({ id, src, alt, caption: caption ? collapsedText(caption) : alt || null });
+            this.flush();
+            this.blocks.push(createFigureMarker(id));
+        } else if (alt) {
+            this.flush();
+            this.blocks.push(`Image: ${alt}`);
+        }
+    }
+
+    /**
+     * Emit a table as a Markdown table
+     * @param {Element} node - <table> element
+     */
+    addTable(node) {
+        this.flush();
+
+        const rows = Array.from(node.getElementsByTagName('tr'))
+            .filter(row => row.closest ? row.closest('table') === node : true)
+            .map(row => Array.from(row.children)
+                .filter(cell => /^t[dh]$/i.test(cell.localName || cell.nodeName))
+                .map(collapsedText))
+            .filter(cells => cells.some(Boolean));
+
+        const columns = Math.max(0, ...rows.map(cells => cells.length));
+
+        // Layout tables with a single column read better as paragraphs
+        if (rows.length < 2 || columns < 2) {
+            rows.forEach(cells => cells.filter(Boolean).forEach(cell => this.blocks.push(cell)));
+            return;
+        }
+
+        const padded = rows.map(cells => [...cells, ...Array(columns - cells.length).fill('')]);
+        const markdown = this.tableDetector.toMarkdown(padded);
+
+        this.tables.push({ rows: padded, markdown });
+        this.blocks.push(markdown);
+    }
+}
+
+export default {
+    parseMarkup,
+    parseXML,
+    htmlToText
+};
@@ -0,0 +1,178 @@
+/**
+ * OCR Engine Module
+ * Offline text recognition for scanned pages using a locally vendored Tesseract (WASM) build
+ */
+
+import { getBaseURI } from './utils.js';
+
+/**
+ * Default OCR configuration, shared with the PDF extractor's scanned-page fallback
+ * Files under basePath are produced by tools/vendor-ocr.sh; nothing is fetched from a CDN.
+ */
+export const OCR_DEFAULTS = {
+    enabled: true,
+    minCharacters: 20,  // Pages with less text than this are treated as scanned
+    renderScale: 2,     // Canvas scale used when rendering a page for recognition
+    basePath: 'vendor/tesseract/',
+    language: 'eng'
+};
+
+/**
+ * OCR Engine Class
+ * Lazily starts a Tesseract worker and recognizes rendered page canvases
+ */
+export class OCREngine {
+    constructor(options = {}) {
+        this.options = { ...OCR_DEFAULTS, ...options };
+        this.worker = null;
+        this.loading = null;
+        this.unavailable = false;
+    }
+
+    /**
+     * Load the OCR worker (once)
+     * @returns {Promise<Object|null>} Tesseract worker, or null if the engine is not vendored
+     */
+    async load() {
+        if (this.worker) return this.worker;
+        if (this.unavailable) return null;
+
+        if (!this.loading) {
+            this.loading = this.createWorker().catch(error => {
+                console.warn('Offline OCR is unavailable:', error);
+                this.unavailable = true;
+                return null;
+            });
+        }
+
+        this.worker = await this.loading;
+        this.loading = null;
+        return this.worker;
+    }
+
+    /**
+     * Create a Tesseract worker pointing at the vendored files
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    async createWorker() {
+        const base = new URL(this.options.basePath, getBaseURI()).href;
+
+        await this.loadScript(`${base}tesseract.min.js`);
+
+        if (typeof Tesseract === 'undefined') {
+            throw new Error('Tesseract library not loaded');
+        }
+
+        return await Tesseract.createWorker(this.options.language, 1, {
+            workerPath: `${base}worker.min.js`,
+            corePath: `${base}core/`,
+            langPath: `${base}lang/`,
+            workerBlobURL: false,
+            cacheMethod: 'none'
+        });
+    }
+
+    /**
+     * Load a classic script once
+     * Inside the extraction worker the UMD build is imported instead; it still sets the global.
+     * @param {string} src - Script URL
+     * @returns {Promise<void>}
+     */
+    loadScript(src) {
+        if (typeof document === 'undefined') {
+            return import(src);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (document.querySelector(`script[src="${src}"]`)) {
+                resolve();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Recognize text on a canvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered page
+     * @returns {Promise<Object|null>} { text, confidence } (confidence 0-100), or null if unavailable
+     */
+    async recognize(canvas) {
+        const worker = await this.load();
+        if (!worker) return null;
+
+        const { data } = await worker.recognize(canvas);
+
+        return {
+            text: (data.text || '').trim(),
+            confidence: Math.round(data.confidence || 0)
+        };
+    }
+
+    /**
+     * Check whether the engine could be loaded
+     * @returns {Promise<boolean>} True if OCR is available
+     */
+    async isAvailable() {
+        return (await this.load()) !== null;
+    }
+
+    /**
+     * Check whether the engine files are installed, without starting a worker
+     * @returns {Promise<boolean>} True if the vendored library is served under basePath
+     */
+    async isInstalled() {
+        try {
+            const base = new URL(this.options.basePath, getBaseURI()).href;
+            const response = await fetch(`${base}tesseract.min.js`, { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Stop the worker and free its memory
+     */
+    async terminate() {
+        if (this.worker) {
+            const worker = this.worker;
+            this.worker = null;
+            await worker.terminate();
+        }
+    }
+}
+
+/**
+ * Show the copy that matches whether scanned pages can be recovered
+ * Elements marked data-ocr="available" or data-ocr="unavailable" start hidden; one set is shown.
+ * @param {Object} options - OCR settings (enabled, basePath)
+ * @param {ParentNode} root - Element to search for the marked copy
+ * @returns {Promise<boolean>} True if OCR is enabled and installed
+ */
+export async function showOCRAvailability(options = {}, root = document) {
+    const settings = { ...OCR_DEFAULTS, ...options };
+    const available = settings.enabled && await new OCREngine(settings).isInstalled();
+
+    root.querySelectorAll('[data-ocr]').forEach(element => {
+        element.hidden = element.dataset.ocr !== (available ? 'available' : 'unavailable');
+    });
+
+    return available;
+}
+
+/**
+ * Create OCR engine
+ * @param {Object} options - Options (basePath, language)
+ * @returns {OCREngine} Engine instance
+ */
+export function createOCREngine(options = {}) {
+    return new OCREngine(options);
+}
+
+export default OCREngine;
@@ -3,31 +3,123 @@
  * Handles PDF text and image extraction using PDF.js
  */
 
-import { formatBytes, detectLanguage, estimateTokenCount, showToast } from './utils.js';
+import { formatBytes, showToast, createCanvas, canvasToBase64 } from './utils.js';
+import { createLayoutAnalyzer } from './layout-analyzer.js';
+import { createRunningTextDetector } from './running-text-detector.js';
+import { createOCREngine, OCR_DEFAULTS } from './ocr-engine.js';
+import { createFootnoteDetector, FOOTNOTE_DEFAULTS } from './footnote-detector.js';
+import { buildOutlineFromHeadings, flattenOutline, locateSections } from './document-structure.js';
+import { classifyFonts, classifyWeights } from './font-classifier.js';
+import { createHeadingDetector } from './heading-detector.js';
+import { createFigureLocator, FIGURE_DEFAULTS } from './figure-locator.js';
+import { DocumentExtractor } from './document-extractor.js';
+
+/**
+ * Attempts allowed before a wrong password is reported as incorrect
+ */
+const MAX_PASSWORD_ATTEMPTS = 3;
+
+/**
+ * Pages read past a page before its headings are picked, so the fonts that follow it
+ * count towards the heading levels too
+ */
+const HEADING_LOOKAHEAD = 16;
+
+/**
+ * Canvas factory for pdf.js inside the extraction worker, where there is no document
+ * pdf.js creates scratch canvases through it while rendering (masks, patterns).
+ */
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+/**
+ * Filter factory for the extraction worker
+ * SVG transfer-map filters need a document; without one pages render unfiltered.
+ */
+const NO_FILTERS = {
+    addFilter: () => 'none',
+    addHCMFilter: () => 'none',
+    addHighlightHCMFilter: () => 'none',
+    destroy: () => {}
+};
+
+/**
+ * Thrown when an encrypted PDF is opened without a password (none given, or the prompt was cancelled)
+ */
+export class PasswordRequiredError extends Error {
+    constructor(message = 'This PDF is password-protected. Enter its password to open it.') {
+        super(message);
+        this.name = 'PasswordRequiredError';
+    }
+}
+
+/**
+ * Thrown when every password attempt for an encrypted PDF was wrong
+ */
+export class PasswordIncorrectError extends Error {
+    constructor(message = 'The password for this PDF is incorrect.') {
+        super(message);
+        this.name = 'PasswordIncorrectError';
+    }
+}
 
 /**
  * PDF Extractor Class
  * Extracts text and images from PDF files
  */
-export class PDFExtractor {
-    constructor() {
+export class PDFExtractor extends DocumentExtractor {
+    constructor(options = {}) {
+        super(options);
         this.pdfDoc = null;
-        this.file = null;
-        this.metadata = null;
+        this.layoutAnalyzer = createLayoutAnalyzer();
+        this.runningTextDetector = createRunningTextDetector();
+        this.headingDetector = createHeadingDetector();
+        this.bookmarks = [];
+        this.footnoteDetector = createFootnoteDetector();
+        this.footnoteOptions = { ...FOOTNOTE_DEFAULTS, ...options.footnotes };
+        this.figureLocator = createFigureLocator();
+        this.figureOptions = { ...FIGURE_DEFAULTS, ...options.figures };
+        this.ocrOptions = { ...OCR_DEFAULTS, ...options.ocr };
+        this.ocrEngine = createOCREngine(this.ocrOptions);
     }
 
     /**
      * Load PDF file
+     * The password for an encrypted PDF is only handed to pdf.js; it is never stored or logged.
      * @param {File} file - PDF file to load
+     * @param {Object} options - Load options
+     * @param {Function} options.requestPassword - Called with { incorrect, attempt } for encrypted
+     *                   files; resolves to the password, or null to cancel
      * @returns {Promise<Object>} PDF metadata
+     * @throws {PasswordRequiredError} If the file is encrypted and no password was given
+     * @throws {PasswordIncorrectError} If the given passwords were all wrong
      */
-    async loadFile(file) {
-        if (!file || file.type !== 'application/pdf') {
+    async loadFile(file, options = {}) {
+        if (!file || (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name))) {
             throw new Error('Invalid file type. Please select a PDF file.');
         }
 
         this.file = file;
 
+        let passwordError = null;
+        let attempts = 0;
+
         try {
             // Read file as ArrayBuffer
             const arrayBuffer = await this.readFileAsArrayBuffer(file);
@@ -36,35 +128,81 @@ export class PDFExtractor {
             const loadingTask = pdfjsLib.getDocument({
                 data: arrayBuffer,
                 cMapUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/',
-                cMapPacked: true
+                cMapPacked: true,
+                ...this.getWorkerOptions()
             });
 
+            loadingTask.onPassword = (updatePassword, reason) => {
+                this.askPassword(reason, attempts, options.requestPassword)
+                    .then(password => {
+                        attempts++;
+                        updatePassword(password);
+                    })
+                    .catch(error => {
+                        // Abort loading; the rejection below is replaced by the password error
+                        passwordError = error;
+                        loadingTask.destroy();
+                    });
+            };
+
             this.pdfDoc = await loadingTask.promise;
 
-            // Extract metadata
+            // Extract metadata and outline (bookmarks); documents without bookmarks get
+            // their outline from the headings found during extraction
             this.metadata = await this.extractMetadata();
+            this.bookmarks = await this.extractOutline();
+            this.outline = this.bookmarks;
 
             return this.metadata;
         } catch (error) {
+            if (passwordError) {
+                throw passwordError;
+            }
+
             console.error('Error loading PDF:', error);
             throw new Error(`Failed to load PDF: ${error.message}`);
         }
     }
 
     /**
-     * Read file as ArrayBuffer
-     * @param {File} file - File to read
-     * @returns {Promise<ArrayBuffer>} File contents
+     * pdf.js options for running without a document (inside the extraction worker)
+     * Fonts are drawn as paths instead of being installed as font faces.
+     * @returns {Object} Extra getDocument() options (empty on the main thread)
      */
-    readFileAsArrayBuffer(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    getWorkerOptions() {
+        if (typeof document !== 'undefined') return {};
 
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Failed to read file'));
+        return {
+            disableFontFace: true,
+            canvasFactory: new OffscreenCanvasFactory(),
+            filterFactory: NO_FILTERS
+        };
+    }
 
-            reader.readAsArrayBuffer(file);
-        });
+    /**
+     * Ask for the password of an encrypted PDF
+     * @param {number} reason - pdfjsLib.PasswordResponses value
+     * @param {number} attempts - Passwords already tried
+     * @param {Function} requestPassword - Asks the user for the password
+     * @returns {Promise<string>} Password to try next
+     * @throws {PasswordRequiredError|PasswordIncorrectError} When loading should stop
+     */
+    async askPassword(reason, attempts, requestPassword) {
+        const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+
+        if (incorrect && attempts >= MAX_PASSWORD_ATTEMPTS) {
+            throw new PasswordIncorrectError();
+        }
+
+        const password = requestPassword
+            ? await requestPassword({ incorrect, attempt: attempts + 1 })
+            : null;
+
+        if (!password) {
+            throw incorrect ? new PasswordIncorrectError() : new PasswordRequiredError();
+        }
+
+        return password;
     }
 
     /**
@@ -91,76 +229,372 @@ export class PDFExtractor {
     }
 
     /**
-     * Extract all text from PDF
-     * @param {Function} progressCallback - Called with progress updates
-     * @returns {Promise<Object>} Extracted text and metadata
+     * Extract the document outline (bookmarks) as a chapter/section tree
+     * @returns {Promise<Array>} Tree of { title, level, pageNum, children }
      */
-    async extractText(progressCallback = null) {
+    async extractOutline() {
         if (!this.pdfDoc) {
             throw new Error('No PDF document loaded');
         }
 
-        const numPages = this.pdfDoc.numPages;
-        const pages = [];
-        let fullText = '';
+        try {
+            const outline = await this.pdfDoc.getOutline();
+            return outline ? await this.resolveOutlineItems(outline, 1) : [];
+        } catch (error) {
+            console.warn('Could not read PDF outline:', error);
+            return [];
+        }
+    }
 
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-            try {
-                // Load page
-                const page = await this.pdfDoc.getPage(pageNum);
+    /**
+     * Resolve outline items to page numbers
+     * @param {Array} items - PDF.js outline items
+     * @param {number} level - Nesting level (1 = chapter)
+     * @returns {Promise<Array>} Outline nodes
+     */
+    async resolveOutlineItems(items, level) {
+        const nodes = [];
 
-                // Extract text content
-                const textContent = await page.getTextContent();
+        for (const item of items) {
+            const children = item.items && item.items.length > 0
+                ? await this.resolveOutlineItems(item.items, level + 1)
+                : [];
+            const pageNum = await this.resolveDestination(item.dest);
 
-                // Combine text items
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ')
-                    .trim();
+            nodes.push({
+                title: (item.title || '').replace(/\s+/g, ' ').trim(),
+                level,
+                // Items without their own destination start where their first child does
+                pageNum: pageNum || (children[0] ? children[0].pageNum : null),
+                children
+            });
+        }
 
-                pages.push({
-                    pageNum,
-                    text: pageText,
-                    length: pageText.length
-                });
+        return nodes;
+    }
 
-                fullText += pageText + '\n\n';
+    /**
+     * Resolve an outline destination to a 1-based page number
+     * @param {string|Array} dest - Named or explicit destination
+     * @returns {Promise<number|null>} Page number, or null if it cannot be resolved
+     */
+    async resolveDestination(dest) {
+        if (!dest) return null;
 
-                // Call progress callback
-                if (progressCallback) {
-                    progressCallback({
-                        current: pageNum,
-                        total: numPages,
-                        percentage: (pageNum / numPages) * 100
-                    });
-                }
-            } catch (error) {
-                console.error(`Error extracting text from page ${pageNum}:`, error);
-                pages.push({
+        try {
+            const explicit = typeof dest === 'string' ? await this.pdfDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+            const target = explicit[0];
+            const pageIndex = typeof target === 'number' ? target : await this.pdfDoc.getPageIndex(target);
+
+            return pageIndex + 1;
+        } catch (error) {
+            console.warn('Could not resolve outline destination:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Extract all text from PDF, without figures
+     * @param {Function} progressCallback - Called with progress updates
+     * @param {Object} options - Extraction options (see extractAll())
+     * @returns {Promise<Object>} Extracted text and metadata
+     */
+    async extractText(progressCallback = null, options = {}) {
+        return this.extractPages(progressCallback, options, false);
+    }
+
+    /**
+     * Read one page: text in reading order, tables, links and optionally figures
+     * @param {number} pageNum - 1-based page number
+     * @param {boolean} withFigures - Crop figures and mark their place in the text
+     * @returns {Promise<Object>} { pageData, layout } (layout is null if the page failed)
+     */
+    async readPage(pageNum, withFigures) {
+        try {
+            const page = await this.pdfDoc.getPage(pageNum);
+
+            // Rebuild reading order, falling back to OCR for scanned pages
+            const { layout: textLayout, text, ocr } = await this.extractPageText(page);
+
+            // Crop figures and mark where they appear in the text
+            const { layout, figures } = withFigures
+                ? await this.extractPageFigures(page, textLayout, ocr)
+                : { layout: textLayout, figures: [] };
+            const pageText = figures.length > 0 ? layout.text : text;
+
+            const pageData = {
+                pageNum,
+                text: pageText,
+                images: figures,
+                length: pageText.length,
+                tables: this.getPageTables(layout, ocr),
+                links: await this.getPageLinks(page, layout),
+                ocr
+            };
+
+            this.releasePage(page);
+            return { pageData, layout };
+        } catch (error) {
+            console.error(`Error extracting content from page ${pageNum}:`, error);
+            return {
+                pageData: {
                     pageNum,
                     text: '',
+                    images: [],
                     length: 0,
                     error: error.message
-                });
+                },
+                layout: null
+            };
+        }
+    }
+
+    /**
+     * Extract page text with layout-aware reading order
+     * @param {Object} page - PDF.js page
+     * @returns {Promise<Object>} Layout result (text, paragraphs, lines)
+     */
+    async extractPageLayout(page) {
+        const textContent = await page.getTextContent();
+        const { fonts, weights } = await this.getPageFonts(page, textContent.styles);
+        return this.layoutAnalyzer.analyze(textContent.items, fonts, weights);
+    }
+
+    /**
+     * Classify the fonts of a page as code, math or text, and as bold or regular
+     * Text content only reports a generic family, so the operator list is loaded to
+     * learn the embedded font names (CMMI10, Courier, Helvetica-Bold, ...).
+     * @param {Object} page - PDF.js page
+     * @param {Object} styles - textContent.styles
+     * @returns {Promise<Object>} { fonts, weights }: font id to 'code'/'math'/null and to 'bold'/null
+     */
+    async getPageFonts(page, styles) {
+        try {
+            await page.getOperatorList();
+        } catch (error) {
+            console.warn(`Could not load fonts of page ${page.pageNumber}:`, error);
+        }
+
+        const getName = fontId => {
+            try {
+                return page.commonObjs.has(fontId) ? page.commonObjs.get(fontId).name || '' : '';
+            } catch (error) {
+                return '';
             }
+        };
+
+        return {
+            fonts: classifyFonts(styles, getName),
+            weights: classifyWeights(styles, getName)
+        };
+    }
+
+    /**
+     * Read the external links of a page and the text they are anchored to
+     * @param {Object} page - PDF.js page
+     * @param {Object} layout - Page layout result
+     * @returns {Promise<Array>} Links ({ url, text })
+     */
+    async getPageLinks(page, layout) {
+        try {
+            const annotations = await page.getAnnotations({ intent: 'display' });
+            return this.linkHandler.getLinks(annotations, layout);
+        } catch (error) {
+            console.warn(`Could not read links of page ${page.pageNumber}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Extract page text, recognizing scanned pages with offline OCR
+     * @param {Object} page - PDF.js page
+     * @returns {Promise<Object>} { layout, text, ocr } where ocr is null for normal text pages
+     */
+    async extractPageText(page) {
+        const layout = await this.extractPageLayout(page);
+        const textLength = layout.text.replace(/\s/g, '').length;
+
+        if (!this.ocrOptions.enabled || textLength >= this.ocrOptions.minCharacters) {
+            return { layout, text: layout.text, ocr: null };
+        }
+
+        try {
+            const result = await this.recognizePage(page);
+
+            if (!result) {
+                return { layout, text: layout.text, ocr: { status: 'unavailable' } };
+            }
+
+            // Keep the text layer if recognition found less than it already had
+            const useOCR = result.text.replace(/\s/g, '').length > textLength;
+
+            return {
+                layout,
+                text: useOCR ? result.text : layout.text,
+                ocr: { status: useOCR ? 'recognized' : 'empty', confidence: result.confidence }
+            };
+        } catch (error) {
+            console.warn(`OCR failed on page ${page.pageNumber}:`, error);
+            return { layout, text: layout.text, ocr: { status: 'failed', error: error.message } };
+        }
+    }
+
+    /**
+     * Render a page to a canvas and run OCR on it
+     * @param {Object} page - PDF.js page
+     * @returns {Promise<Object|null>} { text, confidence }, or null if OCR is unavailable
+     */
+    async recognizePage(page) {
+        if (!(await this.ocrEngine.isAvailable())) {
+            return null;
         }
 
-        // Detect language from first 5000 characters
-        const language = detectLanguage(fullText.substring(0, 5000));
+        const viewport = page.getViewport({ scale: this.ocrOptions.renderScale });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        try {
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return await this.ocrEngine.recognize(canvas);
+        } finally {
+            // Release the bitmap right away; scanned documents can be hundreds of pages
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+
+    /**
+     * Free the operator lists and decoded images pdf.js keeps for a page
+     * Without this every page read stays cached until the document is closed.
+     * @param {Object} page - PDF.js page
+     */
+    releasePage(page) {
+        try {
+            page.cleanup();
+        } catch (error) {
+            console.warn(`Could not release page ${page.pageNumber}:`, error);
+        }
+    }
 
-        // Count words (rough estimate)
-        const wordCount = fullText.split(/\s+/).filter(w => w.length > 0).length;
+    /**
+     * Get the tables recovered from a page's text layer
+     * @param {Object} layout - Page layout result
+     * @param {Object|null} ocr - OCR status of the page
+     * @returns {Array} Tables ({ rows, markdown }); empty when the page text came from OCR
+     */
+    getPageTables(layout, ocr) {
+        return ocr && ocr.status === 'recognized' ? [] : layout.tables;
+    }
+
+    /**
+     * Check whether a page's text came from OCR
+     * @param {Object} pageData - Page entry
+     * @returns {boolean} True if the page was recognized
+     */
+    isRecognized(pageData) {
+        return Boolean(pageData.ocr && pageData.ocr.status === 'recognized');
+    }
+
+    /**
+     * Remove running headers, footers and page numbers from a page
+     * The page records what was removed in `removedLines` so it can be reviewed.
+     * @param {Object} pageData - Page entry (updated in place)
+     * @param {Object|null} layout - Page layout result (null for failed pages)
+     * @param {number} index - Page index in the running text detector
+     * @returns {Object|null} Layout without the removed lines
+     */
+    removeRunningText(pageData, layout, index) {
+        const removed = this.runningTextDetector.detectPage(index);
+        pageData.removedLines = removed.map(({ text, position, pattern }) => ({ text, position, pattern }));
+
+        if (removed.length === 0) return layout;
+
+        const trimmed = this.layoutAnalyzer.removeLines(layout, removed.map(r => r.line));
+        pageData.text = trimmed.text;
+        pageData.length = trimmed.text.length;
+        return trimmed;
+    }
+
+    /**
+     * Mark the headings found on a page with Markdown `#` markers
+     * Headings that match a bookmark take the bookmark's level.
+     * @param {Object} pageData - Page entry (updated in place)
+     * @param {Object|null} layout - Page layout result (null for failed pages)
+     * @param {number} index - Page index in the heading detector
+     * @param {Map} bookmarkLevels - Normalized bookmark title to level
+     * @returns {Object} { layout, headings } with the page's headings ({ title, level, pageNum })
+     */
+    markHeadings(pageData, layout, index, bookmarkLevels) {
+        const found = this.headingDetector.detectPage(index);
+        if (found.length === 0) return { layout, headings: [] };
+
+        const levels = new Map(found.map(heading => [
+            heading.paragraph,
+            Math.min(bookmarkLevels.get(normalizeHeading(heading.title)) || heading.level, 6)
+        ]));
+
+        const marked = this.layoutAnalyzer.markHeadings(layout, levels);
+        pageData.text = marked.text;
+        pageData.length = marked.text.length;
 
         return {
-            fullText: fullText.trim(),
-            pages,
-            language,
-            characterCount: fullText.length,
-            wordCount,
-            estimatedTokens: estimateTokenCount(fullText)
+            layout: marked,
+            headings: found.map(heading => ({ title: heading.title, level: levels.get(heading.paragraph), pageNum: pageData.pageNum }))
         };
     }
 
+    /**
+     * Take a page's footnotes out of the running text and link them to their reference markers
+     * The page records its notes in `footnotes`. Inline and dropped notes are resolved here;
+     * section-end notes keep a placeholder at the marker until placeBeforeSections() sets them out.
+     * @param {Object} pageData - Page entry (updated in place)
+     * @param {Object|null} layout - Page layout result (null for failed pages)
+     * @returns {Object|null} Layout without the notes
+     */
+    relocateFootnotes(pageData, layout) {
+        const mode = this.footnoteOptions.mode;
+        pageData.footnotes = [];
+
+        // OCR text has no layout to find notes in
+        if (!layout || this.isRecognized(pageData)) return layout;
+
+        const { notes, markers } = this.footnoteDetector.detect(layout);
+        if (notes.length === 0) return layout;
+
+        const footnotes = notes.map((note, i) => ({
+            id: `${pageData.pageNum}:${i + 1}`,
+            marker: note.marker,
+            text: note.text
+        }));
+
+        // Link each note to the first marker that refers to it; repeats are dropped
+        const replacements = new Map();
+        const linked = new Set();
+        for (const { marker, item } of markers) {
+            const note = footnotes.find(n => n.marker === marker);
+            replacements.set(item, mode === 'drop' || linked.has(note) ? '' : this.footnoteDetector.createToken(note));
+            linked.add(note);
+        }
+
+        let relocated = this.layoutAnalyzer.removeLines(layout, notes.flatMap(note => note.lines));
+        relocated = this.layoutAnalyzer.replaceItems(relocated, replacements);
+
+        let text = relocated.text;
+        if (mode === 'inline') {
+            text = this.footnoteDetector.placeInline(text, footnotes);
+        } else if (mode === 'section') {
+            // Unreferenced notes are collected with the section the page belongs to
+            const unlinked = footnotes.filter(note => !linked.has(note));
+            text += unlinked.map(note => this.footnoteDetector.createToken(note)).join('');
+        }
+
+        pageData.text = text;
+        pageData.length = text.length;
+        pageData.footnotes = footnotes;
+        return relocated;
+    }
+
     /**
      * Extract images from PDF
      * @param {Function} progressCallback - Called with progress updates
@@ -249,104 +683,296 @@ export class PDFExtractor {
 
     /**
      * Convert image data to base64
+     * Handles every pdf.js image kind: decoded bitmaps, 1-bit grayscale, RGB and RGBA pixel data.
      * @param {Object} imageData - Image data from PDF.js
      * @returns {Promise<string>} Base64 encoded image
      */
     async convertImageToBase64(imageData) {
-        return new Promise((resolve, reject) => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-
-            // Set canvas dimensions
-            canvas.width = imageData.width || 100;
-            canvas.height = imageData.height || 100;
+        const canvas = createCanvas(imageData.width || 100, imageData.height || 100);
+        const ctx = canvas.getContext('2d');
 
-            // Create ImageData
+        if (imageData.bitmap) {
+            ctx.drawImage(imageData.bitmap, 0, 0);
+        } else if (imageData.data) {
             const imgData = ctx.createImageData(canvas.width, canvas.height);
+            imgData.data.set(this.toRGBA(imageData, canvas.width, canvas.height));
+            ctx.putImageData(imgData, 0, 0);
+        }
+
+        try {
+            return await canvasToBase64(canvas);
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
 
-            if (imageData.data) {
-                imgData.data.set(new Uint8ClampedArray(imageData.data));
-                ctx.putImageData(imgData, 0, 0);
+    /**
+     * Expand pdf.js pixel data to RGBA
+     * @param {Object} imageData - { kind, data } from page.objs
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Uint8ClampedArray} RGBA pixels
+     */
+    toRGBA(imageData, width, height) {
+        const { kind, data } = imageData;
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const ImageKind = pdfjsLib.ImageKind || { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+        if (kind === ImageKind.RGBA_32BPP) {
+            rgba.set(data.subarray(0, rgba.length));
+        } else if (kind === ImageKind.RGB_24BPP) {
+            for (let src = 0, dst = 0; dst < rgba.length; src += 3, dst += 4) {
+                rgba[dst] = data[src];
+                rgba[dst + 1] = data[src + 1];
+                rgba[dst + 2] = data[src + 2];
+                rgba[dst + 3] = 255;
             }
+        } else if (kind === ImageKind.GRAYSCALE_1BPP) {
+            // Rows are padded to whole bytes; a set bit is white
+            const rowBytes = (width + 7) >> 3;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+                    const dst = (y * width + x) * 4;
+                    rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = bit ? 255 : 0;
+                    rgba[dst + 3] = 255;
+                }
+            }
+        } else {
+            throw new Error(`Unsupported image kind: ${kind}`);
+        }
 
-            // Convert to base64
-            try {
-                const base64 = canvas.toDataURL('image/png').split(',')[1];
-                resolve(base64);
-            } catch (error) {
-                reject(error);
+        return rgba;
+    }
+
+    /**
+     * Find the figures on a page, crop them from the rendered page and mark their place in the text
+     * @param {Object} page - PDF.js page
+     * @param {Object} layout - Page layout result
+     * @param {Object|null} ocr - OCR status of the page (scanned pages are one big image, not figures)
+     * @returns {Promise<Object>} { layout, figures } with marker paragraphs added to the layout
+     */
+    async extractPageFigures(page, layout, ocr) {
+        if (!this.figureOptions.enabled || (ocr && ocr.status === 'recognized')) {
+            return { layout, figures: [] };
+        }
+
+        try {
+            const operatorList = await page.getOperatorList();
+            const boxes = this.figureLocator.findFigureBoxes(operatorList, pdfjsLib.OPS, page.view);
+            if (boxes.length === 0) return { layout, figures: [] };
+
+            const figures = this.figureLocator.pairCaptions(boxes, layout)
+                .map((figure, index) => ({ ...figure, id: `${page.pageNumber}-${index + 1}` }));
+            const images = await this.renderFigures(page, figures.map(figure => figure.box));
+            const paragraphs = this.figureLocator.insertMarkers(layout.paragraphs, figures, layout.fontSize);
+
+            return {
+                layout: this.layoutAnalyzer.assemble(layout, paragraphs),
+                figures: figures.map((figure, index) => ({
+                    id: figure.id,
+                    pageNum: page.pageNumber,
+                    label: figure.label,
+                    caption: figure.caption ? figure.caption.text.replace(/\s+/g, ' ') : null,
+                    box: figure.box,
+                    base64: images[index],
+                    mimeType: 'image/png'
+                }))
+            };
+        } catch (error) {
+            console.warn(`Could not extract figures from page ${page.pageNumber}:`, error);
+            return { layout, figures: [] };
+        }
+    }
+
+    /**
+     * Render a page once and crop each figure box out of it
+     * Cropping the rendered page keeps masks, color spaces and transforms exactly as displayed.
+     * @param {Object} page - PDF.js page
+     * @param {Array} boxes - Figure boxes in PDF user space
+     * @returns {Promise<Array>} Base64 PNG per box (null where cropping failed)
+     */
+    async renderFigures(page, boxes) {
+        const viewport = page.getViewport({ scale: this.figureOptions.renderScale });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        try {
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+            const images = [];
+            for (const box of boxes) {
+                const rect = viewport.convertToViewportRectangle([box.x0, box.y0, box.x1, box.y1]);
+                images.push(await this.cropCanvas(canvas, rect));
             }
-        });
+            return images;
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+
+    /**
+     * Crop a rectangle out of a canvas as a PNG
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas
+     * @param {Array<number>} rect - [x0, y0, x1, y1] in canvas pixels (any corner order)
+     * @returns {Promise<string|null>} Base64 PNG, or null for an empty rectangle
+     */
+    async cropCanvas(canvas, rect) {
+        const x0 = Math.max(0, Math.floor(Math.min(rect[0], rect[2])));
+        const y0 = Math.max(0, Math.floor(Math.min(rect[1], rect[3])));
+        const x1 = Math.min(canvas.width, Math.ceil(Math.max(rect[0], rect[2])));
+        const y1 = Math.min(canvas.height, Math.ceil(Math.max(rect[1], rect[3])));
+        const width = x1 - x0;
+        const height = y1 - y0;
+
+        if (width < 1 || height < 1) return null;
+
+        const scale = Math.min(1, this.figureOptions.maxDimension / Math.max(width, height));
+        const crop = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+
+        try {
+            crop.getContext('2d').drawImage(canvas, x0, y0, width, height, 0, 0, crop.width, crop.height);
+            return await canvasToBase64(crop);
+        } finally {
+            crop.width = 0;
+            crop.height = 0;
+        }
     }
 
     /**
      * Extract text and images together with context
+     * Pages are released as soon as they are read; stop a running extraction with cancel().
      * @param {Function} progressCallback - Called with progress updates
-     * @returns {Promise<Object>} Combined extraction results
+     * @param {Object} options - Extraction options
+     * @param {Function} options.onPage - Called with each finished page entry, in order, once
+     *                   the pages around it have been read; pages handed on are not kept
+     * @returns {Promise<Object>} Combined extraction results, or only the document-wide
+     *          summary when onPage is given (see DocumentExtractor.extractAll())
+     * @throws {ExtractionCancelledError} If cancel() was called
      */
-    async extractAll(progressCallback = null) {
+    async extractAll(progressCallback = null, options = {}) {
+        return this.extractPages(progressCallback, options, true);
+    }
+
+    /**
+     * Read every page and hand it on once the passes that compare it with other pages are done
+     * Running headers are found against the pages either side and heading levels from the fonts
+     * seen so far, so only those pages wait in memory; the detectors keep rolling counts.
+     * @param {Function} progressCallback - Called with progress updates
+     * @param {Object} options - Extraction options (onPage)
+     * @param {boolean} withFigures - Crop figures and mark their place in the text
+     * @returns {Promise<Object>} Extraction results (see extractAll())
+     */
+    async extractPages(progressCallback, options, withFigures) {
         if (!this.pdfDoc) {
             throw new Error('No PDF document loaded');
         }
 
         const numPages = this.pdfDoc.numPages;
-        const pages = [];
-        let fullText = '';
+        const bookmarks = flattenOutline(this.bookmarks);
+        const stream = await this.startStream(options);
 
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-            try {
-                const page = await this.pdfDoc.getPage(pageNum);
+        Object.assign(stream, {
+            waiting: [],        // { pageData, layout, index, trimmed } read but not handed on
+            trimmed: 0,         // Pages whose running text is removed
+            bookmarks,
+            bookmarkLevels: new Map(bookmarks.map(node => [normalizeHeading(node.title), node.level])),
+            headings: [],
+            pendingNotes: [],   // Section-end notes waiting for the next section start
+            footnotes: 0,
+            ocrPages: []
+        });
 
-                // Extract text
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ')
-                    .trim();
+        this.runningTextDetector.reset();
+        this.headingDetector.reset();
 
-                // Extract images (simplified for this context)
-                const pageData = {
-                    pageNum,
-                    text: pageText,
-                    images: [], // Will be populated if images exist
-                    length: pageText.length
-                };
+        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+            this.throwIfCancelled();
 
-                pages.push(pageData);
-                fullText += pageText + '\n\n';
+            const { pageData, layout } = await this.readPage(pageNum, withFigures);
+            const index = this.runningTextDetector.addPage(layout);
+            stream.waiting.push({ pageData, layout, index, trimmed: false });
 
-                if (progressCallback) {
-                    progressCallback({
-                        stage: 'Extracting content',
-                        current: pageNum,
-                        total: numPages,
-                        percentage: (pageNum / numPages) * 100
-                    });
-                }
-            } catch (error) {
-                console.error(`Error extracting content from page ${pageNum}:`, error);
-                pages.push({
-                    pageNum,
-                    text: '',
-                    images: [],
-                    length: 0,
-                    error: error.message
+            await this.advanceStream(stream, index + 1, pageNum === numPages);
+
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'Extracting content',
+                    current: pageNum,
+                    total: numPages,
+                    percentage: (pageNum / numPages) * 100
                 });
             }
         }
 
-        const language = detectLanguage(fullText.substring(0, 5000));
-        const wordCount = fullText.split(/\s+/).filter(w => w.length > 0).length;
+        // Without bookmarks the headings become the document outline
+        this.outline = this.bookmarks.length > 0 ? this.bookmarks : buildOutlineFromHeadings(stream.headings);
 
-        return {
-            fullText: fullText.trim(),
-            pages,
-            language,
-            characterCount: fullText.length,
-            wordCount,
-            estimatedTokens: estimateTokenCount(fullText),
-            metadata: this.metadata
-        };
+        return this.endStream(stream, {
+            ocrPages: stream.ocrPages,
+            footnotes: { mode: this.footnoteOptions.mode, count: stream.footnotes }
+        });
+    }
+
+    /**
+     * Run the cross-page passes on the waiting pages that are ready for them
+     * Running text is removed once `window` more pages have been read, headings are picked
+     * once HEADING_LOOKAHEAD more pages have had theirs removed; then the page is finished.
+     * @param {Object} stream - Stream state from extractPages()
+     * @param {number} read - Number of pages read so far
+     * @param {boolean} ended - True once the last page has been read
+     */
+    async advanceStream(stream, read, ended) {
+        const { window } = this.runningTextDetector.options;
+
+        for (const entry of stream.waiting) {
+            if (entry.trimmed) continue;
+            if (!ended && entry.index + window >= read) break;
+
+            entry.layout = this.removeRunningText(entry.pageData, entry.layout, entry.index);
+            entry.trimmed = true;
+            stream.trimmed++;
+
+            // OCR text has no font information
+            this.headingDetector.addPage(this.isRecognized(entry.pageData) ? null : entry.layout);
+        }
+
+        while (stream.waiting.length > 0 && stream.waiting[0].trimmed &&
+               (ended || stream.waiting[0].index + HEADING_LOOKAHEAD < stream.trimmed)) {
+            const entry = stream.waiting.shift();
+            await this.finishPage(entry, stream, ended && stream.waiting.length === 0);
+        }
+    }
+
+    /**
+     * Mark headings, move footnotes out of the running text, repair the text and hand the page on
+     * @param {Object} entry - Waiting page ({ pageData, layout, index })
+     * @param {Object} stream - Stream state from extractPages()
+     * @param {boolean} last - True for the last page of the document
+     */
+    async finishPage(entry, stream, last) {
+        const { pageData } = entry;
+        const { layout, headings } = this.markHeadings(pageData, entry.layout, entry.index, stream.bookmarkLevels);
+
+        this.relocateFootnotes(pageData, layout);
+        await this.cleanPage(pageData, stream);
+        stream.headings.push(...headings);
+
+        // Bookmarks on the page, or else the headings found on it, start its sections
+        const nodes = this.bookmarks.length > 0
+            ? stream.bookmarks.filter(node => node.pageNum === pageData.pageNum)
+            : headings;
+
+        if (this.footnoteOptions.mode === 'section') {
+            const starts = locateSections(nodes, pageData.text).map(section => section.start);
+            this.footnoteDetector.placeBeforeSections(pageData, starts, stream.pendingNotes, last);
+        }
+
+        stream.footnotes += pageData.footnotes.length;
+        if (this.isRecognized(pageData)) stream.ocrPages.push(pageData.pageNum);
+
+        this.postPage(pageData, stream, nodes);
     }
 
     /**
@@ -357,8 +983,13 @@ export class PDFExtractor {
             this.pdfDoc.destroy();
             this.pdfDoc = null;
         }
+        this.ocrEngine.terminate().catch(error => {
+            console.warn('Error stopping OCR worker:', error);
+        });
         this.file = null;
         this.metadata = null;
+        this.bookmarks = [];
+        this.outline = [];
     }
 
     /**
@@ -378,6 +1009,15 @@ export class PDFExtractor {
     }
 }
 
+/**
+ * Normalize a heading or bookmark title for matching the two
+ * @param {string} title - Title
+ * @returns {string} Lowercase title with single spaces
+ */
+function normalizeHeading(title) {
+    return title.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
 /**
  * Quick extraction function for simple use cases
  * @param {File} file - PDF file
@@ -5,6 +5,7 @@
 
 import { formatDate, sanitizeFilename } from './utils.js';
 import { getSettingsManager } from './settings-manager.js';
+import { flattenOutline } from './document-structure.js';
 
 /**
  * PDF Generator Class
@@ -19,7 +20,8 @@ export class PDFGenerator {
     /**
      * Generate PDF from transformed text
      * @param {string} text - Transformed text content
-     * @param {Object} metadata - Document metadata
+     * @param {Object} metadata - Document metadata (title, originalFilename, outline, and
+     *                 links for the "links mentioned" appendix)
      * @param {Object} options - Generation options
      * @returns {Promise<Blob>} PDF blob
      */
@@ -90,7 +92,7 @@ export class PDFGenerator {
 
         // Add table of contents if requested
         if (config.generateTOC) {
-            const toc = this.generateTOC(text);
+            const toc = this.generateTOC(text, metadata.outline);
             if (toc.length > 0) {
                 doc.setFontSize(18);
                 doc.text('Table of Contents', margin, currentY);
@@ -115,8 +117,10 @@ export class PDFGenerator {
             }
         }
 
-        // Split text into paragraphs
-        const paragraphs = text.split(/\n\n+/);
+        // Split text into paragraphs; headings stand alone even when text follows on the next line
+        const paragraphs = text
+            .replace(/^(#{1,6}[ \t].*)$/gm, '\n$1\n')
+            .split(/\n\n+/);
 
         // Process each paragraph
         for (const paragraph of paragraphs) {
@@ -131,12 +135,15 @@ export class PDFGenerator {
                     currentY += lineSpacing * 1.5;
                 }
 
+                // Chapters are set larger than sections, sections larger than subsections
+                const level = this.getHeadingLevel(paragraph);
                 doc.setFont(config.fontFamily || 'times', 'bold');
-                doc.setFontSize((config.fontSize || 12) + 2);
+                doc.setFontSize((config.fontSize || 12) + Math.max(0, 8 - 2 * level));
             }
 
-            // Split paragraph into lines that fit the page width
-            const lines = doc.splitTextToSize(paragraph, contentWidth);
+            // Split paragraph into lines that fit the page width; headings lose their `#` marker
+            const content = isHeading ? this.getHeadingTitle(paragraph) : paragraph;
+            const lines = doc.splitTextToSize(content, contentWidth);
 
             // Add lines to document
             for (const line of lines) {
@@ -168,6 +175,46 @@ export class PDFGenerator {
             }
         }
 
+        // List link targets at the end instead of reading them in the text
+        if (metadata.links && metadata.links.length > 0) {
+            if (config.addPageNumbers) {
+                doc.setFontSize(10);
+                doc.text(`Page ${pageNumber}`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+            }
+
+            doc.addPage();
+            currentY = margin;
+            pageNumber++;
+
+            doc.setFontSize(18);
+            doc.text('Links Mentioned', margin, currentY);
+            currentY += 15;
+
+            doc.setFontSize(config.fontSize || 12);
+            metadata.links.forEach((link, index) => {
+                const lines = doc.splitTextToSize(this.formatLink(link, index), contentWidth);
+
+                for (const line of lines) {
+                    if (currentY > pageHeight - margin - lineSpacing) {
+                        if (config.addPageNumbers) {
+                            doc.setFontSize(10);
+                            doc.text(`Page ${pageNumber}`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+                            doc.setFontSize(config.fontSize || 12);
+                        }
+
+                        doc.addPage();
+                        currentY = margin;
+                        pageNumber++;
+                    }
+
+                    doc.text(line, margin, currentY);
+                    currentY += lineSpacing;
+                }
+
+                currentY += lineSpacing * 0.5;
+            });
+        }
+
         // Add final page number
         if (config.addPageNumbers) {
             doc.setFontSize(10);
@@ -180,10 +227,28 @@ export class PDFGenerator {
 
     /**
      * Generate table of contents from text
+     * The Markdown headings kept through transformation are used first; the source
+     * outline only fills in when the text has none.
+     * @param {string} text - Document text
+     * @param {Array} outline - Source document outline
+     * @returns {Array} TOC entries
+     */
+    generateTOC(text, outline = null) {
+        const toc = this.generateHeadingTOC(text);
+
+        if (toc.length === 0 && outline && outline.length > 0) {
+            return this.generateOutlineTOC(text, outline);
+        }
+
+        return toc;
+    }
+
+    /**
+     * Generate table of contents from the Markdown headings in the text
      * @param {string} text - Document text
      * @returns {Array} TOC entries
      */
-    generateTOC(text) {
+    generateHeadingTOC(text) {
         const toc = [];
         const lines = text.split('\n');
         let pageEstimate = 1;
@@ -201,13 +266,10 @@ export class PDFGenerator {
 
             // Check for headings
             if (this.isHeading(line)) {
-                const level = this.getHeadingLevel(line);
-                const title = line.replace(/^#+\s*/, '').trim();
-
                 toc.push({
-                    title,
+                    title: this.getHeadingTitle(line),
                     page: pageEstimate,
-                    level
+                    level: this.getHeadingLevel(line)
                 });
             }
         }
@@ -215,22 +277,65 @@ export class PDFGenerator {
         return toc;
     }
 
+    /**
+     * Generate table of contents from the source document outline
+     * Page numbers are estimated by locating each title in the transformed text.
+     * @param {string} text - Document text
+     * @param {Array} outline - Outline tree ({ title, level, children })
+     * @returns {Array} TOC entries
+     */
+    generateOutlineTOC(text, outline) {
+        const lines = text.split('\n').map(line => line.toLowerCase().replace(/\s+/g, ' '));
+        const linesPerPage = 40; // Rough estimate
+        const toc = [];
+        let lineIndex = 0;
+
+        for (const node of flattenOutline(outline)) {
+            if (!node.title) continue;
+
+            const title = node.title.toLowerCase();
+            const found = lines.findIndex((line, index) => index >= lineIndex && line.includes(title));
+            if (found >= 0) lineIndex = found;
+
+            toc.push({
+                title: node.title,
+                page: Math.floor(lineIndex / linesPerPage) + 1,
+                level: node.level
+            });
+        }
+
+        return toc;
+    }
+
     /**
      * Check if line is a heading
+     * Headings are marked with Markdown `#` during extraction and kept through transformation.
      * @param {string} line - Line of text
      * @returns {boolean} True if heading
      */
     isHeading(line) {
-        // Check for markdown-style headings
-        if (/^#+\s+/.test(line)) return true;
-
-        // Check for all-caps lines (common in transformed text)
-        if (line.length > 3 && line.length < 100 && line === line.toUpperCase()) return true;
+        return /^#{1,6}\s+\S/.test(line.trim());
+    }
 
-        // Check for lines ending with colon
-        if (line.trim().endsWith(':') && line.length < 100) return true;
+    /**
+     * Get the text of a heading without its Markdown marker
+     * @param {string} line - Heading line
+     * @returns {string} Heading title
+     */
+    getHeadingTitle(line) {
+        return line.trim().replace(/^#{1,6}\s+/, '').replace(/\s+#+$/, '').replace(/\s+/g, ' ');
+    }
 
-        return false;
+    /**
+     * Format an entry of the links appendix
+     * @param {Object} link - Link ({ url, text, pageNum })
+     * @param {number} index - Position in the appendix
+     * @returns {string} Numbered entry with anchor text, source page and address
+     */
+    formatLink(link, index) {
+        const anchor = link.text && link.text !== link.url ? `${link.text} ` : '';
+        const page = link.pageNum ? `(page ${link.pageNum})` : '';
+        return `${index + 1}. ${anchor}${page}: ${link.url}`.replace(/\s+:/, ':');
     }
 
     /**
@@ -304,7 +409,7 @@ export class PDFGenerator {
         const blob = await this.generate(text, metadata);
         const outputFilename = filename ||
                               (metadata.originalFilename ?
-                               metadata.originalFilename.replace('.pdf', '-spokable.pdf') :
+                               metadata.originalFilename.replace(/\.[^.]+$/, '-spokable.pdf') :
                                'readable-spokable.pdf');
         this.download(blob, outputFilename);
     }
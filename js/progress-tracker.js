@@ -453,6 +453,10 @@ export class ProgressUI {
 
             const batchInfo = document.createElement('span');
             batchInfo.textContent = `Batch ${batch.batchNumber || batch.id}`;
+            if (batch.section) {
+                batchInfo.textContent += ` — ${batch.section}`;
+                batchInfo.title = batch.section;
+            }
 
             item.appendChild(statusDot);
             item.appendChild(batchInfo);
@@ -0,0 +1,289 @@
+/**
+ * Pronunciation Lexicon Module
+ * User-managed pronunciations (term, respelling, optional IPA) applied to the transformed
+ * text, with CSV and W3C PLS import and export
+ */
+
+import { escapeXML } from './utils.js';
+
+const PLS_NAMESPACE = 'http://www.w3.org/2005/01/pronunciation-lexicon';
+
+const CSV_HEADER = ['term', 'respelling', 'ipa'];
+
+/**
+ * Pronunciation Lexicon Class
+ * Terms match whole words regardless of case; longer terms win over the terms they contain.
+ */
+export class PronunciationLexicon {
+    /**
+     * @param {Array} entries - Entries ({ term, respelling, ipa })
+     */
+    constructor(entries = []) {
+        this.entries = [];
+        this.setEntries(entries);
+    }
+
+    /**
+     * Replace the entries
+     * Entries without a term, or with neither a respelling nor IPA, are dropped; a repeated
+     * term keeps its last entry.
+     * @param {Array} entries - Entries ({ term, respelling, ipa })
+     */
+    setEntries(entries) {
+        const byTerm = new Map();
+
+        for (const entry of entries || []) {
+            const term = (entry.term || '').trim();
+            const respelling = (entry.respelling || '').trim();
+            const ipa = (entry.ipa || '').trim();
+
+            if (term && (respelling || ipa)) {
+                byTerm.set(term.toLowerCase(), { term, respelling, ipa });
+            }
+        }
+
+        this.entries = [...byTerm.values()];
+        this.pattern = this.buildPattern();
+    }
+
+    /**
+     * Get the entries
+     * @returns {Array} Entries ({ term, respelling, ipa })
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Merge entries into the lexicon, replacing entries with the same term
+     * @param {Array} entries - Entries to add
+     */
+    merge(entries) {
+        this.setEntries([...this.entries, ...entries]);
+    }
+
+    /**
+     * Apply the lexicon to a text
+     * @param {string} text - Transformed text
+     * @param {string} output - 'respell' replaces terms with their respelling; 'ssml' escapes the
+     *                          text and wraps terms in <phoneme> (IPA) or <sub> (respelling) tags
+     * @returns {string} Text for the TTS engine
+     */
+    apply(text, output = 'respell') {
+        const ssml = output === 'ssml';
+        if (!this.pattern) return ssml ? escapeXML(text) : text;
+
+        const byTerm = new Map(this.entries.map(entry => [entry.term.toLowerCase(), entry]));
+        let result = '';
+        let last = 0;
+
+        for (const match of text.matchAll(this.pattern)) {
+            const entry = byTerm.get(match[0].toLowerCase());
+            const before = text.substring(last, match.index);
+            result += ssml ? escapeXML(before) : before;
+            result += ssml ? toSSML(match[0], entry) : (entry.respelling || match[0]);
+            last = match.index + match[0].length;
+        }
+
+        const rest = text.substring(last);
+        return result + (ssml ? escapeXML(rest) : rest);
+    }
+
+    /**
+     * Build the pattern matching every term as a whole word
+     * @returns {RegExp|null} Pattern, or null for an empty lexicon
+     */
+    buildPattern() {
+        if (this.entries.length === 0) return null;
+
+        const terms = this.entries
+            .map(entry => entry.term)
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * Export as CSV (term, respelling, ipa)
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const rows = [CSV_HEADER, ...this.entries.map(entry => [entry.term, entry.respelling, entry.ipa])];
+        return rows.map(row => row.map(quoteCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export as a W3C Pronunciation Lexicon Specification (PLS 1.0) document
+     * IPA becomes <phoneme>, the respelling becomes <alias>.
+     * @param {string} language - Language tag for xml:lang
+     * @returns {string} PLS XML
+     */
+    toPLS(language = 'en') {
+        const lexemes = this.entries.map(entry => [
+            '  <lexeme>',
+            `    <grapheme>${escapeXML(entry.term)}</grapheme>`,
+            entry.ipa ? `    <phoneme>${escapeXML(entry.ipa)}</phoneme>` : null,
+            entry.respelling ? `    <alias>${escapeXML(entry.respelling)}</alias>` : null,
+            '  </lexeme>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<lexicon version="1.0" xmlns="${PLS_NAMESPACE}" alphabet="ipa" xml:lang="${escapeXML(language)}">`,
+            ...lexemes,
+            '</lexicon>',
+            ''
+        ].join('\n');
+    }
+}
+
+/**
+ * Read lexicon entries from a CSV or PLS file
+ * @param {string} text - File contents
+ * @param {string} filename - File name; .pls and .xml files (or XML content) are read as PLS
+ * @returns {Array} Entries ({ term, respelling, ipa })
+ * @throws {Error} If a PLS file is not well-formed
+ */
+export function parseLexicon(text, filename = '') {
+    const isXML = /\.(pls|xml)$/i.test(filename) || text.trimStart().startsWith('<');
+    return isXML ? parsePLS(text) : parseCSV(text);
+}
+
+/**
+ * Read entries from CSV
+ * Columns are term, respelling and ipa; a header row with those names is optional.
+ * @param {string} text - CSV text
+ * @returns {Array} Entries
+ */
+export function parseCSV(text) {
+    const rows = splitCSV(text.replace(/^\uFEFF/, ''));
+    let columns = { term: 0, respelling: 1, ipa: 2 };
+
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    if (header.includes('term')) {
+        columns = Object.fromEntries(CSV_HEADER.map(name => [name, header.indexOf(name)]));
+        rows.shift();
+    }
+
+    return rows
+        .map(row => ({
+            term: row[columns.term] || '',
+            respelling: columns.respelling >= 0 ? row[columns.respelling] || '' : '',
+            ipa: columns.ipa >= 0 ? row[columns.ipa] || '' : ''
+        }))
+        .filter(entry => entry.term.trim());
+}
+
+/**
+ * Read entries from a PLS document
+ * Each grapheme of a lexeme becomes an entry. Phonemes in an alphabet other than IPA are ignored.
+ * @param {string} text - PLS XML
+ * @returns {Array} Entries
+ * @throws {Error} If the XML is not well-formed
+ */
+export function parsePLS(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The pronunciation lexicon is not well-formed XML');
+    }
+
+    const lexiconAlphabet = doc.documentElement.getAttribute('alphabet') || 'ipa';
+    const entries = [];
+
+    for (const lexeme of doc.getElementsByTagNameNS('*', 'lexeme')) {
+        const phoneme = [...lexeme.getElementsByTagNameNS('*', 'phoneme')]
+            .find(node => (node.getAttribute('alphabet') || lexiconAlphabet).toLowerCase() === 'ipa');
+        const alias = lexeme.getElementsByTagNameNS('*', 'alias')[0];
+
+        for (const grapheme of lexeme.getElementsByTagNameNS('*', 'grapheme')) {
+            entries.push({
+                term: grapheme.textContent.trim(),
+                respelling: alias ? alias.textContent.trim() : '',
+                ipa: phoneme ? phoneme.textContent.trim() : ''
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Mark up one term for SSML
+ * @param {string} word - Term as written in the text
+ * @param {Object} entry - Lexicon entry
+ * @returns {string} <phoneme> when IPA is known, otherwise <sub>
+ */
+function toSSML(word, entry) {
+    if (entry.ipa) {
+        return `<phoneme alphabet="ipa" ph="${escapeXML(entry.ipa)}">${escapeXML(word)}</phoneme>`;
+    }
+
+    return `<sub alias="${escapeXML(entry.respelling)}">${escapeXML(word)}</sub>`;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+function splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value.trim())) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    if (row.some(value => value.trim())) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {string} value - Cell value
+ * @returns {string} CSV cell
+ */
+function quoteCSV(value) {
+    const text = value || '';
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create pronunciation lexicon
+ * @param {Array} entries - Entries ({ term, respelling, ipa })
+ * @returns {PronunciationLexicon} Lexicon instance
+ */
+export function createPronunciationLexicon(entries = []) {
+    return new PronunciationLexicon(entries);
+}
+
+export default PronunciationLexicon;
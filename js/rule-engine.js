@@ -0,0 +1,151 @@
+/**
+ * Rule Engine Module
+ * User-defined find/replace rules applied in order to the transformed text
+ */
+
+/**
+ * Fields of a rule, with their defaults
+ * `language` is an ISO 639-3 code from the language detector; empty means every language.
+ * A scoped rule also runs when the language is unknown (mixed or undetected documents).
+ */
+const RULE_DEFAULTS = {
+    name: '',
+    find: '',
+    replace: '',
+    regex: false,
+    caseSensitive: false,
+    wholeWord: false,
+    language: '',
+    enabled: true
+};
+
+/**
+ * Rule Engine Class
+ * Rules run one after another, each on the output of the one before. A rule with an
+ * invalid pattern is skipped and reported instead of stopping the others.
+ */
+export class RuleEngine {
+    /**
+     * @param {Array} rules - Rules in the order they run
+     */
+    constructor(rules = []) {
+        this.rules = rules.map(rule => ({ ...RULE_DEFAULTS, ...rule }));
+    }
+
+    /**
+     * Apply the rules to a text
+     * @param {string} text - Text to rewrite
+     * @param {string|null} language - Language of the text; rules scoped to another language
+     *                                 are skipped (when unknown, every rule runs)
+     * @returns {string} Rewritten text
+     */
+    apply(text, language = null) {
+        return this.run(text, language).text;
+    }
+
+    /**
+     * Apply the rules and report what each one did
+     * @param {string} text - Text to rewrite
+     * @param {string|null} language - Language of the text
+     * @returns {Object} { text, results: [{ rule, count, skipped, error }] } with one result per rule
+     */
+    run(text, language = null) {
+        let output = text;
+
+        const results = this.rules.map(rule => {
+            if (!rule.enabled || !rule.find) {
+                return { rule, count: 0, skipped: true, error: null };
+            }
+
+            if (rule.language && language && rule.language !== language) {
+                return { rule, count: 0, skipped: true, error: null };
+            }
+
+            let pattern;
+            try {
+                pattern = this.compile(rule);
+            } catch (error) {
+                return { rule, count: 0, skipped: true, error: error.message };
+            }
+
+            let count = 0;
+            output = output.replace(pattern, (...args) => {
+                count++;
+                return rule.regex ? expandReplacement(rule.replace, args) : rule.replace;
+            });
+
+            return { rule, count, skipped: false, error: null };
+        });
+
+        return { text: output, results };
+    }
+
+    /**
+     * Build the pattern of a rule
+     * @param {Object} rule - Rule
+     * @returns {RegExp} Global pattern
+     * @throws {SyntaxError} If a regex rule's pattern is invalid
+     */
+    compile(rule) {
+        const source = rule.regex ? rule.find : rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const bounded = rule.wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source;
+        const pattern = new RegExp(bounded, `g${rule.caseSensitive ? '' : 'i'}u`);
+
+        // A pattern that matches nothing would repeat the replacement between every character
+        if (pattern.test('')) {
+            throw new SyntaxError('Pattern matches empty text');
+        }
+
+        return pattern;
+    }
+
+    /**
+     * Check a rule without running it
+     * @param {Object} rule - Rule
+     * @returns {string|null} Error message, or null if the rule is valid
+     */
+    validate(rule) {
+        const full = { ...RULE_DEFAULTS, ...rule };
+        if (!full.find) return 'Nothing to find';
+
+        try {
+            this.compile(full);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+}
+
+/**
+ * Expand $1, $<name>, $& and $$ in a regex replacement
+ * Done by hand because the replacer function also counts matches.
+ * @param {string} replacement - Replacement template
+ * @param {Array} args - Arguments of the String.replace callback
+ * @returns {string} Replacement text
+ */
+function expandReplacement(replacement, args) {
+    const hasGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+    const groups = hasGroups ? args[args.length - 1] : {};
+    const captures = args.slice(1, hasGroups ? -3 : -2);
+
+    return replacement.replace(/\$(\$|&|<([^>]+)>|\d{1,2})/g, (token, key, name) => {
+        if (key === '$') return '$';
+        if (key === '&') return args[0];
+        if (name !== undefined) return groups[name] ?? '';
+
+        const index = parseInt(key, 10);
+        return index >= 1 && index <= captures.length ? captures[index - 1] ?? '' : token;
+    });
+}
+
+/**
+ * Create rule engine
+ * @param {Array} rules - Rules in the order they run
+ * @returns {RuleEngine} Engine instance
+ */
+export function createRuleEngine(rules = []) {
+    return new RuleEngine(rules);
+}
+
+export default RuleEngine;
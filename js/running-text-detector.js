@@ -0,0 +1,216 @@
+/**
+ * Running Text Detector Module
+ * Finds running headers, footers and page numbers that repeat across pages
+ */
+
+import { parseRomanNumeral } from './utils.js';
+
+const DETECTOR_DEFAULTS = {
+    zoneLines: 3,        // Lines inspected at the top and bottom of every page
+    minRatio: 0.3,       // Share of nearby pages a line must recur on (covers odd/even headers)
+    minPages: 3,         // Pages with fewer nearby text pages than this are left untouched
+    window: 8            // Pages either side a page is compared with
+};
+
+const PAGE_NUMBER_PATTERN = /^[\s\-–—|.]*(page\s*)?\d+(\s*(of|\/)\s*\d+)?[\s\-–—|.]*$/i;
+
+// Roman page numbers look like words ("I", "mix", "dim"), so they also have to count up
+// with the neighbouring pages or sit in the same place on most nearby pages
+const ROMAN_PAGE_NUMBER_PATTERN = /^[\s\-–—|.]*(?:page\s*)?([ivxlcdm]+)[\s\-–—|.]*$/i;
+const ROMAN_SEQUENCE_REACH = 2;     // Pages either side searched for the previous or next numeral
+
+/**
+ * Running Text Detector Class
+ * Compares the top and bottom lines of every page with the pages around it to find
+ * recurring furniture. Pages are added as they are read and checked once the pages
+ * after them are known, so only a window of pages is kept.
+ */
+export class RunningTextDetector {
+    constructor(options = {}) {
+        this.options = { ...DETECTOR_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget the pages added so far, to start a new document
+     */
+    reset() {
+        this.pages = new Map();     // Page index to { hasText, header, footer, numerals } while in reach
+        this.pageCount = 0;
+    }
+
+    /**
+     * Add the next page of the document
+     * @param {Object|null} layout - Page layout result from LayoutAnalyzer (null for failed pages)
+     * @returns {number} Index of the page
+     */
+    addPage(layout) {
+        const zones = this.getZones(layout);
+
+        this.pages.set(this.pageCount, {
+            hasText: Boolean(layout && layout.lines.length > 0),
+            ...zones,
+            numerals: {
+                header: this.findRomanNumerals(zones.header),
+                footer: this.findRomanNumerals(zones.footer)
+            }
+        });
+
+        return this.pageCount++;
+    }
+
+    /**
+     * Find the running headers and footers of a page
+     * Pages are checked in order, each once the `window` pages after it have been added
+     * (or the document has ended); pages out of reach of later pages are then dropped.
+     * @param {number} index - Page index from addPage()
+     * @returns {Array} List of { line, text, position, pattern } to remove
+     */
+    detectPage(index) {
+        const { window, minPages } = this.options;
+        const page = this.pages.get(index);
+        const nearby = [];
+
+        for (let i = index - window; i <= index + window; i++) {
+            if (this.pages.has(i)) nearby.push(this.pages.get(i));
+        }
+
+        const textPages = nearby.filter(other => other.hasText).length;
+        const removals = page && textPages >= minPages ? this.findRunningLines(index, nearby, textPages) : [];
+
+        this.pages.delete(index - window);
+        return removals;
+    }
+
+    /**
+     * Find the contiguous run of recurring lines or page numbers at each edge of a page
+     * @param {number} index - Page index
+     * @param {Array} nearby - Pages in reach of the page, from addPage()
+     * @param {number} textPages - Number of nearby pages with text
+     * @returns {Array} List of { line, text, position, pattern } to remove
+     */
+    findRunningLines(index, nearby, textPages) {
+        const page = this.pages.get(index);
+        const removals = [];
+        const counts = { header: new Map(), footer: new Map() };
+
+        for (const other of nearby) {
+            for (const position of ['header', 'footer']) {
+                const seen = new Set(other[position].map(line => this.normalize(line.text)));
+                for (const pattern of seen) {
+                    counts[position].set(pattern, (counts[position].get(pattern) || 0) + 1);
+                }
+            }
+        }
+
+        const threshold = Math.max(2, Math.ceil(textPages * this.options.minRatio));
+        const romanNumbers = this.findRomanPageNumbers(index, nearby, textPages);
+
+        for (const position of ['header', 'footer']) {
+            // Only a contiguous run from the page edge counts as furniture
+            for (const line of page[position]) {
+                const pattern = this.normalize(line.text);
+                const recurring = (counts[position].get(pattern) || 0) >= threshold;
+                const pageNumber = PAGE_NUMBER_PATTERN.test(line.text) || romanNumbers.has(line);
+
+                if (!pattern || !(recurring || pageNumber)) break;
+
+                removals.push({ line, text: line.text, position, pattern });
+            }
+        }
+
+        return removals;
+    }
+
+    /**
+     * Find the lines of a zone that hold nothing but a Roman numeral
+     * @param {Array} lines - Header or footer lines
+     * @returns {Array} { line, value } for each numeral
+     */
+    findRomanNumerals(lines) {
+        const numerals = [];
+
+        for (const line of lines) {
+            const match = ROMAN_PAGE_NUMBER_PATTERN.exec(line.text);
+            const value = match ? parseRomanNumeral(match[1]) : null;
+            if (value !== null) numerals.push({ line, value });
+        }
+
+        return numerals;
+    }
+
+    /**
+     * Find the header and footer lines of a page that are Roman page numbers
+     * A numeral counts when a page up to ROMAN_SEQUENCE_REACH pages away has the numeral that
+     * fits the sequence in the same zone, or when most nearby pages have a numeral in that zone.
+     * @param {number} index - Page index
+     * @param {Array} nearby - Pages in reach of the page, from addPage()
+     * @param {number} textPages - Number of nearby pages with text
+     * @returns {Set} Lines to treat as page numbers
+     */
+    findRomanPageNumbers(index, nearby, textPages) {
+        const accepted = new Set();
+        const page = this.pages.get(index);
+
+        for (const position of ['header', 'footer']) {
+            const pagesWithNumerals = nearby.filter(other => other.numerals[position].length > 0).length;
+            const recurring = pagesWithNumerals > textPages / 2;
+
+            for (const { line, value } of page.numerals[position]) {
+                let inSequence = false;
+                for (let offset = -ROMAN_SEQUENCE_REACH; offset <= ROMAN_SEQUENCE_REACH && !inSequence; offset++) {
+                    const other = offset !== 0 && this.pages.get(index + offset);
+                    inSequence = Boolean(other) && other.numerals[position].some(n => n.value === value + offset);
+                }
+
+                if (recurring || inSequence) accepted.add(line);
+            }
+        }
+
+        return accepted;
+    }
+
+    /**
+     * Get the candidate lines at the top and bottom of a page
+     * @param {Object} layout - Page layout result
+     * @returns {Object} { header: Array, footer: Array }, each ordered from the page edge inwards
+     */
+    getZones(layout) {
+        if (!layout || layout.lines.length === 0) {
+            return { header: [], footer: [] };
+        }
+
+        // Figure markers are not printed text and must not be mistaken for furniture
+        const byHeight = layout.lines.filter(line => !line.figure).sort((a, b) => b.baseline - a.baseline);
+        const size = Math.min(this.options.zoneLines, Math.floor(byHeight.length / 2));
+
+        return {
+            header: byHeight.slice(0, size),
+            footer: byHeight.slice(byHeight.length - size).reverse()
+        };
+    }
+
+    /**
+     * Normalize line text so page-specific numbers still match
+     * @param {string} text - Line text
+     * @returns {string} Comparison key
+     */
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/\d+/g, '#')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Create running text detector
+ * @param {Object} options - Detector options
+ * @returns {RunningTextDetector} Detector instance
+ */
+export function createRunningTextDetector(options = {}) {
+    return new RunningTextDetector(options);
+}
+
+export default RunningTextDetector;
@@ -67,10 +67,29 @@ const DEFAULT_SETTINGS = {
         expandAcronyms: true,
         simplifyJargon: true,
         addPhoneticHints: false,
-        insertPauseMarkers: true,
         includeImages: true
     },
 
+    // Find/replace rules applied in order to the transformed text (see RuleEngine)
+    transformationRules: [
+        { id: 'rule-eg', name: 'Read "e.g." aloud', find: 'e.g.', replace: 'for example', regex: false, caseSensitive: true, wholeWord: true, language: 'eng', enabled: true },
+        { id: 'rule-ie', name: 'Read "i.e." aloud', find: 'i.e.', replace: 'that is', regex: false, caseSensitive: true, wholeWord: true, language: 'eng', enabled: true },
+        { id: 'rule-space-punctuation', name: 'No space before punctuation', find: '[ \\t]+([,.;:!?])(?=\\s|$)', replace: '$1', regex: true, caseSensitive: false, wholeWord: false, language: 'eng', enabled: false }
+    ],
+
+    // SSML Output (pauses in milliseconds)
+    ssml: {
+        headingPause: 750,
+        paragraphPause: 400,
+        listItemPause: 250
+    },
+
+    // Pronunciation Lexicon (applied to the transformed text)
+    pronunciation: {
+        output: 'respell',  // 'respell' (replace terms with their respelling) or 'ssml' (<phoneme>/<sub> tags in the SSML download)
+        entries: []         // { term, respelling, ipa }
+    },
+
     // PDF Output Configuration
     pdfConfig: {
         fontSize: 12,
@@ -83,9 +102,27 @@ const DEFAULT_SETTINGS = {
         includeOriginal: false
     },
 
-    // Language Settings
-    inputLanguage: 'English',
-    outputLanguage: 'English',
+    // Text Extraction
+    ocr: {
+        enabled: true,      // Recover scanned pages with the vendored offline OCR engine
+        language: 'eng'
+    },
+    footnotes: {
+        mode: 'section'     // 'drop', 'inline' (after the sentence) or 'section' (end of each section)
+    },
+    links: {
+        mode: 'domain'      // 'drop', 'domain' (read the domain name) or 'appendix' (domain, plus a list at the end)
+    },
+    skipSections: {         // Sections left out of the spoken version unless unticked after upload
+        references: true,
+        acknowledgments: true,
+        appendix: false,
+        index: true
+    },
+
+    // Language Settings (ISO 639-3 codes from the language detector)
+    inputLanguage: 'auto',      // 'auto' uses the language detected on each selected page
+    outputLanguage: 'auto',     // 'auto' keeps the document's language
 
     // Date Format
     dateFormat: 'YYYY-MM-DD',
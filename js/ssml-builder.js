@@ -0,0 +1,266 @@
+/**
+ * SSML Builder Module
+ * Turns the transformed text into an SSML document: headings, paragraphs and list items
+ * become <p>/<s> structure with <break> pauses and <emphasis>
+ */
+
+import { escapeXML } from './utils.js';
+
+const SSML_DEFAULTS = {
+    headingPause: 750,      // Milliseconds before and after a heading
+    paragraphPause: 400,    // Milliseconds between paragraphs
+    listItemPause: 250,     // Milliseconds between list items
+    language: 'en'          // xml:lang of the document (BCP 47)
+};
+
+const SSML_NAMESPACE = 'http://www.w3.org/2001/10/synthesis';
+
+// Elements the builder and the pronunciation lexicon emit, plus common hand-written ones
+const SSML_ELEMENTS = new Set([
+    'speak', 'p', 's', 'break', 'emphasis', 'phoneme', 'sub', 'prosody', 'say-as', 'voice', 'lang', 'mark', 'audio', 'lexicon', 'meta', 'metadata', 'desc', 'token', 'w'
+]);
+
+const EMPHASIS_LEVELS = new Set(['strong', 'moderate', 'reduced', 'none']);
+
+// Markdown structure emitted by the transformation
+const HEADING_LINE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LIST_ITEM_LINE = /^\s*(?:[-*•+]|\d{1,3}[.)])\s+(.*)$/;
+
+// Sentence ends: punctuation followed by a space and something that starts a sentence
+const SENTENCE_BREAK = /(?<=[.!?…]["'”’)\]]*)\s+(?=[\p{Lu}\p{Lt}"'“‘(¿¡])/u;
+
+// **strong**, __strong__, *moderate*, _moderate_, `code`, [link](url)
+const INLINE_PATTERN = /\*\*(.+?)\*\*|__(.+?)__|(?<![\p{L}\p{N}*])\*(?![\s*])(.+?)(?<![\s*])\*(?!\*)|(?<![\p{L}\p{N}_])_(?![\s_])(.+?)(?<![\s_])_(?![\p{L}\p{N}_])|`([^`]+)`|\[([^\]]+)\]\([^)]*\)/gu;
+
+/**
+ * SSML Builder Class
+ */
+export class SSMLBuilder {
+    constructor(options = {}) {
+        this.options = { ...SSML_DEFAULTS, ...options };
+
+        // Settings saved from an empty field may hold NaN; a missing pause uses the default
+        for (const key of ['headingPause', 'paragraphPause', 'listItemPause']) {
+            if (!Number.isFinite(this.options[key])) this.options[key] = SSML_DEFAULTS[key];
+        }
+    }
+
+    /**
+     * Build an SSML document
+     * @param {string} text - Transformed text (Markdown headings and lists)
+     * @param {PronunciationLexicon} lexicon - Lexicon for <phoneme>/<sub> tags (optional)
+     * @returns {string} SSML document
+     */
+    build(text, lexicon = null) {
+        const blocks = this.parseBlocks(text);
+        const body = [];
+
+        blocks.forEach((block, index) => {
+            if (block.type === 'heading') {
+                if (index > 0) body.push(this.renderBreak(this.options.headingPause));
+                body.push(`<p><s><emphasis level="${block.level <= 2 ? 'strong' : 'moderate'}">${this.renderText(block.text, lexicon)}</emphasis></s></p>`);
+                body.push(this.renderBreak(this.options.headingPause));
+                return;
+            }
+
+            // Headings bring their own pause
+            if (index > 0 && blocks[index - 1].type !== 'heading') {
+                body.push(this.renderBreak(this.options.paragraphPause));
+            }
+
+            if (block.type === 'list') {
+                const items = block.items.map(item => `<s>${this.renderInline(item, lexicon)}</s>`);
+                body.push(`<p>${items.join(this.renderBreak(this.options.listItemPause))}</p>`);
+            } else {
+                const sentences = block.text.split(SENTENCE_BREAK).filter(sentence => sentence.trim());
+                body.push(`<p>${sentences.map(sentence => `<s>${this.renderInline(sentence, lexicon)}</s>`).join(' ')}</p>`);
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<speak version="1.1" xmlns="${SSML_NAMESPACE}" xml:lang="${escapeXML(this.options.language)}">`,
+            ...body,
+            '</speak>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Split text into headings, lists and paragraphs
+     * Lines that follow a list item without a blank line continue that item.
+     * @param {string} text - Transformed text
+     * @returns {Array} Blocks ({ type: 'heading', level, text } | { type: 'list', items } | { type: 'paragraph', text })
+     */
+    parseBlocks(text) {
+        const blocks = [];
+        let current = null;
+
+        for (const line of text.split('\n')) {
+            const heading = HEADING_LINE.exec(line);
+            const item = LIST_ITEM_LINE.exec(line);
+
+            if (!line.trim()) {
+                current = null;
+            } else if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+                current = null;
+            } else if (item) {
+                if (!current || current.type !== 'list') {
+                    current = { type: 'list', items: [] };
+                    blocks.push(current);
+                }
+                current.items.push(item[1]);
+            } else if (current && current.type === 'list') {
+                current.items[current.items.length - 1] += ` ${line.trim()}`;
+            } else if (current) {
+                current.text += ` ${line.trim()}`;
+            } else {
+                current = { type: 'paragraph', text: line.trim() };
+                blocks.push(current);
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Render text with inline Markdown emphasis
+     * @param {string} text - Sentence or list item
+     * @param {PronunciationLexicon} lexicon - Lexicon (optional)
+     * @returns {string} SSML fragment
+     */
+    renderInline(text, lexicon) {
+        let result = '';
+        let last = 0;
+
+        for (const match of text.matchAll(INLINE_PATTERN)) {
+            result += this.renderText(text.substring(last, match.index), lexicon);
+
+            const [, strong, strongUnderscore, moderate, moderateUnderscore, code, link] = match;
+            if (strong || strongUnderscore) {
+                result += `<emphasis level="strong">${this.renderText(strong || strongUnderscore, lexicon)}</emphasis>`;
+            } else if (moderate || moderateUnderscore) {
+                result += `<emphasis level="moderate">${this.renderText(moderate || moderateUnderscore, lexicon)}</emphasis>`;
+            } else {
+                result += this.renderText(code || link, lexicon);
+            }
+
+            last = match.index + match[0].length;
+        }
+
+        return result + this.renderText(text.substring(last), lexicon);
+    }
+
+    /**
+     * Escape plain text, adding pronunciation tags when a lexicon is given
+     * @param {string} text - Plain text
+     * @param {PronunciationLexicon} lexicon - Lexicon (optional)
+     * @returns {string} SSML text
+     */
+    renderText(text, lexicon) {
+        return lexicon ? lexicon.apply(text, 'ssml') : escapeXML(text);
+    }
+
+    /**
+     * Render a pause
+     * @param {number} milliseconds - Pause length
+     * @returns {string} <break> element
+     */
+    renderBreak(milliseconds) {
+        return `<break time="${Math.max(0, Math.round(milliseconds))}ms"/>`;
+    }
+}
+
+/**
+ * Check that a document is well-formed SSML
+ * Checks XML well-formedness (tags, attributes, entities, a single root) and that the root
+ * is <speak>, every element is an SSML element and break times and emphasis levels are valid.
+ * @param {string} ssml - SSML document
+ * @returns {Object} { valid, errors }
+ */
+export function validateSSML(ssml) {
+    const errors = [];
+    const stack = [];
+    let rootSeen = false;
+
+    const body = ssml.replace(/^\uFEFF?<\?xml[^?]*\?>/, '');
+    const tokens = body.matchAll(/<!--[\s\S]*?-->|<[^<>]*>|[<>]|&[^;\s<&]*;?|[^<>&]+/g);
+
+    for (const [token] of tokens) {
+        if (token.startsWith('<!--')) continue;
+
+        if (token === '<') {
+            errors.push('Unescaped "<" in text');
+        } else if (token === '>') {
+            // Allowed in XML text, but not outside the root
+            if (stack.length === 0) errors.push('Text outside the <speak> element');
+        } else if (token.startsWith('&')) {
+            if (!/^&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);$/.test(token)) {
+                errors.push(`Invalid character reference "${token}"`);
+            }
+            if (stack.length === 0) errors.push('Text outside the <speak> element');
+        } else if (token.startsWith('</')) {
+            const name = token.slice(2, -1).trim();
+            const open = stack.pop();
+
+            if (open !== name) {
+                errors.push(open ? `</${name}> closes <${open}>` : `Unexpected </${name}>`);
+                if (open) stack.push(open);
+            }
+        } else if (token.startsWith('<')) {
+            const tag = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>$/.exec(token);
+
+            if (!tag) {
+                errors.push(`Malformed tag ${token}`);
+                continue;
+            }
+
+            const [, name, attributeText, selfClosing] = tag;
+            const attributes = Object.fromEntries(
+                [...attributeText.matchAll(/([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)]
+                    .map(([, key, double, single]) => [key, double ?? single])
+            );
+
+            if (stack.length === 0) {
+                if (rootSeen) errors.push('More than one root element');
+                if (name !== 'speak') errors.push(`Root element is <${name}>, not <speak>`);
+                rootSeen = true;
+            }
+
+            if (!SSML_ELEMENTS.has(name)) {
+                errors.push(`<${name}> is not an SSML element`);
+            }
+
+            if (name === 'break' && attributes.time !== undefined && !/^\d+(?:\.\d+)?m?s$/.test(attributes.time)) {
+                errors.push(`Invalid break time "${attributes.time}"`);
+            }
+
+            if (name === 'emphasis' && attributes.level !== undefined && !EMPHASIS_LEVELS.has(attributes.level)) {
+                errors.push(`Invalid emphasis level "${attributes.level}"`);
+            }
+
+            if (!selfClosing) {
+                stack.push(name);
+            }
+        } else if (stack.length === 0 && token.trim()) {
+            errors.push('Text outside the <speak> element');
+        }
+    }
+
+    if (!rootSeen) errors.push('No <speak> element');
+    for (const name of stack.reverse()) errors.push(`<${name}> is never closed`);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Create SSML builder
+ * @param {Object} options - Builder options (pauses in milliseconds, language)
+ * @returns {SSMLBuilder} Builder instance
+ */
+export function createSSMLBuilder(options = {}) {
+    return new SSMLBuilder(options);
+}
+
+export default SSMLBuilder;
@@ -0,0 +1,176 @@
+/**
+ * Table Detector Module
+ * Recovers tables from column-aligned PDF text segments
+ */
+
+/**
+ * Detection thresholds, expressed as multiples of the page's median font size where noted
+ */
+const TABLE_DEFAULTS = {
+    minRows: 3,             // Fewer aligned rows are not treated as a table
+    minColumns: 2,
+    rowGap: 2.5,            // Larger vertical gaps between rows end a table
+    cellGap: 0.8,           // Minimum empty vertical band between two columns
+    maxCellLength: 40,      // Median cell length above this is running text in columns, not a table
+    textColumnShare: 0.28   // Columns all wider than this share of the table are a multi-column page layout
+};
+
+/**
+ * Table Detector Class
+ * Finds runs of lines made of several aligned segments and turns them into row/column data
+ */
+export class TableDetector {
+    constructor(options = {}) {
+        this.options = { ...TABLE_DEFAULTS, ...options };
+    }
+
+    /**
+     * Detect tables among the segments of a page
+     * @param {Array} segments - Segments from LayoutAnalyzer.buildSegments()
+     * @param {number} fontSize - Median font size of the page
+     * @returns {Array} Tables ({ rows, markdown, segments, baseline, x0, x1, y0, y1 })
+     */
+    detect(segments, fontSize) {
+        const tables = [];
+        let run = [];
+
+        const finish = () => {
+            const table = this.buildTable(run, fontSize);
+            if (table) tables.push(table);
+            run = [];
+        };
+
+        for (const row of this.groupRows(segments, fontSize)) {
+            const last = run[run.length - 1];
+
+            if (row.segments.length < this.options.minColumns) {
+                finish();
+                continue;
+            }
+
+            if (last && last.baseline - row.baseline > this.options.rowGap * fontSize) {
+                finish();
+            }
+
+            run.push(row);
+        }
+
+        finish();
+        return tables;
+    }
+
+    /**
+     * Group segments that share a baseline into rows
+     * @param {Array} segments - Segments
+     * @param {number} fontSize - Median font size
+     * @returns {Array} Rows ({ baseline, segments }) from top to bottom, segments left to right
+     */
+    groupRows(segments, fontSize) {
+        const sorted = [...segments].sort((a, b) => b.baseline - a.baseline || a.x0 - b.x0);
+        const rows = [];
+
+        for (const segment of sorted) {
+            const row = rows[rows.length - 1];
+
+            if (row && row.baseline - segment.baseline <= 0.5 * Math.max(segment.fontSize, fontSize, 1)) {
+                row.segments.push(segment);
+            } else {
+                rows.push({ baseline: segment.baseline, segments: [segment] });
+            }
+        }
+
+        rows.forEach(row => row.segments.sort((a, b) => a.x0 - b.x0));
+        return rows;
+    }
+
+    /**
+     * Turn a run of multi-segment rows into a table if its columns line up
+     * @param {Array} rows - Consecutive rows
+     * @param {number} fontSize - Median font size
+     * @returns {Object|null} Table, or null if the rows do not form one
+     */
+    buildTable(rows, fontSize) {
+        if (rows.length < this.options.minRows) return null;
+
+        const segments = rows.flatMap(row => row.segments);
+        const columns = this.findColumns(segments, fontSize);
+        if (columns.length < this.options.minColumns) return null;
+
+        const width = columns[columns.length - 1].x1 - columns[0].x0;
+        if (columns.every(column => column.x1 - column.x0 > width * this.options.textColumnShare)) return null;
+
+        const lengths = segments.map(segment => segment.text.length).sort((a, b) => a - b);
+        if (lengths[Math.floor(lengths.length / 2)] > this.options.maxCellLength) return null;
+
+        const cells = rows.map(row => columns.map(column =>
+            row.segments
+                .filter(segment => segment.x0 < column.x1 && segment.x1 > column.x0)
+                .map(segment => segment.text)
+                .join(' ')
+        ));
+
+        // Every row has to fill at least two columns, otherwise the alignment is accidental
+        if (cells.some(row => row.filter(Boolean).length < this.options.minColumns)) return null;
+
+        return {
+            rows: cells,
+            markdown: this.toMarkdown(cells),
+            segments,
+            baseline: rows[0].baseline,
+            x0: Math.min(...segments.map(segment => segment.x0)),
+            x1: Math.max(...segments.map(segment => segment.x1)),
+            y0: Math.min(...segments.map(segment => segment.y0)),
+            y1: Math.max(...segments.map(segment => segment.y1))
+        };
+    }
+
+    /**
+     * Find column extents from the empty vertical bands shared by all rows
+     * @param {Array} segments - Segments of the candidate table
+     * @param {number} fontSize - Median font size
+     * @returns {Array} Columns ({ x0, x1 }) from left to right
+     */
+    findColumns(segments, fontSize) {
+        const sorted = [...segments].sort((a, b) => a.x0 - b.x0);
+        const minGap = this.options.cellGap * fontSize;
+        const columns = [];
+
+        for (const segment of sorted) {
+            const column = columns[columns.length - 1];
+
+            if (column && segment.x0 - column.x1 < minGap) {
+                column.x1 = Math.max(column.x1, segment.x1);
+            } else {
+                columns.push({ x0: segment.x0, x1: segment.x1 });
+            }
+        }
+
+        return columns;
+    }
+
+    /**
+     * Format table rows as a Markdown pipe table (first row as header)
+     * @param {Array<Array<string>>} rows - Cell text by row and column
+     * @returns {string} Markdown table
+     */
+    toMarkdown(rows) {
+        const formatRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+
+        return [
+            formatRow(rows[0]),
+            formatRow(rows[0].map(() => '---')),
+            ...rows.slice(1).map(formatRow)
+        ].join('\n');
+    }
+}
+
+/**
+ * Create table detector
+ * @param {Object} options - Detection thresholds
+ * @returns {TableDetector} Detector instance
+ */
+export function createTableDetector(options = {}) {
+    return new TableDetector(options);
+}
+
+export default TableDetector;
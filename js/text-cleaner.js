@@ -0,0 +1,166 @@
+/**
+ * Text Cleaner Module
+ * Deterministic cleanup of extracted text: hyphenation, ligatures and invisible characters
+ */
+
+import { getBaseURI } from './utils.js';
+
+const CLEANER_DEFAULTS = {
+    wordListPath: 'data/wordlist-en.txt'
+};
+
+// Typographic ligatures (ﬀ ﬁ ﬂ ﬃ ﬄ ﬅ ﬆ) and the Dutch ĳ digraph; NFKC expands them to plain letters
+const LIGATURE_PATTERN = /[\uFB00-\uFB06\u0132\u0133]/g;
+
+// Zero-width, bidi and byte-order marks plus C0/C1 control characters (tabs and newlines are kept)
+const INVISIBLE_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+
+const SOFT_HYPHEN_BREAK = /\u00AD[ \t]*\n[ \t]*/g;
+const SOFT_HYPHEN = /\u00AD/g;
+
+const LINE_BREAK_HYPHEN = /(\p{L}+)-[ \t]*\n[ \t]*(\p{L}+)/gu;
+const SPACED_HYPHEN = /(\p{L}+)- (\p{Ll}+)/gu;
+
+/**
+ * Text Cleaner Class
+ * Normalizes text between extraction and batching and counts every fix it makes
+ */
+export class TextCleaner {
+    constructor(options = {}) {
+        this.options = { ...CLEANER_DEFAULTS, ...options };
+        this.words = null;
+    }
+
+    /**
+     * Load the local word list used to decide how hyphenated words are rejoined
+     * @returns {Promise<Set>} Word set (empty if the list cannot be loaded)
+     */
+    async loadWordList() {
+        if (this.words) return this.words;
+
+        try {
+            const response = await fetch(new URL(this.options.wordListPath, getBaseURI()));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const text = await response.text();
+            this.words = new Set(text.split('\n').map(word => word.trim()).filter(Boolean));
+        } catch (error) {
+            console.warn('Word list unavailable, hyphenation falls back to layout rules:', error);
+            this.words = new Set();
+        }
+
+        return this.words;
+    }
+
+    /**
+     * Clean a piece of text
+     * @param {string} text - Text to clean
+     * @returns {Object} { text, changes } where changes counts each kind of fix
+     */
+    clean(text) {
+        const changes = { invisible: 0, softHyphens: 0, ligatures: 0, hyphenation: 0 };
+        let cleaned = text || '';
+
+        cleaned = cleaned.replace(INVISIBLE_PATTERN, () => {
+            changes.invisible++;
+            return '';
+        });
+
+        cleaned = cleaned
+            .replace(SOFT_HYPHEN_BREAK, () => {
+                changes.softHyphens++;
+                return '';
+            })
+            .replace(SOFT_HYPHEN, () => {
+                changes.softHyphens++;
+                return '';
+            });
+
+        cleaned = cleaned.replace(LIGATURE_PATTERN, (ligature) => {
+            changes.ligatures++;
+            return ligature.normalize('NFKC');
+        });
+
+        cleaned = cleaned.replace(LINE_BREAK_HYPHEN, (match, left, right) => {
+            changes.hyphenation++;
+            return this.joinLineBreak(left, right);
+        });
+
+        // "trans- formation" left by space-joined extraction; "pre- and post-" must survive
+        cleaned = cleaned.replace(SPACED_HYPHEN, (match, left, right) => {
+            if (!this.isWord(left + right)) return match;
+            changes.hyphenation++;
+            return left + right;
+        });
+
+        return { text: cleaned, changes };
+    }
+
+    /**
+     * Decide how a word hyphenated across a line break is rejoined
+     * @param {string} left - Part before the hyphen
+     * @param {string} right - Part after the line break
+     * @returns {string} Rejoined word
+     */
+    joinLineBreak(left, right) {
+        if (this.isWord(left + right)) return left + right;
+
+        // Both halves are words on their own: a real compound such as "state-of"
+        if (this.isWord(left) && this.isWord(right)) return `${left}-${right}`;
+
+        // Unknown word: typesetters only break lowercase continuations
+        return /^\p{Ll}/u.test(right) ? left + right : `${left}-${right}`;
+    }
+
+    /**
+     * Check a word against the word list
+     * @param {string} word - Word to check
+     * @returns {boolean} True if the word is known
+     */
+    isWord(word) {
+        return this.words ? this.words.has(word.toLowerCase()) : false;
+    }
+
+    /**
+     * Clean extracted pages in place, including footnotes still waiting to be placed
+     * @param {Array} pages - Page entries with text (and optional footnotes)
+     * @returns {Promise<Object>} Change counts summed over all pages, plus total
+     */
+    async cleanPages(pages) {
+        await this.loadWordList();
+
+        const totals = { invisible: 0, softHyphens: 0, ligatures: 0, hyphenation: 0, total: 0 };
+        const cleanEntry = (entry) => {
+            const { text, changes } = this.clean(entry.text);
+            entry.text = text;
+
+            for (const [key, count] of Object.entries(changes)) {
+                totals[key] += count;
+                totals.total += count;
+            }
+        };
+
+        for (const pageData of pages) {
+            if (!pageData.text) continue;
+
+            cleanEntry(pageData);
+            pageData.length = pageData.text.length;
+            (pageData.footnotes || []).forEach(cleanEntry);
+        }
+
+        return totals;
+    }
+}
+
+/**
+ * Create text cleaner
+ * @param {Object} options - Options (wordListPath)
+ * @returns {TextCleaner} Cleaner instance
+ */
+export function createTextCleaner(options = {}) {
+    return new TextCleaner(options);
+}
+
+export default TextCleaner;
@@ -0,0 +1,249 @@
+/**
+ * Text Extractors Module
+ * Extractors for plain text, Markdown and HTML files
+ */
+
+import { DocumentExtractor } from './document-extractor.js';
+import { parseMarkup, htmlToText } from './markup-converter.js';
+import { createTableDetector } from './table-detector.js';
+
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([^\s`]*)/;
+const ATX_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^\s*(=+|-+)\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)+\|?\s*$/;
+const REFERENCE_DEFINITION = /^\s{0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+["'(].*["')])?\s*$/;
+const FRONT_MATTER = /^---\n([\s\S]*?)\n(?:---|\.\.\.)\n/;
+
+// Private-use delimiters around code spans and math while inline markup is stripped
+const PLACEHOLDER_PATTERN = /\uE010(\d+)\uE011/g;
+
+/**
+ * Plain Text Extractor Class
+ * Form feeds split the text into pages; everything else is kept as written
+ */
+export class PlainTextExtractor extends DocumentExtractor {
+    async parse(file) {
+        const source = (await this.readFileAsText(file)).replace(/\r\n?/g, '\n');
+        const pages = source.split('\f').map(text => ({ text: text.trim() }));
+
+        return { pages, headings: [], info: {} };
+    }
+}
+
+/**
+ * Markdown Extractor Class
+ * Keeps headings, tables, code fences and math; strips inline markup and records links
+ */
+export class MarkdownExtractor extends DocumentExtractor {
+    async parse(file) {
+        const source = (await this.readFileAsText(file)).replace(/\r\n?/g, '\n');
+        const { text, headings, links, tables, info } = markdownToText(source);
+
+        return {
+            pages: [{ text, links, tables }],
+            headings: headings.map(heading => ({ ...heading, pageNum: 1 })),
+            info
+        };
+    }
+}
+
+/**
+ * HTML Extractor Class
+ * Converts a saved web page; images are referenced remotely, so only their alt text is kept
+ */
+export class HTMLExtractor extends DocumentExtractor {
+    async parse(file) {
+        const doc = parseMarkup(await this.readFileAsText(file));
+        const { text, headings, links, tables } = htmlToText(doc, { images: false });
+        const author = doc.querySelector('meta[name="author"]');
+
+        return {
+            pages: [{ text, links, tables }],
+            headings: headings.map(heading => ({ ...heading, pageNum: 1 })),
+            info: {
+                Title: (doc.title || '').trim() || undefined,
+                Author: author ? author.getAttribute('content') : undefined
+            }
+        };
+    }
+}
+
+/**
+ * Convert Markdown source to pipeline text
+ * @param {string} source - Markdown with normalized line endings
+ * @returns {Object} { text, headings, links, tables, info }
+ */
+export function markdownToText(source) {
+    const info = {};
+    const headings = [];
+    const links = [];
+    const tables = [];
+    const references = new Map();
+    let body = source;
+
+    const frontMatter = FRONT_MATTER.exec(body);
+    if (frontMatter) {
+        for (const line of frontMatter[1].split('\n')) {
+            const field = /^(title|author):\s*["']?(.*?)["']?\s*$/i.exec(line);
+            if (field) info[field[1].toLowerCase() === 'title' ? 'Title' : 'Author'] = field[2];
+        }
+        body = body.slice(frontMatter[0].length);
+    }
+
+    const lines = body.split('\n').filter(line => {
+        const definition = REFERENCE_DEFINITION.exec(line);
+        if (definition) references.set(definition[1].toLowerCase(), definition[2]);
+        return !definition;
+    });
+
+    const output = [];
+    let fence = null;
+    let table = null;
+
+    const addHeading = (level, raw) => {
+        const title = stripInline(raw, references, links).trim();
+        headings.push({ title, level });
+        output.push('', `${'#'.repeat(level)} ${title}`, '');
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fenceMatch = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const closes = fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length;
+            output.push(closes ? '```' : line);
+            if (closes) {
+                output.push('');
+                fence = null;
+            }
+            continue;
+        }
+        if (fenceMatch) {
+            // Keep the language of the info string ("```js") so code can be described by language
+            fence = fenceMatch[1];
+            output.push('', `\`\`\`${fenceMatch[2]}`);
+            continue;
+        }
+
+        // Tables start at a header row followed by a delimiter row
+        if (!table && line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '')) {
+            table = [];
+        }
+        if (table) {
+            if (line.includes('|') && line.trim()) {
+                if (!TABLE_DELIMITER.test(line)) {
+                    table.push(splitTableRow(line).map(cell => stripInline(cell, references, links)));
+                }
+                continue;
+            }
+            output.push('', tableToMarkdown(table, tables), '');
+            table = null;
+        }
+
+        const atx = ATX_HEADING.exec(line);
+        if (atx) {
+            addHeading(atx[1].length, atx[2]);
+            continue;
+        }
+
+        const next = lines[i + 1] || '';
+        if (line.trim() && SETEXT_UNDERLINE.test(next) && !RULE_PATTERN.test(line) && !/^\s*[-*+>]\s/.test(line)) {
+            addHeading(next.trim()[0] === '=' ? 1 : 2, line);
+            i++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            output.push('');
+            continue;
+        }
+
+        output.push(stripInline(line.replace(/^\s{0,3}(?:>\s?)+/, ''), references, links));
+    }
+
+    if (table) output.push('', tableToMarkdown(table, tables));
+    if (fence) output.push('```');
+
+    const text = output.join('\n')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text, headings, links, tables, info };
+}
+
+/**
+ * Remove inline Markdown markup from a line, keeping code spans and math untouched
+ * @param {string} line - Markdown line
+ * @param {Map} references - Reference link definitions (label to URL)
+ * @param {Array} links - Receives { url, text } for every link
+ * @returns {string} Plain line
+ */
+function stripInline(line, references, links) {
+    const protectedSpans = [];
+    const addLink = (url, label) => {
+        if (url && /^https?:\/\//i.test(url)) links.push({ url, text: label });
+        return label;
+    };
+    const protect = (match) => {
+        protectedSpans.push(match);
+        return `\uE010${protectedSpans.length - 1}\uE011`;
+    };
+
+    let text = line
+        .replace(/`+[^`]*`+/g, protect)
+        .replace(/\$\$[^$]+\$\$|\$(?!\s)[^$\n]+?(?<!\s)\$/g, protect);
+
+    text = text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, (match, alt) => alt ? `Image: ${alt}` : '')
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*["')])?\s*\)/g,
+            (match, label, url) => addLink(url, label))
+        .replace(/\[([^\]]+)\]\s?\[([^\]]*)\]/g,
+            (match, label, ref) => addLink(references.get((ref || label).toLowerCase()), label))
+        .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/gi, '$1')
+        .replace(/<\/?[A-Za-z][^>]*>/g, '')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1$2')
+        .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+
+    return text.replace(PLACEHOLDER_PATTERN, (match, index) => protectedSpans[index]);
+}
+
+/**
+ * Split a Markdown table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Rebuild a table in the pipe layout the text processor recognizes
+ * @param {Array} rows - Rows of cells (header first)
+ * @param {Array} tables - Receives { rows, markdown }
+ * @returns {string} Markdown table
+ */
+function tableToMarkdown(rows, tables) {
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const padded = rows.map(cells => [...cells, ...Array(columns - cells.length).fill('')]);
+    const markdown = createTableDetector().toMarkdown(padded);
+
+    tables.push({ rows: padded, markdown });
+    return markdown;
+}
+
+export default {
+    PlainTextExtractor,
+    MarkdownExtractor,
+    HTMLExtractor,
+    markdownToText
+};
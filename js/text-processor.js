@@ -6,6 +6,32 @@
 import { chunkText, estimateTokenCount, generateId } from './utils.js';
 import { getSettingsManager } from './settings-manager.js';
 import { createGeminiClient } from './gemini-client.js';
+import { findSectionAt } from './document-structure.js';
+import { FIGURE_MARKER_PATTERN } from './figure-locator.js';
+import { createDocumentContext } from './document-context.js';
+import { createAcronymTable } from './acronym-table.js';
+import { createPronunciationLexicon } from './pronunciation-lexicon.js';
+import { createRuleEngine } from './rule-engine.js';
+import { createLocalConverter } from './local-converter.js';
+
+/**
+ * Markdown pipe table: header row, separator row, then body rows up to a blank line
+ * The layout analyzer emits recovered PDF tables in this form.
+ */
+const TABLE_PATTERN = /\|.+\|[\s\S]*?\n\|[-:\s|]+\|[\s\S]*?(?=\n\n|\n$|$)/g;
+
+// Markdown headings marked during extraction
+const MARKDOWN_HEADING_PATTERN = /^#{1,6}\s+\S/m;
+
+// Fenced code blocks are described on their own; inline code is left to the batch prompt
+const CODE_BLOCK_PATTERN = /```[\s\S]*?```/g;
+const INLINE_CODE_SPAN_PATTERN = /`[^`\n]+`/;
+
+// Sentences (or lines) at the start of a batch output, for matching repeated text
+const LEADING_SENTENCE_PATTERN = /[^\n.!?]*(?:[.!?…]+["'”’)\]]*|\n|$)\s*/y;
+
+// Repeated sentences shorter than this (after normalizing) are kept; they may be repeated on purpose
+const MIN_REPEATED_LENGTH = 20;
 
 /**
  * Text Processor Class
@@ -21,13 +47,33 @@ export class TextProcessor {
 
     /**
      * Process text through transformation pipeline
-     * @param {string} text - Text to process
+     * @param {string|null} text - Text to process (null when `options.batches` hold it)
      * @param {Object} options - Processing options
+     * @param {DocumentContext} options.documentContext - Context to continue from (a new one by default)
+     * @param {AcronymTable} options.acronyms - Acronym table of the whole document (built from the batches by default)
+     * @param {string} options.targetLanguageCode - ISO 639-3 code of the output, for language-scoped rules
+     * @param {boolean} options.offline - Convert with the local rules instead of the API
+     * @param {Array} options.batches - Batches already built (see createBatchBuilder() and batchRanges())
      * @returns {Promise<Object>} Processing results
      */
     async process(text, options = {}) {
-        // Create batches
-        const batches = this.createBatches(text);
+        // Create batches (following the document outline when available); each batch
+        // carries the figures whose markers it contains
+        const batches = options.batches || this.createBatches(text, options);
+
+        // Glossary, section and previous output travel from batch to batch
+        const documentContext = options.documentContext || createDocumentContext();
+
+        // Each acronym is expanded once, in the batch where it is first used
+        const acronyms = this.settings.getValue('rules.expandAcronyms')
+            ? options.acronyms || this.scanAcronyms(batches)
+            : null;
+        if (acronyms) acronyms.resetUsage();
+
+        // Offline conversion reads each batch with the local rules; everything around it is the same
+        const localConverter = options.offline
+            ? createLocalConverter({ language: options.targetLanguageCode || 'eng' })
+            : null;
 
         // Process batches
         const results = [];
@@ -41,26 +87,37 @@ export class TextProcessor {
                 if (options.onProgress) {
                     options.onProgress({
                         stage: 'processing',
+                        batchId: batch.id,
                         batchNumber: i + 1,
                         totalBatches: batches.length,
+                        section: batch.section,
+                        status: 'processing',
                         percentage: ((i + 1) / batches.length) * 100
                     });
                 }
 
                 // Transform batch
-                const transformed = await this.transformBatch(batch, options);
+                documentContext.setSection(batch.section);
+                const transformed = localConverter
+                    ? this.convertBatchLocally(batch, localConverter, acronyms)
+                    : await this.transformBatch(batch, { ...options, documentContext, acronyms });
+                documentContext.update(batch.text, transformed.text);
 
                 results.push({
                     batchId: batch.id,
                     batchNumber: i + 1,
+                    section: batch.section,
                     originalText: batch.text,
                     transformedText: transformed.text,
                     model: transformed.model,
                     success: true
                 });
 
+                this.notifyBatchStatus(options, batch, batches.length, 'success');
+
             } catch (error) {
                 console.error(`Error processing batch ${i + 1}:`, error);
+                this.notifyBatchStatus(options, batch, batches.length, 'failed', error.message);
 
                 errors.push({
                     batchId: batch.id,
@@ -80,15 +137,21 @@ export class TextProcessor {
             }
         }
 
-        // Combine results
-        const transformedText = results
-            .filter(r => r.success)
-            .map(r => r.transformedText)
-            .join('\n\n');
+        // Combine results, dropping anything a batch repeated from the one before it
+        const stitchedText = this.stitchOutputs(
+            results.filter(r => r.success).map(r => r.transformedText)
+        );
+        const { transformedText, spokenText } = this.applyPronunciation(
+            this.applyRules(stitchedText, options.targetLanguageCode),
+            options.lexicon
+        );
 
         return {
             originalText: text,
             transformedText,
+            spokenText,
+            language: options.targetLanguageCode || null,
+            offline: Boolean(options.offline),
             batches: results,
             errors,
             stats: {
@@ -100,206 +163,375 @@ export class TextProcessor {
         };
     }
 
+    /**
+     * Report a finished batch through the progress callback
+     * @param {Object} options - Processing options (onProgress)
+     * @param {Object} batch - Batch object
+     * @param {number} totalBatches - Number of batches
+     * @param {string} status - success or failed
+     * @param {string} error - Error message for failed batches
+     */
+    notifyBatchStatus(options, batch, totalBatches, status, error = null) {
+        if (!options.onProgress) return;
+
+        options.onProgress({
+            stage: 'processing',
+            batchId: batch.id,
+            batchNumber: batch.batchNumber,
+            totalBatches,
+            section: batch.section,
+            status,
+            error,
+            percentage: (batch.batchNumber / totalBatches) * 100
+        });
+    }
+
     /**
      * Create batches from text
+     * Text a chunk shares with the previous one becomes the batch's `context`: it is sent
+     * with the prompt but only `text` is transformed, so nothing is narrated twice.
      * @param {string} text - Text to batch
+     * @param {Object} options - Batching options
+     * @param {Array} options.sections - Flat outline sections; batches then break at section boundaries
+     * @param {Array} options.figures - Figures ({ id, base64, mimeType, caption }) to give the batches
+     *                with their markers
      * @returns {Array} Array of batch objects
      */
-    createBatches(text) {
-        const chunks = chunkText(text, this.batchSize, this.overlapSize);
-
-        return chunks.map((chunk, index) => ({
-            id: generateId(),
-            batchNumber: index + 1,
-            text: chunk.text,
-            start: chunk.start,
-            end: chunk.end,
-            tokens: chunk.tokens
-        }));
+    createBatches(text, options = {}) {
+        const builder = this.createBatchBuilder();
+        builder.add(text, options.sections || [], options.figures || []);
+        return builder.finish();
+    }
+
+    /**
+     * Create a builder that batches a document while its text is still arriving
+     * @returns {BatchBuilder} Builder using this processor's batch and overlap sizes
+     */
+    createBatchBuilder() {
+        return new BatchBuilder(this);
+    }
+
+    /**
+     * Batch part of a document that is only kept as batches
+     * The text of the ranges is read from the batches that cover it and joined by a blank
+     * line, as in sliceDocument(). Whitespace no batch kept is read as line breaks.
+     * @param {Array} batches - Batches of the whole document
+     * @param {Array} ranges - Disjoint ranges in order ({ start, end }) into the document text
+     * @param {Object} options - Batching options
+     * @param {Array} options.sections - Sections with offsets into the selected text
+     * @returns {Array} Batches of the selected text, with the figures whose markers they contain
+     */
+    batchRanges(batches, ranges, options = {}) {
+        const builder = this.createBatchBuilder();
+        let sections = options.sections || [];
+        let separator = '';
+
+        const add = (text, images = []) => {
+            builder.add(separator + text, sections, images);
+            separator = '';
+            sections = [];
+        };
+
+        for (const range of ranges) {
+            let position = range.start;
+
+            for (const batch of batches) {
+                if (batch.end <= position || batch.start >= range.end) continue;
+
+                const end = Math.min(batch.end, range.end);
+                const gap = Math.max(0, batch.start - position);
+                position += gap;
+
+                add('\n'.repeat(gap) + batch.text.substring(position - batch.start, end - batch.start), batch.images);
+                position = end;
+            }
+
+            if (position < range.end) add('\n'.repeat(range.end - position));
+            separator = '\n\n';
+        }
+
+        return builder.finish();
+    }
+
+    /**
+     * Chunk text so batches start at section boundaries
+     * Consecutive small sections share a batch; oversized sections are chunked on their own.
+     * @param {string} text - Text to chunk
+     * @param {Array} sections - Flat outline sections with start offsets
+     * @returns {Array} Chunks ({ text, start, end, tokens })
+     */
+    chunkBySections(text, sections) {
+        const boundaries = [...new Set([
+            0,
+            ...sections.map(section => section.start).filter(start => start > 0 && start < text.length),
+            text.length
+        ])].sort((a, b) => a - b);
+
+        const chunks = [];
+        let current = null;
+
+        const flush = () => {
+            if (!current) return;
+            const chunkText = text.substring(current.start, current.end);
+            if (chunkText.trim()) {
+                chunks.push({ text: chunkText, start: current.start, end: current.end, tokens: estimateTokenCount(chunkText) });
+            }
+            current = null;
+        };
+
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const piece = { start: boundaries[i], end: boundaries[i + 1] };
+            const pieceTokens = estimateTokenCount(text.substring(piece.start, piece.end));
+
+            if (pieceTokens > this.batchSize) {
+                flush();
+                for (const chunk of chunkText(text.substring(piece.start, piece.end), this.batchSize, this.overlapSize)) {
+                    chunks.push({ ...chunk, start: chunk.start + piece.start, end: chunk.end + piece.start });
+                }
+                continue;
+            }
+
+            if (current && estimateTokenCount(text.substring(current.start, piece.end)) > this.batchSize) {
+                flush();
+            }
+
+            current = current ? { start: current.start, end: piece.end } : piece;
+        }
+
+        flush();
+        return chunks;
     }
 
     /**
      * Transform a single batch
      * @param {Object} batch - Batch object
-     * @param {Object} options - Transformation options
+     * @param {Object} options - Transformation options (documentContext and acronyms from earlier batches)
      * @returns {Promise<Object>} Transformation result
      */
     async transformBatch(batch, options = {}) {
-        const prompt = this.buildPrompt(batch.text, options);
-
-        const response = await this.client.generateContent(prompt, {
+        const generationOptions = {
             systemPrompt: options.systemPrompt || this.settings.getValue('prompts.system'),
             temperature: options.temperature,
             topP: options.topP,
             topK: options.topK,
             maxOutputTokens: options.maxOutputTokens
-        });
+        };
+
+        // Describe figures, code, tables and math first so the main pass reads prose instead of markup
+        const source = options.acronyms ? options.acronyms.expandFirstUse(batch.text) : batch.text;
+        const described = await this.describeFigures(source, batch.images || [], generationOptions);
+        const text = await this.transformSpecialContent(described, generationOptions);
+        const prompt = this.buildPrompt(text, options, batch.context);
+
+        const response = await this.client.generateContent(prompt, generationOptions);
 
         return response;
     }
 
+    /**
+     * Convert a single batch with the local rules, without the API
+     * @param {Object} batch - Batch object
+     * @param {LocalConverter} converter - Converter for the document's language
+     * @param {AcronymTable} acronyms - Acronym table of the document (optional)
+     * @returns {Object} Transformation result ({ text, model })
+     */
+    convertBatchLocally(batch, converter, acronyms = null) {
+        const source = acronyms ? acronyms.expandFirstUse(batch.text) : batch.text;
+        return { text: converter.convert(source), model: 'offline' };
+    }
+
+    /**
+     * Convert Markdown tables into narrative text with the table conversion prompt
+     * Tables that fail to convert are left as they are.
+     * @param {string} text - Text that may contain tables
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Text with tables narrated
+     */
+    async transformTables(text, options = {}) {
+        const tables = text.match(TABLE_PATTERN) || [];
+        let transformed = text;
+
+        for (const table of tables) {
+            const tablePrompt = this.settings.getValue('prompts.tableConversion');
+
+            try {
+                const response = await this.client.generateContent(
+                    `${tablePrompt}\n\n${table}`,
+                    options
+                );
+
+                transformed = transformed.replace(table, response.text);
+            } catch (error) {
+                console.warn('Could not transform table:', error);
+            }
+        }
+
+        return transformed;
+    }
+
     /**
      * Build transformation prompt
      * @param {string} text - Text to transform
-     * @param {Object} options - Prompt options
+     * @param {Object} options - Prompt options (transformationPrompt, sourceLanguage, targetLanguage, documentContext, acronyms)
+     * @param {string} context - Text just before this batch, already transformed with the previous one
      * @returns {string} Complete prompt
      */
-    buildPrompt(text, options = {}) {
+    buildPrompt(text, options = {}, context = '') {
         const basePrompt = options.transformationPrompt ||
                           this.settings.getValue('prompts.textTransformation');
+        const instructions = [basePrompt];
 
-        return `${basePrompt}\n\n---\n\n${text}`;
-    }
+        // Keep the heading markers so the generated PDF can rebuild its structure and TOC
+        if (MARKDOWN_HEADING_PATTERN.test(text)) {
+            instructions.push('Keep every Markdown heading (a line starting with #) on its own line with the same number of # marks.');
+        }
 
-    /**
-     * Process text with images
-     * @param {string} text - Text content
-     * @param {Array} images - Array of image objects
-     * @param {Object} options - Processing options
-     * @returns {Promise<Object>} Processing results
-     */
-    async processWithImages(text, images, options = {}) {
-        // Create batches
-        const batches = this.createBatches(text);
+        // Inline code goes to the main pass with the batch instead of one request per span
+        if (INLINE_CODE_SPAN_PATTERN.test(text)) {
+            instructions.push('Text in `backticks` is inline code such as an identifier or a short command: read it as plain words or say briefly what it names, without reading out the backticks or symbols.');
+        }
 
-        // Map images to batches based on position in text
-        const batchesWithImages = this.assignImagesToBatches(batches, images);
+        // The acronym table already expanded first uses, possibly in an earlier batch
+        if (options.acronyms) {
+            instructions.push('Acronyms have already been expanded where they are first used in the document; do not expand them again.');
+        }
 
-        // Process each batch
-        const results = [];
-        const errors = [];
+        const rules = this.settings.getValue('rules') || {};
 
-        for (let i = 0; i < batchesWithImages.length; i++) {
-            const batch = batchesWithImages[i];
+        if (rules.simplifyJargon) {
+            instructions.push('Explain technical jargon in plain words the first time it appears.');
+        }
 
-            try {
-                if (options.onProgress) {
-                    options.onProgress({
-                        stage: 'processing_with_images',
-                        batchNumber: i + 1,
-                        totalBatches: batchesWithImages.length,
-                        percentage: ((i + 1) / batchesWithImages.length) * 100
-                    });
-                }
+        if (options.sourceLanguage) {
+            instructions.push(`The text is written in ${options.sourceLanguage}.`);
+        }
 
-                let transformed;
+        if (options.targetLanguage) {
+            instructions.push(options.targetLanguage === options.sourceLanguage
+                ? `Write the spoken version in ${options.targetLanguage}.`
+                : `Write the spoken version in ${options.targetLanguage}, translating where needed.`);
+        } else if (options.sourceLanguage) {
+            instructions.push('Keep each passage in the language it is written in.');
+        }
 
-                if (batch.images && batch.images.length > 0) {
-                    // Process with multimodal API
-                    transformed = await this.transformBatchWithImages(batch, options);
-                } else {
-                    // Process text-only
-                    transformed = await this.transformBatch(batch, options);
-                }
+        if (context.trim()) {
+            instructions.push('The passage marked CONTEXT ONLY ends the previous part, which was already converted. Use it to continue smoothly, but do not include it in your output; convert only the text after it.');
+        }
 
-                results.push({
-                    batchId: batch.id,
-                    batchNumber: i + 1,
-                    originalText: batch.text,
-                    transformedText: transformed.text,
-                    images: batch.images,
-                    model: transformed.model,
-                    success: true
-                });
+        const header = [instructions.join(' ')];
+        const documentContext = options.documentContext ? options.documentContext.toPrompt() : '';
+        if (documentContext) header.push(documentContext);
+        if (context.trim()) header.push(`---\n\nCONTEXT ONLY:\n${context.trim()}`);
 
-            } catch (error) {
-                console.error(`Error processing batch ${i + 1}:`, error);
+        return `${header.join('\n\n')}\n\n---\n\n${text}`;
+    }
 
-                errors.push({
-                    batchId: batch.id,
-                    batchNumber: i + 1,
-                    error: error.message
-                });
+    /**
+     * Join batch outputs into one text
+     * Each batch is told to skip its context, but a model may still repeat it; leading
+     * sentences that already appear at the end of the previous output are dropped.
+     * @param {Array<string>} outputs - Transformed text of the batches, in order
+     * @returns {string} Combined text
+     */
+    stitchOutputs(outputs) {
+        let stitched = '';
 
-                results.push({
-                    batchId: batch.id,
-                    batchNumber: i + 1,
-                    originalText: batch.text,
-                    transformedText: null,
-                    error: error.message,
-                    success: false
-                });
-            }
-        }
+        for (const output of outputs) {
+            const text = stitched ? this.removeRepeatedLead(stitched, output) : output;
+            if (!text.trim()) continue;
 
-        const transformedText = results
-            .filter(r => r.success)
-            .map(r => r.transformedText)
-            .join('\n\n');
+            stitched = stitched ? `${stitched}\n\n${text}` : text;
+        }
 
-        return {
-            originalText: text,
-            transformedText,
-            batches: results,
-            errors,
-            stats: {
-                totalBatches: batchesWithImages.length,
-                successfulBatches: results.filter(r => r.success).length,
-                failedBatches: errors.length,
-                successRate: (results.filter(r => r.success).length / batchesWithImages.length) * 100
-            }
-        };
+        return stitched;
     }
 
     /**
-     * Assign images to batches based on text position
-     * @param {Array} batches - Text batches
-     * @param {Array} images - Image objects with pageNum
-     * @returns {Array} Batches with assigned images
+     * Drop the sentences at the start of an output that repeat the end of the text before it
+     * @param {string} previous - Text stitched so far
+     * @param {string} output - Next batch output
+     * @returns {string} Output without the repeated lead
      */
-    assignImagesToBatches(batches, images) {
-        // Simple strategy: distribute images evenly across batches
-        // In a real implementation, you'd use page numbers or text positions
+    removeRepeatedLead(previous, output) {
+        // The repeat can only come from the overlap, so only the end of the previous text is searched
+        const tail = normalizeForStitching(previous.substring(previous.length - this.overlapSize * 4 * 3));
+        let position = 0;
 
-        const batchesPerImage = Math.ceil(batches.length / Math.max(images.length, 1));
+        while (position < output.length) {
+            LEADING_SENTENCE_PATTERN.lastIndex = position;
+            const match = LEADING_SENTENCE_PATTERN.exec(output);
+            if (!match || match[0].length === 0) break;
 
-        return batches.map((batch, index) => {
-            const imageIndex = Math.floor(index / batchesPerImage);
-            const assignedImages = images[imageIndex] ? [images[imageIndex]] : [];
+            const sentence = normalizeForStitching(match[0]);
+            if (sentence && (sentence.length < MIN_REPEATED_LENGTH || !tail.includes(sentence))) break;
 
-            return {
-                ...batch,
-                images: assignedImages
-            };
-        });
+            position += match[0].length;
+        }
+
+        return output.substring(position).trimStart();
     }
 
     /**
-     * Transform batch with images using multimodal API
-     * @param {Object} batch - Batch with images
-     * @param {Object} options - Transformation options
-     * @returns {Promise<Object>} Transformation result
+     * Process text with images
+     * Figures are described where their markers appear in the text.
+     * @param {string} text - Text content
+     * @param {Array} images - Figures ({ id, base64, mimeType, caption }) from PDFExtractor.extractAll()
+     * @param {Object} options - Processing options
+     * @returns {Promise<Object>} Processing results
      */
-    async transformBatchWithImages(batch, options = {}) {
-        const parts = [];
-
-        // Add text part
-        const textPrompt = this.buildPrompt(batch.text, options);
-        parts.push({
-            type: 'text',
-            content: textPrompt
-        });
-
-        // Add image parts
-        if (batch.images) {
-            for (const image of batch.images) {
-                const imagePrompt = options.imagePrompt ||
-                                   this.settings.getValue('prompts.figureDescription');
+    async processWithImages(text, images, options = {}) {
+        return this.process(text, { ...options, figures: images });
+    }
 
-                parts.push({
-                    type: 'text',
-                    content: `\n\n${imagePrompt}`
-                });
+    /**
+     * Assign images to the batches that contain their figure markers
+     * @param {Array} batches - Array of batches
+     * @param {Array} images - Figures with ids matching the markers in the text
+     * @returns {Array} Batches with images
+     */
+    assignImagesToBatches(batches, images) {
+        return batches.map(batch => ({
+            ...batch,
+            images: findMarkedFigures(batch.text, images)
+        }));
+    }
 
-                parts.push({
-                    type: 'image',
-                    data: image.base64,
-                    mimeType: image.mimeType || 'image/png'
-                });
+    /**
+     * Replace figure markers with descriptions of the figures
+     * Markers without an image (or whose description fails) are dropped; the caption
+     * stays in the text either way.
+     * @param {string} text - Text with figure markers
+     * @param {Array} figures - Figures for this text
+     * @param {Object} options - Generation options
+     * @returns {Promise<string>} Text with figures described in place
+     */
+    async describeFigures(text, figures, options = {}) {
+        const byId = new Map(figures.map(figure => [figure.id, figure]));
+        const figurePrompt = this.settings.getValue('prompts.figureDescription');
+        let described = text;
+
+        for (const [marker, id] of text.matchAll(FIGURE_MARKER_PATTERN)) {
+            const figure = byId.get(id);
+            let description = '';
+
+            if (figure && figure.base64) {
+                const context = figure.caption ? `\n\nCaption: ${figure.caption}` : '';
+
+                try {
+                    const response = await this.client.generateMultimodal([
+                        { type: 'text', content: `${figurePrompt}${context}` },
+                        { type: 'image', data: figure.base64, mimeType: figure.mimeType || 'image/png' }
+                    ], options);
+                    description = response.text.trim();
+                } catch (error) {
+                    console.warn(`Could not describe figure ${id}:`, error);
+                }
             }
+
+            described = described.split(marker).join(description);
         }
 
-        return await this.client.generateMultimodal(parts, options);
+        return described.replace(/\n{3,}/g, '\n\n');
     }
 
     /**
@@ -312,13 +544,12 @@ export class TextProcessor {
         const rules = this.settings.getValue('rules');
         let transformed = text;
 
-        // Detect code blocks
-        const codeBlockRegex = /```[\s\S]*?```|`[^`]+`/g;
-        const codeBlocks = text.match(codeBlockRegex) || [];
+        // Detect code blocks; repeated blocks are described once
+        const codeBlocks = new Set(text.match(CODE_BLOCK_PATTERN) || []);
 
         for (const codeBlock of codeBlocks) {
             const codePrompt = this.settings.getValue('prompts.codeDescription');
-            const codeText = codeBlock.replace(/```/g, '').trim();
+            const codeText = codeBlock.replace(/^`+|`+$/g, '').trim();
 
             try {
                 const response = await this.client.generateContent(
@@ -326,34 +557,18 @@ export class TextProcessor {
                     options
                 );
 
-                transformed = transformed.replace(codeBlock, response.text);
+                transformed = transformed.split(codeBlock).join(response.text);
             } catch (error) {
                 console.warn('Could not transform code block:', error);
             }
         }
 
-        // Detect tables (simple markdown table detection)
-        const tableRegex = /\|.+\|[\s\S]*?\n\|[-:\s|]+\|[\s\S]*?(?=\n\n|\n$|$)/g;
-        const tables = text.match(tableRegex) || [];
-
-        for (const table of tables) {
-            const tablePrompt = this.settings.getValue('prompts.tableConversion');
-
-            try {
-                const response = await this.client.generateContent(
-                    `${tablePrompt}\n\n${table}`,
-                    options
-                );
-
-                transformed = transformed.replace(table, response.text);
-            } catch (error) {
-                console.warn('Could not transform table:', error);
-            }
-        }
+        // Detect tables (Markdown, as emitted by the layout analyzer)
+        transformed = await this.transformTables(transformed, options);
 
-        // Detect math notation
-        const mathRegex = /\$\$[\s\S]*?\$\$|\$[^$]+\$/g;
-        const mathBlocks = text.match(mathRegex) || [];
+        // Detect math notation ($ must hug its content, so prices like "$5 and $10" are not math)
+        const mathRegex = /\$\$[\s\S]*?\$\$|\$(?!\s)[^$\n]+?(?<!\s)\$(?!\d)/g;
+        const mathBlocks = new Set(transformed.match(mathRegex) || []);
 
         for (const mathBlock of mathBlocks) {
             const mathPrompt = this.settings.getValue('prompts.mathNotation');
@@ -365,7 +580,7 @@ export class TextProcessor {
                     options
                 );
 
-                transformed = transformed.replace(mathBlock, response.text);
+                transformed = transformed.split(mathBlock).join(response.text);
             } catch (error) {
                 console.warn('Could not transform math notation:', error);
             }
@@ -375,43 +590,55 @@ export class TextProcessor {
     }
 
     /**
-     * Apply transformation rules
-     * @param {string} text - Text to process
-     * @returns {string} Processed text
+     * Apply the pronunciation lexicon to the combined output
+     * Respellings replace the terms everywhere. In 'ssml' mode the readable PDF keeps the
+     * original spelling and the plain spoken text is respelled; <phoneme>/<sub> tags are only
+     * added by the SSML builder.
+     * @param {string} text - Combined transformed text
+     * @param {PronunciationLexicon} lexicon - Lexicon (the one in settings by default)
+     * @returns {Object} { transformedText, spokenText }
      */
-    applyRules(text) {
-        const rules = this.settings.getValue('rules');
-        let processed = text;
+    applyPronunciation(text, lexicon = null) {
+        const pronunciation = this.settings.getValue('pronunciation') || {};
+        const active = lexicon || createPronunciationLexicon(pronunciation.entries || []);
 
-        if (rules.expandAcronyms) {
-            // Basic acronym expansion (would need a dictionary in production)
-            processed = processed.replace(/\bAPI\b/g, 'Application Programming Interface');
-            processed = processed.replace(/\bHTTP\b/g, 'Hypertext Transfer Protocol');
-            processed = processed.replace(/\bURL\b/g, 'Uniform Resource Locator');
+        if (pronunciation.output === 'ssml') {
+            return { transformedText: text, spokenText: active.apply(text, 'respell') };
         }
 
-        if (rules.insertPauseMarkers) {
-            // Add commas for better TTS rhythm
-            processed = processed.replace(/\. ([A-Z])/g, '. , $1');
-            processed = processed.replace(/([.!?])\s+/g, '$1 , ');
-        }
+        const respelled = active.apply(text, 'respell');
+        return { transformedText: respelled, spokenText: respelled };
+    }
 
-        if (rules.simplifyJargon) {
-            // Simplify common technical terms
-            processed = processed.replace(/\binterface\b/gi, 'connection point');
-            processed = processed.replace(/\bimplementation\b/gi, 'way it works');
-        }
+    /**
+     * Build the acronym table of a document
+     * @param {Array} batches - Batches of the whole document, in order
+     * @returns {AcronymTable} Table with the document's acronyms
+     */
+    scanAcronyms(batches) {
+        const acronyms = createAcronymTable();
+        acronyms.scanBatches(batches);
+        return acronyms;
+    }
 
-        return processed;
+    /**
+     * Apply the find/replace rules from settings
+     * @param {string} text - Transformed text
+     * @param {string|null} language - ISO 639-3 code of the text; rules scoped to a language need it
+     * @returns {string} Processed text
+     */
+    applyRules(text, language = null) {
+        return createRuleEngine(this.settings.getValue('transformationRules') || []).apply(text, language);
     }
 
     /**
      * Estimate processing time
-     * @param {string} text - Text to process
+     * @param {string|null} text - Text to process (null when `options.batches` hold it)
+     * @param {Object} options - Batching options (sections, or batches already built)
      * @returns {Object} Time estimates
      */
-    estimateProcessingTime(text) {
-        const batches = this.createBatches(text);
+    estimateProcessingTime(text, options = {}) {
+        const batches = options.batches || this.createBatches(text, options);
         const tokensPerBatch = this.batchSize;
 
         // Rough estimates (adjust based on actual API performance)
@@ -423,11 +650,153 @@ export class TextProcessor {
             estimatedSeconds: totalSeconds,
             estimatedMinutes: Math.ceil(totalSeconds / 60),
             tokensPerBatch,
-            totalTokens: estimateTokenCount(text)
+            totalTokens: text ? estimateTokenCount(text) : batches.reduce((sum, batch) => sum + batch.tokens, 0)
         };
     }
 }
 
+/**
+ * Batch Builder Class
+ * Builds batches from text added piece by piece, such as pages as they are extracted.
+ * Chunks are finished once enough text follows them that later text cannot move their end;
+ * only the text from the first unfinished chunk on is kept. Figures wait until the batch
+ * with their marker is finished and then travel with it.
+ */
+export class BatchBuilder {
+    /**
+     * @param {TextProcessor} processor - Processor whose batch and overlap sizes are used
+     */
+    constructor(processor) {
+        this.processor = processor;
+        this.batchChars = processor.batchSize * 4;
+        this.pending = '';          // Text not yet in a finished chunk
+        this.base = 0;              // Offset of `pending` in the whole text
+        this.covered = 0;           // End of the last batch
+        this.sections = [];         // Sections that can still hold unfinished text
+        this.open = [];             // Sections whose end is not known yet
+        this.figures = [];          // Figures whose markers are not in a batch yet
+        this.batches = [];
+        this.chunkAt = 3 * this.batchChars;
+    }
+
+    /**
+     * Add the next piece of text
+     * Sections without an `end` end where the next section of the same or a higher level begins.
+     * @param {string} text - Text to append, including any separator from the previous piece
+     * @param {Array} sections - Sections starting in the piece ({ title, level, start, end }),
+     *                with offsets into the whole text
+     * @param {Array} figures - Figures whose markers are in the piece ({ id, base64, ... })
+     */
+    add(text, sections = [], figures = []) {
+        for (const section of sections) {
+            const entry = { ...section, end: section.end ?? Infinity };
+
+            if (section.end === undefined) {
+                this.open = this.open.filter(other => {
+                    if (other.level < entry.level) return true;
+                    other.end = Math.max(entry.start, other.start);
+                    return false;
+                });
+                this.open.push(entry);
+            }
+
+            this.sections.push(entry);
+        }
+
+        this.figures.push(...figures.filter(figure => !this.figures.includes(figure)));
+        this.pending += text;
+        if (this.pending.length >= this.chunkAt) {
+            this.chunk(false);
+        }
+    }
+
+    /**
+     * Batch the remaining text
+     * @returns {Array} Batch objects, as from TextProcessor.createBatches()
+     */
+    finish() {
+        this.chunk(true);
+        this.figures = [];
+        return this.batches;
+    }
+
+    /**
+     * Chunk the pending text and turn the chunks that are final into batches
+     * Text a chunk shares with the previous one becomes the batch's `context`.
+     * @param {boolean} ended - True when no more text follows
+     */
+    chunk(ended) {
+        const text = this.pending;
+        const chunks = this.processor.chunkBySections(text, this.sections.map(section => ({
+            ...section,
+            start: section.start - this.base
+        })));
+        let keepFrom = text.length;
+
+        for (const chunk of chunks) {
+            // Text still to come can change where a chunk this close to the end breaks
+            if (!ended && chunk.end + this.batchChars > text.length) {
+                keepFrom = chunk.start;
+                break;
+            }
+
+            const end = this.base + chunk.end;
+            if (end <= this.covered) continue;
+
+            const start = Math.max(this.base + chunk.start, this.covered);
+            const section = findSectionAt(this.sections, start);
+            const batchText = text.substring(start - this.base, chunk.end);
+            const images = findMarkedFigures(batchText, this.figures);
+
+            this.batches.push({
+                id: generateId(),
+                batchNumber: this.batches.length + 1,
+                text: batchText,
+                context: text.substring(chunk.start, start - this.base),
+                start,
+                end,
+                tokens: estimateTokenCount(batchText),
+                section: section ? section.title : null,
+                images
+            });
+
+            this.figures = this.figures.filter(figure => !images.includes(figure));
+            this.covered = end;
+        }
+
+        this.pending = text.substring(keepFrom);
+        this.base += keepFrom;
+        this.sections = this.sections.filter(section => section.end > this.base);
+        this.chunkAt = Math.max(3 * this.batchChars, this.pending.length + this.batchChars);
+    }
+}
+
+/**
+ * Pick the figures whose markers appear in a text
+ * @param {string} text - Batch text
+ * @param {Array} figures - Figures ({ id, ... })
+ * @returns {Array} Figures with a marker in the text
+ */
+function findMarkedFigures(text, figures) {
+    if (figures.length === 0) return [];
+
+    const ids = new Set([...text.matchAll(FIGURE_MARKER_PATTERN)].map(match => match[1]));
+    return figures.filter(figure => ids.has(figure.id));
+}
+
+/**
+ * Normalize text for comparing batch outputs: case, spacing and heading markers are ignored
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForStitching(text) {
+    return text
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
 /**
  * Create text processor with current settings
  * @param {Object} options - Options
@@ -70,24 +70,75 @@ export function estimateTokenCount(text) {
     return Math.ceil(text.length / 4);
 }
 
+/**
+ * Count the words of a text
+ * @param {string} text - Text to count
+ * @returns {number} Number of whitespace-separated words
+ */
+export function countWords(text) {
+    return text.split(/\s+/).filter(w => w.length > 0).length;
+}
+
+/**
+ * Break points tried when closing a chunk, most preferred first
+ * Each match ends where the next chunk would start.
+ */
+const CHUNK_BOUNDARIES = [
+    /\n(?=#{1,6}[ \t])/g,                           // before a Markdown heading
+    /\n[ \t]*\n\s*/g,                               // paragraph break
+    /[.!?…]["'”’)\]]*\s+(?=[\p{Lu}"'“‘(\[])/gu,     // sentence end
+    /\n/g,                                          // line break
+    /\s+/g                                          // word break
+];
+
+/**
+ * Blocks that are never split between chunks
+ */
+const ATOMIC_BLOCK_PATTERNS = [
+    /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n\1[ \t]*(?=\n|$)|$(?![\s\S]))/gm,    // fenced code (unclosed runs to the end)
+    /^[ \t]*\|.*\|[ \t]*(?:\n[ \t]*\|.*\|[ \t]*)+/gm,                       // Markdown table
+    /\$\$[\s\S]+?\$\$/g,                                                    // display math
+    /\\\[[\s\S]+?\\\]/g,
+    /\\begin\{(equation|align|gather|multline|eqnarray)(\*?)\}[\s\S]*?\\end\{\1\2\}/g
+];
+
 /**
  * Chunk text into batches with overlap
+ * Chunks end at the best boundary within the last `tolerance` share of the batch: a heading,
+ * then a paragraph, then a sentence, then a line or word break. Fenced code, tables and
+ * display math are kept whole; a block that does not fit goes to the next chunk, or makes
+ * its chunk longer when it starts in the first half. Overlaps are at least `overlapSize` long
+ * where the chunk allows it and start at a paragraph, sentence or word.
  * @param {string} text - Text to chunk
  * @param {number} batchSize - Target batch size in tokens
  * @param {number} overlapSize - Overlap size in tokens
+ * @param {Object} options - Chunking options
+ * @param {number} options.tolerance - Share of the batch searched for a boundary (default 0.2)
  * @returns {Array<{text: string, start: number, end: number}>} Array of chunks
  */
-export function chunkText(text, batchSize = 10000, overlapSize = 200) {
+export function chunkText(text, batchSize = 10000, overlapSize = 200, options = {}) {
     const chunks = [];
 
     // Convert tokens to approximate character count
     const batchChars = batchSize * 4;
     const overlapChars = overlapSize * 4;
+    const windowChars = Math.floor(batchChars * (options.tolerance ?? 0.2));
+    const blocks = findAtomicBlocks(text);
 
     let start = 0;
 
     while (start < text.length) {
-        const end = Math.min(start + batchChars, text.length);
+        let end = Math.min(start + batchChars, text.length);
+
+        if (end < text.length) {
+            end = findChunkBreak(text, Math.max(start + 1, end - windowChars), end, blocks) ?? end;
+
+            const block = blocks.find(b => end > b.start && end < b.end);
+            if (block) {
+                end = block.start - start >= batchChars / 2 ? block.start : block.end;
+            }
+        }
+
         const chunkText = text.substring(start, end);
 
         chunks.push({
@@ -97,16 +148,133 @@ export function chunkText(text, batchSize = 10000, overlapSize = 200) {
             tokens: estimateTokenCount(chunkText)
         });
 
+        // Stop once the last chunk reaches the end of the text
+        if (end >= text.length) break;
+
         // Move start position forward, accounting for overlap
-        start = end - overlapChars;
+        const overlapStart = overlapChars > 0
+            ? findOverlapStart(text, Math.max(start + 1, end - overlapChars), end, start + 1, blocks)
+            : end;
 
-        // Prevent infinite loop if overlap is larger than batch
-        if (start >= end) start = end;
+        start = Math.max(overlapStart, start + 1);
     }
 
     return chunks;
 }
 
+/**
+ * Find the fenced code, tables and math blocks of a text
+ * @param {string} text - Text to scan
+ * @returns {Array<{start: number, end: number}>} Blocks in document order
+ */
+function findAtomicBlocks(text) {
+    const blocks = [];
+
+    for (const pattern of ATOMIC_BLOCK_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            // Math inside a code block belongs to the code block
+            if (!blocks.some(b => start < b.end && end > b.start)) {
+                blocks.push({ start, end });
+            }
+        }
+    }
+
+    return blocks.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the last preferred break point in a range
+ * @param {string} text - Full text
+ * @param {number} from - Earliest break position
+ * @param {number} to - Latest break position
+ * @param {Array} blocks - Atomic blocks
+ * @returns {number|null} Position where the next chunk starts, or null if there is none
+ */
+function findChunkBreak(text, from, to, blocks) {
+    for (const pattern of CHUNK_BOUNDARIES) {
+        let found = null;
+        pattern.lastIndex = from;
+
+        for (let match; (match = pattern.exec(text)) !== null && match.index < to;) {
+            const position = match.index + match[0].length;
+            if (position > to) break;
+            if (!blocks.some(b => position > b.start && position < b.end)) {
+                found = position;
+            }
+        }
+
+        if (found !== null) return found;
+    }
+
+    return null;
+}
+
+/**
+ * Find where the overlap of the next chunk should start
+ * Searches back from `from` for a paragraph or sentence start (up to one more overlap length),
+ * then forward towards the end of the chunk, then back for a word. The result is always
+ * before `to`, so consecutive chunks overlap.
+ * @param {string} text - Full text
+ * @param {number} from - Preferred start (end of chunk minus overlap)
+ * @param {number} to - End of the previous chunk
+ * @param {number} min - Earliest start (just after the start of the previous chunk)
+ * @param {Array} blocks - Atomic blocks
+ * @returns {number} Start of the next chunk
+ */
+function findOverlapStart(text, from, to, min, blocks) {
+    const earliest = Math.max(min, from - (to - from));
+    const [paragraph, sentence, line, word] = CHUNK_BOUNDARIES.slice(1);
+
+    // Overlap never starts inside a block that continues past it; when the block closes the
+    // chunk, its last lines are the overlap (starting before it would chunk the block again)
+    const inside = blocks.find(b => from > b.start && from < b.end);
+    if (inside && inside.end < to) return inside.end;
+    if (inside) {
+        const lines = findBoundaries(text, line, Math.max(min, inside.start), to - 1, []);
+        return lines.filter(position => position <= from).pop() ?? lines[0] ?? Math.min(from, to - 1);
+    }
+
+    for (const pattern of [paragraph, sentence]) {
+        const before = findBoundaries(text, pattern, earliest, from, blocks);
+        if (before.length > 0) return before[before.length - 1];
+    }
+
+    for (const pattern of [paragraph, sentence]) {
+        const after = findBoundaries(text, pattern, from + 1, to - 1, blocks);
+        if (after.length > 0) return after[0];
+    }
+
+    const words = findBoundaries(text, word, earliest, from, blocks);
+    return words.length > 0 ? words[words.length - 1] : Math.min(from, to - 1);
+}
+
+/**
+ * List the positions where a boundary ends within a range, outside atomic blocks
+ * @param {string} text - Full text
+ * @param {RegExp} pattern - Global boundary pattern
+ * @param {number} from - Earliest position
+ * @param {number} to - Latest position
+ * @param {Array} blocks - Atomic blocks
+ * @returns {Array<number>} Positions in order
+ */
+function findBoundaries(text, pattern, from, to, blocks) {
+    const positions = [];
+    pattern.lastIndex = from;
+
+    for (let match; (match = pattern.exec(text)) !== null;) {
+        const position = match.index + match[0].length;
+        if (position > to) break;
+        if (position >= from && !blocks.some(b => position > b.start && position < b.end)) {
+            positions.push(position);
+        }
+    }
+
+    return positions;
+}
+
 /**
  * Debounce function calls
  * @param {Function} func - Function to debounce
@@ -188,6 +356,68 @@ export function generateId() {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 string (no data URL prefix)
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+
+    // Chunked so large images do not exceed the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Create a drawing canvas
+ * Web Workers have no DOM, so an OffscreenCanvas is used there.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+ */
+export function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Encode a canvas as a base64 PNG
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas from createCanvas()
+ * @returns {Promise<string>} Base64 string (no data URL prefix)
+ */
+export async function canvasToBase64(canvas) {
+    if (typeof canvas.toDataURL === 'function') {
+        return canvas.toDataURL('image/png').split(',')[1];
+    }
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+/**
+ * Get the URL that app-relative paths (data/, vendor/) resolve against
+ * Inside the extraction worker there is no document; the worker script lives in js/.
+ * @returns {string} Base URL
+ */
+export function getBaseURI() {
+    if (typeof document !== 'undefined') {
+        return document.baseURI;
+    }
+
+    return new URL('../', self.location.href).href;
+}
+
 /**
  * Parse JSON safely
  * @param {string} json - JSON string to parse
@@ -224,24 +454,54 @@ export function deepClone(obj) {
 }
 
 /**
- * Detect language from text (simple heuristic)
- * @param {string} text - Text to analyze
- * @returns {string} Detected language code
+ * Format a list of page numbers as compact ranges
+ * @param {Array<number>} pages - Page numbers
+ * @returns {string} Formatted ranges (e.g., "1-3, 7, 9-10")
  */
-export function detectLanguage(text) {
-    // Very basic detection - just check for common English words
-    const englishWords = ['the', 'and', 'is', 'in', 'to', 'of', 'a', 'for'];
-    const sample = text.toLowerCase().substring(0, 1000);
+export function formatPageRanges(pages) {
+    const sorted = [...new Set(pages)].sort((a, b) => a - b);
+    const ranges = [];
+
+    for (const page of sorted) {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    }
 
-    let englishWordCount = 0;
-    for (const word of englishWords) {
-        if (sample.includes(` ${word} `)) {
-            englishWordCount++;
+    return ranges
+        .map(([start, end]) => start === end ? `${start}` : `${start}-${end}`)
+        .join(', ');
+}
+
+/**
+ * Parse a page range expression
+ * @param {string} input - Ranges such as "1-5, 40-90, 120"
+ * @param {number} maxPage - Highest valid page number
+ * @returns {Array<number>|null} Sorted page numbers, or null if the input is invalid
+ */
+export function parsePageRanges(input, maxPage) {
+    const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const pages = new Set();
+
+    for (const part of parts) {
+        const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+        if (!match) return null;
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? parseInt(match[2], 10) : start;
+        if (start < 1 || end < start || end > maxPage) return null;
+
+        for (let page = start; page <= end; page++) {
+            pages.add(page);
         }
     }
 
-    // If more than half the common words are found, likely English
-    return englishWordCount > englishWords.length / 2 ? 'English' : 'Unknown';
+    return [...pages].sort((a, b) => a - b);
 }
 
 /**
@@ -256,6 +516,20 @@ export function sanitizeFilename(filename) {
         .substring(0, 255);
 }
 
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
 /**
  * Download blob as file
  * @param {Blob} blob - Blob to download
@@ -343,6 +617,32 @@ export function calculatePercentage(value, total) {
     return Math.min(100, Math.max(0, (value / total) * 100));
 }
 
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median (0 for an empty list)
+ */
+export function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Read a Roman numeral
+ * @param {string} numeral - Numeral in either case ("XIV", "xiv")
+ * @returns {number|null} Value, or null if it is not a valid numeral
+ */
+export function parseRomanNumeral(numeral) {
+    const valid = /^(?=[IVXLCDM])M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})$/i;
+    if (!numeral || !valid.test(numeral)) return null;
+
+    const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+    const digits = [...numeral.toUpperCase()].map(letter => values[letter]);
+    return digits.reduce((total, digit, i) => total + (digit < (digits[i + 1] || 0) ? -digit : digit), 0);
+}
+
 /**
  * Format date
  * @param {Date} date - Date to format
@@ -429,21 +729,30 @@ export default {
     formatDuration,
     estimateETA,
     estimateTokenCount,
+    countWords,
     chunkText,
     debounce,
     throttle,
     sleep,
     retryWithBackoff,
     generateId,
+    bytesToBase64,
+    createCanvas,
+    canvasToBase64,
+    getBaseURI,
     safeJSONParse,
     deepClone,
-    detectLanguage,
+    formatPageRanges,
+    parsePageRanges,
     sanitizeFilename,
+    escapeXML,
     downloadBlob,
     showToast,
     validateApiKey,
     redactApiKey,
     calculatePercentage,
+    median,
+    parseRomanNumeral,
     formatDate,
     checkBrowserSupport,
     getElement,
@@ -0,0 +1,278 @@
+/**
+ * Worker Extractor Module
+ * Runs an extractor inside a Web Worker (extraction-worker.js) so large PDFs do not freeze the tab
+ */
+
+import { DocumentExtractor, ExtractionCancelledError } from './document-extractor.js';
+import { createDocumentAssembler } from './document-assembler.js';
+import { PasswordRequiredError, PasswordIncorrectError } from './pdf-extractor.js';
+
+/**
+ * Errors rebuilt from the name the worker reports
+ */
+const WORKER_ERRORS = {
+    PasswordRequiredError,
+    PasswordIncorrectError,
+    ExtractionCancelledError
+};
+
+/**
+ * Worker Extractor Class
+ * Same interface as the extractor it wraps. Pages arrive one message at a time and cancel()
+ * stops the worker outright. When a worker cannot be started (bundled build, file:// pages)
+ * the format's own extractor runs on the main thread instead.
+ */
+export class WorkerExtractor extends DocumentExtractor {
+    /**
+     * @param {Object} format - Format entry from the extractor registry
+     * @param {Object} options - Extractor options (ocr, footnotes, figures, links)
+     */
+    constructor(format, options = {}) {
+        super(options);
+        this.format = format;
+        this.options = options;
+        this.worker = null;
+        this.fallback = null;
+        this.pending = null;
+    }
+
+    /**
+     * Check whether extraction can run in a worker in this browser
+     * @returns {boolean} True if module workers, OffscreenCanvas and the pdf.js script are available
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof document !== 'undefined' &&
+            typeof pdfjsLib !== 'undefined' &&
+            getPDFJSSource() !== null;
+    }
+
+    /**
+     * Load a document in the worker
+     * @param {File} file - File to load
+     * @param {Object} options - Load options
+     * @param {Function} options.requestPassword - Asks for the password of an encrypted PDF
+     * @returns {Promise<Object>} Document metadata
+     */
+    async loadFile(file, options = {}) {
+        try {
+            await this.start();
+        } catch (error) {
+            console.warn('Extraction worker unavailable, extracting on the main thread:', error);
+            this.fallback = this.format.create(this.options);
+            return this.fallback.loadFile(file, options);
+        }
+
+        this.file = file;
+
+        const { metadata } = await this.request(
+            { type: 'load', file, options: this.options },
+            { requestPassword: options.requestPassword }
+        );
+
+        this.metadata = metadata;
+        return metadata;
+    }
+
+    /**
+     * Extract the document, receiving finished pages as they are posted
+     * @param {Function} progressCallback - Called with progress updates
+     * @param {Object} options - Extraction options
+     * @param {Function} options.onPage - Called with each finished page entry, in order; pages
+     *                   handed on are not kept (see DocumentExtractor.extractAll())
+     * @returns {Promise<Object>} Combined extraction results, or the summary when onPage is given
+     * @throws {ExtractionCancelledError} If cancel() or close() was called
+     */
+    async extractAll(progressCallback = null, options = {}) {
+        if (this.fallback) {
+            return this.fallback.extractAll(progressCallback, options);
+        }
+
+        if (!this.isLoaded()) {
+            throw new Error('No document loaded');
+        }
+
+        const assembler = options.onPage ? null : createDocumentAssembler();
+        const { result } = await this.request({ type: 'extract' }, {
+            onProgress: progressCallback,
+            onPage: options.onPage || (page => assembler.addPage(page))
+        });
+
+        return assembler ? assembler.finish(result) : result;
+    }
+
+    /**
+     * Start the worker and wait until its modules and pdf.js are loaded
+     * @returns {Promise<void>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./extraction-worker.js', import.meta.url), { type: 'module' });
+
+            worker.onmessage = (event) => {
+                if (event.data.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(event.data.error.message));
+                    return;
+                }
+
+                worker.onmessage = (message) => this.handleMessage(message.data);
+                worker.onerror = (error) => this.settle(null, new Error(error.message || 'Extraction worker failed'));
+                this.worker = worker;
+                resolve();
+            };
+
+            worker.onerror = (error) => {
+                error.preventDefault();
+                worker.terminate();
+                reject(new Error(error.message || 'Could not start the extraction worker'));
+            };
+
+            worker.postMessage({
+                type: 'init',
+                pdfjs: { src: getPDFJSSource(), workerSrc: pdfjsLib.GlobalWorkerOptions.workerSrc }
+            });
+        });
+    }
+
+    /**
+     * Send a request to the worker
+     * Only one request runs at a time; it settles on the worker's reply or error.
+     * @param {Object} message - Request message
+     * @param {Object} handlers - { requestPassword, onProgress, onPage }
+     * @returns {Promise<Object>} Reply message
+     */
+    request(message, handlers = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending = { ...handlers, resolve, reject };
+            this.worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Route a message from the worker to the pending request
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        const pending = this.pending;
+        if (!pending) return;
+
+        switch (message.type) {
+            case 'password':
+                Promise.resolve(pending.requestPassword ? pending.requestPassword(message.request) : null)
+                    .then(password => {
+                        if (this.worker) this.worker.postMessage({ type: 'password', password });
+                    });
+                break;
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(message.progress);
+                break;
+            case 'page':
+                if (pending.onPage) pending.onPage(message.page);
+                break;
+            case 'error': {
+                const ErrorClass = WORKER_ERRORS[message.error.name] || Error;
+                this.settle(null, new ErrorClass(message.error.message));
+                break;
+            }
+            default:
+                this.settle(message);
+        }
+    }
+
+    /**
+     * Resolve or reject the pending request
+     * @param {Object|null} message - Reply message
+     * @param {Error} error - Error to reject with
+     */
+    settle(message, error = null) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    /**
+     * Stop the extraction
+     * The worker is terminated, which also stops pdf.js and OCR in the middle of a page.
+     */
+    cancel() {
+        if (this.fallback) {
+            this.fallback.cancel();
+            return;
+        }
+
+        this.terminate();
+    }
+
+    /**
+     * Terminate the worker, rejecting a pending request as cancelled
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.settle(null, new ExtractionCancelledError());
+        this.metadata = null;
+    }
+
+    /**
+     * Release the document and the worker
+     */
+    close() {
+        if (this.fallback) {
+            this.fallback.close();
+            this.fallback = null;
+        }
+
+        this.terminate();
+        this.file = null;
+    }
+
+    /**
+     * Get page count
+     * @returns {number} Number of pages
+     */
+    getPageCount() {
+        if (this.fallback) return this.fallback.getPageCount();
+        return this.metadata ? this.metadata.pages : 0;
+    }
+
+    /**
+     * Check if a document is loaded
+     * @returns {boolean} True if a document is loaded
+     */
+    isLoaded() {
+        if (this.fallback) return this.fallback.isLoaded();
+        return this.metadata !== null;
+    }
+}
+
+/**
+ * Create worker extractor
+ * @param {Object} format - Format entry from the extractor registry
+ * @param {Object} options - Extractor options
+ * @returns {WorkerExtractor} Extractor instance
+ */
+export function createWorkerExtractor(format, options = {}) {
+    return new WorkerExtractor(format, options);
+}
+
+/**
+ * Find the URL the page loaded pdf.js from
+ * @returns {string|null} Script URL
+ */
+function getPDFJSSource() {
+    const script = document.querySelector('script[src*="pdf.min.js"]');
+    return script ? script.src : null;
+}
+
+export default WorkerExtractor;
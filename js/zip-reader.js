@@ -0,0 +1,164 @@
+/**
+ * ZIP Reader Module
+ * Minimal ZIP archive reader for EPUB and DOCX files, using the browser's DecompressionStream
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_FILE_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * ZIP Archive Class
+ * Reads the central directory once and inflates entries on demand
+ */
+export class ZipArchive {
+    /**
+     * @param {ArrayBuffer} buffer - Complete archive contents
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = this.readCentralDirectory();
+    }
+
+    /**
+     * Parse the central directory into a map of entry names
+     * @returns {Map} Entry name to { method, compressedSize, size, headerOffset }
+     */
+    readCentralDirectory() {
+        const view = this.view;
+        const entries = new Map();
+        const decoder = new TextDecoder('utf-8');
+
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+        let end = -1;
+        for (let offset = view.byteLength - 22; offset >= Math.max(0, view.byteLength - 65557); offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+                end = offset;
+                break;
+            }
+        }
+
+        if (end === -1) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        if (count === 0xffff || offset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_FILE_HEADER) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength));
+
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                headerOffset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check whether the archive contains an entry
+     * @param {string} name - Entry path
+     * @returns {boolean} True if present
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * List entry names
+     * @returns {Array<string>} Entry paths in archive order
+     */
+    list() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Read and decompress an entry
+     * @param {string} name - Entry path
+     * @returns {Promise<Uint8Array>} Entry contents
+     */
+    async readBytes(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing archive entry: ${name}`);
+        }
+
+        const header = entry.headerOffset;
+        if (this.view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt ZIP entry: ${name}`);
+        }
+
+        // Local name and extra lengths can differ from the central directory copy
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = new Uint8Array(this.buffer, start, entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return data.slice();
+        }
+
+        if (entry.method === METHOD_DEFLATE) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} name - Entry path
+     * @returns {Promise<string>} Entry contents
+     */
+    async readText(name) {
+        return new TextDecoder('utf-8').decode(await this.readBytes(name));
+    }
+}
+
+/**
+ * Resolve an href relative to the archive path of the entry containing it
+ * @param {string} base - Path of the referring entry
+ * @param {string} href - Relative reference
+ * @returns {string} Archive path
+ */
+export function resolvePath(base, href) {
+    const parts = href.startsWith('/') ? [] : base.split('/').slice(0, -1);
+
+    for (const segment of decodeURIComponent(href.split('#')[0]).split('/')) {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    }
+
+    return parts.join('/');
+}
+
+/**
+ * Open a ZIP archive
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {ZipArchive} Archive instance
+ */
+export function openZip(buffer) {
+    return new ZipArchive(buffer);
+}
+
+export default ZipArchive;
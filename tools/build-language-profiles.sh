@@ -0,0 +1,70 @@
+#!/bin/bash
+
+# Language Profile Build Script
+# Generates data/language-profiles.json (used to identify the language of each page)
+# from the trigram models of the franc npm package, which are built from translations
+# of the Universal Declaration of Human Rights.
+
+set -e
+
+echo "Building language profiles..."
+
+OUTPUT_FILE="data/language-profiles.json"
+WORK_DIR="$(mktemp -d)"
+
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+(cd "$WORK_DIR" && npm pack --silent franc@6.2.0 > /dev/null && tar xzf franc-*.tgz)
+
+mkdir -p data
+
+# Keep the languages listed in LANGUAGES (js/language-detector.js) that are told apart
+# by trigrams; languages with a script of their own are recognized by script alone
+node --input-type=module -e '
+const { data } = await import(`${process.argv[1]}/data.js`);
+const codes = new Set(process.argv[2].split(" "));
+const profiles = {};
+
+for (const [script, languages] of Object.entries(data)) {
+    for (const [code, trigrams] of Object.entries(languages)) {
+        if (!codes.has(code)) continue;
+        profiles[script] = profiles[script] || {};
+        profiles[script][code] = trigrams;
+    }
+}
+
+process.stdout.write(JSON.stringify(profiles, null, 1) + "\n");
+' "$WORK_DIR/package" "eng spa por fra deu ita nld pol ron tur vie ind zlm swh tgl hun ces slk hrv slv swe dan nob fin ekk lvs lit cat glg afr als azj rus ukr bel bul srp mkd kaz arb pes urd hin mar npi heb" > "$OUTPUT_FILE"
+
+node -e '
+const pkg = require(`${process.argv[1]}/package.json`);
+process.stdout.write(`Trigram models from ${pkg.name} ${pkg.version} (${pkg.repository.url || pkg.repository}).\n\n`);
+' "$WORK_DIR/package" > "data/language-profiles.COPYRIGHT"
+
+cat >> "data/language-profiles.COPYRIGHT" <<'EOF'
+(The MIT License)
+
+Copyright (c) 2014 Titus Wormer <tituswormer@gmail.com>
+
+Permission is hereby granted, free of charge, to any person obtaining
+a copy of this software and associated documentation files (the
+'Software'), to deal in the Software without restriction, including
+without limitation the rights to use, copy, modify, merge, publish,
+distribute, sublicense, and/or sell copies of the Software, and to
+permit persons to whom the Software is furnished to do so, subject to
+the following conditions:
+
+The above copyright notice and this permission notice shall be
+included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED 'AS IS', WITHOUT WARRANTY OF ANY KIND,
+EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT,
+TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+EOF
+
+echo "Language profiles complete!"
+echo "Output: $OUTPUT_FILE"
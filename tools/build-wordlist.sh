@@ -0,0 +1,33 @@
+#!/bin/bash
+
+# Word List Build Script
+# Generates data/wordlist-en.txt (used to rejoin hyphenated line breaks)
+# from the common-word levels of SCOWL, via the wordlist-english npm package.
+
+set -e
+
+echo "Building English word list..."
+
+OUTPUT_FILE="data/wordlist-en.txt"
+WORK_DIR="$(mktemp -d)"
+
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+(cd "$WORK_DIR" && npm pack --silent wordlist-english@1.2.1 > /dev/null && tar xzf wordlist-english-*.tgz)
+
+mkdir -p data
+
+# Levels 10-35 cover common vocabulary; longer lists admit rare words that cause false joins
+node -e '
+const dir = process.argv[1];
+const lists = ["english", "american", "british"].flatMap(dialect =>
+    [10, 20, 35].map(level => require(`${dir}/${dialect}-words-${level}.json`))
+);
+const words = [...new Set(lists.flat().filter(word => /^[a-z]+$/.test(word)))].sort();
+process.stdout.write(words.join("\n") + "\n");
+' "$WORK_DIR/package" > "$OUTPUT_FILE"
+
+cp "$WORK_DIR/package/Copyright" "data/wordlist-en.COPYRIGHT"
+
+echo "Word list complete!"
+echo "Output: $OUTPUT_FILE ($(wc -l < "$OUTPUT_FILE") words)"
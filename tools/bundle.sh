@@ -90,6 +90,125 @@ echo "// ============================================" >> "$OUTPUT_FILE"
 sed 's/^export //' js/gemini-client.js | sed '/^import/d' >> "$OUTPUT_FILE"
 echo "" >> "$OUTPUT_FILE"
 
+# Document Structure
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// document-structure.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/document-structure.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Font Classifier
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// font-classifier.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/font-classifier.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Table Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// table-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/table-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Layout Analyzer
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// layout-analyzer.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/layout-analyzer.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# OCR Engine
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// ocr-engine.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/ocr-engine.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Running Text Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// running-text-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/running-text-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Heading Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// heading-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/heading-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Text Cleaner
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// text-cleaner.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/text-cleaner.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Footnote Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// footnote-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/footnote-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Figure Locator
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// figure-locator.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/figure-locator.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Link Handler
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// link-handler.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/link-handler.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Language Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// language-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/language-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Boilerplate Detector
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// boilerplate-detector.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/boilerplate-detector.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# ZIP Reader
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// zip-reader.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/zip-reader.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Markup Converter
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// markup-converter.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/markup-converter.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Document Assembler
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// document-assembler.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/document-assembler.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Document Extractor
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// document-extractor.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/document-extractor.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
 # PDF Extractor
 echo "// ============================================" >> "$OUTPUT_FILE"
 echo "// pdf-extractor.js" >> "$OUTPUT_FILE"
@@ -97,6 +216,83 @@ echo "// ============================================" >> "$OUTPUT_FILE"
 sed 's/^export //' js/pdf-extractor.js | sed '/^import/d' >> "$OUTPUT_FILE"
 echo "" >> "$OUTPUT_FILE"
 
+# Worker Extractor (extraction-worker.js itself is not inlined; the bundle extracts on the main thread)
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// worker-extractor.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/worker-extractor.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# EPUB Extractor
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// epub-extractor.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/epub-extractor.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# DOCX Extractor
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// docx-extractor.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/docx-extractor.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Text Extractors
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// text-extractors.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/text-extractors.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Extractor Registry
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// extractor-registry.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/extractor-registry.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Acronym Table
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// acronym-table.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/acronym-table.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Document Context
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// document-context.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/document-context.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Pronunciation Lexicon
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// pronunciation-lexicon.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/pronunciation-lexicon.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Rule Engine
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// rule-engine.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/rule-engine.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# SSML Builder
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// ssml-builder.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/ssml-builder.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
+# Local Converter
+echo "// ============================================" >> "$OUTPUT_FILE"
+echo "// local-converter.js" >> "$OUTPUT_FILE"
+echo "// ============================================" >> "$OUTPUT_FILE"
+sed 's/^export //' js/local-converter.js | sed '/^import/d' >> "$OUTPUT_FILE"
+echo "" >> "$OUTPUT_FILE"
+
 # Text Processor
 echo "// ============================================" >> "$OUTPUT_FILE"
 echo "// text-processor.js" >> "$OUTPUT_FILE"
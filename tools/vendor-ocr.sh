@@ -0,0 +1,41 @@
+#!/bin/bash
+
+# Vendor Script for Offline OCR
+# Copies a Tesseract (WASM) build and English language data into vendor/tesseract
+# so scanned pages can be recognized without contacting any CDN.
+
+set -e
+
+echo "Vendoring offline OCR engine..."
+
+TESSERACT_VERSION="5.1.1"
+TARGET_DIR="vendor/tesseract"
+WORK_DIR="$(mktemp -d)"
+
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+# Fetch packages from npm into a scratch directory
+echo "Downloading packages..."
+(cd "$WORK_DIR" && npm pack --silent \
+    "tesseract.js@$TESSERACT_VERSION" \
+    "tesseract.js-core@$TESSERACT_VERSION" \
+    "@tesseract.js-data/eng@1.0.0" > /dev/null)
+
+for archive in "$WORK_DIR"/*.tgz; do
+    name="$(basename "$archive" .tgz)"
+    mkdir -p "$WORK_DIR/$name"
+    tar xzf "$archive" -C "$WORK_DIR/$name"
+done
+
+# Copy library, worker, WASM cores and language data
+echo "Copying files..."
+mkdir -p "$TARGET_DIR/core" "$TARGET_DIR/lang"
+
+cp "$WORK_DIR/tesseract.js-$TESSERACT_VERSION/package/dist/tesseract.min.js" "$TARGET_DIR/"
+cp "$WORK_DIR/tesseract.js-$TESSERACT_VERSION/package/dist/worker.min.js" "$TARGET_DIR/"
+cp "$WORK_DIR/tesseract.js-core-$TESSERACT_VERSION/package/"tesseract-core*.wasm.js "$TARGET_DIR/core/"
+cp "$WORK_DIR/tesseract.js-data-eng-1.0.0/package/4.0.0_best_int/eng.traineddata.gz" "$TARGET_DIR/lang/"
+
+echo "OCR vendoring complete!"
+echo "Output: $TARGET_DIR"
+echo "Size: $(du -sh "$TARGET_DIR" | cut -f1)"